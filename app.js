@@ -0,0 +1,214 @@
+/**
+ * @file app.js
+ * @description Express application factory shared by every entry point and by in-process tests
+ */
+
+const express = require("express");
+const cors = require("cors");
+const cookieParser = require("cookie-parser");
+const { settings } = require("./config");
+const { ALLOWED_ORIGINS, csrfProtection } = require("./csrf");
+const { requestId, REQUEST_ID_HEADER } = require("./middleware/request-id");
+const { httpMetrics } = require("./middleware/metrics");
+const { requireSharedSecret } = require("./middleware/shared-secret");
+const { registry } = require("./services/metrics");
+const { spec, validateRequest } = require("./middleware/validate");
+
+const CORS_METHODS = ["GET", "POST", "PUT", "DELETE"];
+const CORS_HEADERS = ["Content-Type", "Authorization", "x-csrf-token", REQUEST_ID_HEADER];
+
+// Paths of openapi.json served by the lightweight deployment
+const LIGHTWEIGHT_PATHS = ["/", "/health", "/metrics", "/openapi.json", "/authorize"];
+
+/**
+ * The OpenAPI document, limited to the paths this app mounts
+ * @param {object} config Resolved app config
+ * @returns {object} OpenAPI document
+ */
+function getPublishedSpec(config) {
+  const paths = Object.entries(spec.paths).filter(([path]) =>
+    config.lightweight
+      ? LIGHTWEIGHT_PATHS.includes(path)
+      : config.intents || !(path.startsWith("/api/intents") || path.startsWith("/api/webhooks"))
+  );
+  return { ...spec, paths: Object.fromEntries(paths) };
+}
+
+/**
+ * Mount the database-backed API: SIWE sessions, admin, /authorize with policies and sponsorship,
+ * and the intent and webhook APIs
+ * @param {object} app Express application
+ * @param {object} config Resolved app config
+ */
+function mountFullApi(app, config) {
+  // Required here so the lightweight deployment never loads the database layer
+  const { authenticate, authenticateApiKey, requireScope } = require("./middleware/auth");
+  const { adminOnly } = require("./middleware/admin");
+  const { rateLimit } = require("./middleware/rate-limit");
+  const authorizeController = require("./controllers/authorize-controller");
+  const readinessController = require("./controllers/readiness-controller");
+  const authRoutes = require("./routes/auth-routes");
+  const adminRoutes = require("./routes/admin-routes");
+  const { trackIntentCounts } = require("./services/metrics");
+
+  // Deep readiness probe: database, Lens and Base RPC, and the intent processor's progress
+  app.get("/ready", validateRequest("getReadiness"), readinessController.getReadiness);
+
+  // Sign-In with Ethereum sessions for the frontend (authenticated by wallet, not shared secret)
+  app.use("/auth", authRoutes);
+
+  // Admin API for authorization rules, sponsorship programs, signer keys, API keys and admin
+  // roles. Open to admin API keys and to signed-in wallets holding the admin role.
+  app.use("/admin", csrfProtection("strict"), authenticate, adminOnly, adminRoutes);
+
+  // Lens calls this server-to-server with an API key, never with cookies, so it needs no CSRF
+  // check. For the same reason it is limited per API key and per account of each key, never per IP.
+  app.post(
+    "/authorize",
+    authenticateApiKey,
+    requireScope("authorize"),
+    validateRequest("authorize"),
+    rateLimit("authorize", (req) => req.body.account, { accountPerApiKey: true }),
+    authorizeController.authorize
+  );
+
+  if (config.intents) {
+    app.use("/api/intents", require("./routes/intent-routes"));
+    // Outbound webhooks for integrations, each managing the subscriptions of its own API key
+    app.use(
+      "/api/webhooks",
+      authenticateApiKey,
+      requireScope("webhooks"),
+      // Webhooks carry the events of every user's intents
+      requireScope("intents:read"),
+      require("./routes/webhook-routes")
+    );
+    trackIntentCounts(require("./database"));
+  }
+}
+
+/**
+ * Mount the lightweight, auth-only API: /authorize behind a shared secret, answering with the
+ * environment app signer key
+ * @param {object} app Express application
+ * @param {object} config Resolved app config
+ */
+function mountLightweightApi(app, config) {
+  const lightweightAuthorizeController = require("./controllers/lightweight-authorize-controller");
+
+  if (!config.sharedSecret) {
+    throw new Error("SHARED_SECRET is required for the lightweight deployment");
+  }
+
+  app.post(
+    "/authorize",
+    requireSharedSecret(config.sharedSecret),
+    validateRequest("authorize"),
+    lightweightAuthorizeController.authorize
+  );
+}
+
+/**
+ * Create the Express application without starting a server
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.lightweight=false] Auth-only deployment: /authorize allows every
+ *   login with the environment app signer key behind SHARED_SECRET, and nothing touches the
+ *   database
+ * @param {boolean} [options.intents] Mount /api/intents and /api/webhooks (default: on unless
+ *   lightweight)
+ * @param {string[]} [options.allowedOrigins] Origins allowed by CORS (default: FRONTEND_URL and
+ *   ALLOWED_ORIGINS)
+ * @param {string} [options.sharedSecret] Token required by the lightweight deployment (default:
+ *   SHARED_SECRET)
+ * @param {string|number} [options.trustProxy] Express trust proxy setting (default: TRUST_PROXY)
+ * @param {boolean} [options.logRequests=true] Log one access log entry per request
+ * @param {string} [options.metricsToken] Bearer token required by /metrics (default:
+ *   METRICS_TOKEN; open when unset)
+ * @returns {object} Express application
+ */
+function createApp(options = {}) {
+  const lightweight = Boolean(options.lightweight);
+  const config = {
+    lightweight,
+    intents: options.intents ?? !lightweight,
+    allowedOrigins: options.allowedOrigins || ALLOWED_ORIGINS,
+    sharedSecret: options.sharedSecret ?? settings.SHARED_SECRET,
+    trustProxy: options.trustProxy ?? settings.TRUST_PROXY,
+    logRequests: options.logRequests ?? true,
+    metricsToken: options.metricsToken ?? settings.METRICS_TOKEN,
+  };
+
+  if (lightweight && options.intents) {
+    throw new Error("The intent API needs the database and cannot run in the lightweight mode");
+  }
+
+  const app = express();
+
+  // Behind a load balancer (e.g. Northflank) req.ip is only the client's address when the proxy
+  // hops are trusted; set TRUST_PROXY to the number of hops or an Express trust proxy value
+  if (config.trustProxy !== undefined && config.trustProxy !== "") {
+    const hops = Number(config.trustProxy);
+    app.set("trust proxy", Number.isInteger(hops) ? hops : config.trustProxy);
+  }
+
+  app.use(
+    cors({
+      origin: config.allowedOrigins,
+      credentials: true,
+      methods: CORS_METHODS,
+      allowedHeaders: CORS_HEADERS,
+      exposedHeaders: [REQUEST_ID_HEADER],
+    })
+  );
+  app.use(express.json());
+  app.use(cookieParser());
+
+  // After the body parsers: their stream callbacks would otherwise run outside the request context
+  app.use(requestId({ log: config.logRequests }));
+  app.use(httpMetrics());
+
+  // Root endpoint for basic checks
+  app.get("/", function (_, res) {
+    res.json({ online: true });
+  });
+
+  // Dedicated health check endpoint for Northflank
+  app.get("/health", function (_, res) {
+    res.json({
+      status: "healthy",
+      mode: lightweight ? "lightweight" : "full",
+      timestamp: new Date().toISOString(),
+      version: process.env.npm_package_version || "1.0.0",
+    });
+  });
+
+  // Prometheus metrics, scraped with METRICS_TOKEN as Bearer token when it is set
+  const metricsAuth = config.metricsToken
+    ? requireSharedSecret(config.metricsToken)
+    : (_, __, next) => next();
+  app.get("/metrics", metricsAuth, async function (_, res) {
+    res.set("Content-Type", registry.contentType);
+    res.send(await registry.metrics());
+  });
+
+  // The API contract; requests are validated against it by validateRequest
+  const publishedSpec = getPublishedSpec(config);
+  app.get("/openapi.json", function (_, res) {
+    res.json(publishedSpec);
+  });
+
+  if (lightweight) {
+    mountLightweightApi(app, config);
+  } else {
+    mountFullApi(app, config);
+  }
+
+  return app;
+}
+
+module.exports = {
+  CORS_METHODS,
+  CORS_HEADERS,
+  createApp,
+};
@@ -1,14 +1,339 @@
-const never = require("never");
+/**
+ * @file config.js
+ * @description Typed configuration read from the environment
+ *
+ * Every variable is declared once in SCHEMA with its type and default. Values are coerced
+ * (numbers, booleans, lists, checksummed addresses) and validated when the module is loaded, and
+ * each service checks the variables it needs with loadConfig(profile). Importing this module never
+ * exits the process; problems are reported by loadConfig.
+ */
+
+const { isAddress, getAddress } = require("ethers");
 const { chains } = require("@lens-chain/sdk/viem");
 
-exports.PORT = process.env.PORT || 3003;
+const ENVIRONMENTS = ["development", "test", "testnet", "staging", "mainnet", "production"];
+
+/**
+ * Variables, their type and default
+ * `secret` values are masked when printed
+ */
+const SCHEMA = {
+  // Server
+  PORT: { type: "port", default: 3003 },
+  NODE_ENV: { type: "enum", values: ["development", "test", "production"], default: "development" },
+  ENVIRONMENT: { type: "enum", values: ENVIRONMENTS, default: "development" },
+  FRONTEND_URL: { type: "url", default: "http://localhost:3000" },
+  ALLOWED_ORIGINS: { type: "urlList", default: [] },
+  TRUST_PROXY: { type: "string" },
+
+  // Database
+  DATABASE_URL: { type: "url", secret: true },
+  DATABASE_SSL: { type: "boolean", default: true },
+
+  // Authentication
+  SESSION_SECRET: { type: "string", secret: true, minLength: 16 },
+  CSRF_SECRET: { type: "string", secret: true, minLength: 16 },
+  SIWE_DOMAIN: { type: "string" },
+  SIWE_NONCE_TTL_SECONDS: { type: "integer", min: 1, default: 300 },
+  ACCESS_TOKEN_TTL_SECONDS: { type: "integer", min: 1, default: 900 },
+  REFRESH_TOKEN_TTL_SECONDS: { type: "integer", min: 1, default: 604800 },
+  SHARED_SECRET: { type: "string", secret: true },
+  SHARED_SECRET_SCOPES: { type: "list", default: ["authorize"] },
+
+  // Keys
+  PRIVATE_KEY: { type: "privateKey", secret: true },
+  APP_SIGNER_PRIVATE_KEY: { type: "privateKey", secret: true },
+  APP_SIGNER_KEYSTORE_PATH: { type: "string" },
+  APP_SIGNER_KEYSTORE_PASSWORD: { type: "string", secret: true },
+  APP_SIGNER_ROTATION_OVERLAP_SECONDS: { type: "integer", min: 0, default: 86400 },
+
+  // Chains
+  LENS_MAINNET_RPC_URL: { type: "url", default: "https://rpc.lens.xyz" },
+  LENS_TESTNET_RPC_URL: { type: "url", default: "https://rpc.testnet.lens.xyz" },
+  LENS_RPC_URL: { type: "url" },
+  BASE_RPC_URL: { type: "url" },
+  // Defaults to the Lens chain of ENVIRONMENT, like the API's lens-chain-service
+  LENS_CHAIN_ID: { type: "chainId" },
+  BASE_CHAIN_ID: { type: "chainId", default: 8453 },
+  LENS_OWNERSHIP_CACHE_TTL_SECONDS: { type: "integer", min: 0, default: 60 },
+  LENS_OWNERSHIP_RPC_TIMEOUT_MS: { type: "integer", min: 1, default: 2000 },
+
+  // Contracts
+  LENS_INTENT_RESOLVER: { type: "address" },
+  BASE_INTENT_RESOLVER: { type: "address" },
+  CROSS_CHAIN_RESOLVER: { type: "address" },
+  TICKET_REGISTRY: { type: "address" },
+  MEGAPOT_LOTTERY: { type: "address" },
+  ACROSS_BRIDGE: { type: "address" },
+
+  // Intent validation (amounts in wei)
+  INTENT_MIN_DEADLINE_SECONDS: { type: "integer", min: 1, default: 300 },
+  INTENT_MAX_DEADLINE_SECONDS: { type: "integer", min: 1, default: 604800 },
+  INTENT_MIN_AMOUNT: { type: "uint", default: "1" },
+  INTENT_MAX_AMOUNT: { type: "uint", default: "1000000000000000000000000" },
+  INTENT_EXPIRY_SWEEP_SECONDS: { type: "integer", min: 1, default: 60 },
+  IDEMPOTENCY_KEY_TTL_SECONDS: { type: "integer", min: 1, default: 86400 },
+  INTENT_RELAY_ENABLED: { type: "boolean", default: false },
+
+  // Sponsorship
+  SPONSORSHIP_GLOBAL_BUDGET_CAP: { type: "integer", min: 0 },
+
+  // Webhooks
+  WEBHOOK_MAX_ATTEMPTS: { type: "integer", min: 1, default: 8 },
+  WEBHOOK_RETRY_BASE_SECONDS: { type: "integer", min: 1, default: 30 },
+  WEBHOOK_TIMEOUT_MS: { type: "integer", min: 1, default: 10000 },
+  WEBHOOK_POLL_SECONDS: { type: "integer", min: 1, default: 5 },
+  WEBHOOK_ALLOW_HTTP: { type: "boolean", default: false },
+
+  // Rate limits, as <requests>/<seconds> or off
+  RATE_LIMIT_STORE: { type: "enum", values: ["memory", "postgres"], default: "memory" },
+  RATE_LIMIT_AUTHORIZE_ACCOUNT: { type: "rateLimit", default: "10/60" },
+  RATE_LIMIT_AUTHORIZE_API_KEY: { type: "rateLimit", default: "1200/60" },
+  RATE_LIMIT_INTENTS_IP: { type: "rateLimit", default: "30/60" },
+  RATE_LIMIT_INTENTS_ACCOUNT: { type: "rateLimit", default: "10/60" },
+  RATE_LIMIT_INTENTS_API_KEY: { type: "rateLimit", default: "300/60" },
+  RATE_LIMIT_BAN_THRESHOLD: { type: "integer", min: 1, default: 20 },
+  RATE_LIMIT_BAN_WINDOW_SECONDS: { type: "integer", min: 1, default: 600 },
+  RATE_LIMIT_BAN_SECONDS: { type: "integer", min: 1, default: 900 },
+
+  // Readiness
+  READY_CHECK_TIMEOUT_MS: { type: "integer", min: 1, default: 2000 },
+  READY_CRITICAL_CHECKS: { type: "list", default: ["database", "lensRpc"] },
+  READY_MAX_PROCESSOR_LAG_BLOCKS: { type: "integer", min: 1, default: 100 },
+  READY_MAX_PROCESSOR_SILENCE_SECONDS: { type: "integer", min: 1, default: 120 },
+
+  // Metrics
+  METRICS_TOKEN: { type: "string", secret: true, minLength: 16 },
+  METRICS_PORT: { type: "port" },
+
+  // Logging
+  LOG_LEVEL: {
+    type: "enum",
+    values: ["error", "warn", "info", "http", "verbose", "debug", "silly"],
+    default: "info",
+  },
+  LOG_FORMAT: { type: "enum", values: ["json", "simple"], default: "json" },
+  LOG_REDACT_KEYS: { type: "list", default: [] },
+};
+
+// Variables each service refuses to start without
+const PROFILES = {
+  server: ["DATABASE_URL", "SESSION_SECRET"],
+  lightweight: ["SHARED_SECRET"],
+  processor: [
+    "PRIVATE_KEY",
+    "LENS_RPC_URL",
+    "BASE_RPC_URL",
+    "LENS_INTENT_RESOLVER",
+    "BASE_INTENT_RESOLVER",
+    "CROSS_CHAIN_RESOLVER",
+    "TICKET_REGISTRY",
+    "DATABASE_URL",
+  ],
+  migrations: ["DATABASE_URL"],
+};
+
+/**
+ * Error thrown by loadConfig, listing every problem at once
+ */
+class ConfigError extends Error {
+  constructor(profile, problems) {
+    super(`Invalid configuration for '${profile}':\n${problems.map((p) => `- ${p}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.profile = profile;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Check whether a string is an http(s) or postgres URL
+ * @param {string} value Raw value
+ * @returns {boolean} Whether the value parses as a URL
+ */
+function isUrl(value) {
+  try {
+    return Boolean(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Coerce a raw environment value to its declared type
+ * @param {object} spec Entry from SCHEMA
+ * @param {string} raw Raw value
+ * @returns {{ value?: *, error?: string }} The coerced value or why it is invalid
+ */
+function coerce(spec, raw) {
+  switch (spec.type) {
+    case "string":
+      if (spec.minLength && raw.length < spec.minLength) {
+        return { error: `must be at least ${spec.minLength} characters` };
+      }
+      return { value: raw };
+    case "integer":
+    case "port":
+    case "chainId": {
+      if (!/^\d+$/.test(raw)) {
+        return { error: "must be a non-negative integer" };
+      }
+      const value = parseInt(raw);
+      const min = spec.type === "integer" ? (spec.min ?? 0) : 1;
+      const max = spec.type === "port" ? 65535 : Number.MAX_SAFE_INTEGER;
+      if (value < min || value > max) {
+        return { error: `must be between ${min} and ${max}` };
+      }
+      return { value };
+    }
+    case "uint":
+      // Kept as a decimal string, values can exceed Number.MAX_SAFE_INTEGER
+      return /^\d+$/.test(raw) ? { value: raw } : { error: "must be a non-negative integer" };
+    case "boolean": {
+      const normalized = raw.toLowerCase();
+      if (["true", "1", "yes", "on"].includes(normalized)) {
+        return { value: true };
+      }
+      if (["false", "0", "no", "off"].includes(normalized)) {
+        return { value: false };
+      }
+      return { error: "must be true or false" };
+    }
+    case "enum":
+      if (!spec.values.includes(raw.toLowerCase())) {
+        return { error: `must be one of ${spec.values.join(", ")}` };
+      }
+      return { value: raw.toLowerCase() };
+    case "url":
+      return isUrl(raw) ? { value: raw.replace(/\/$/, "") } : { error: "must be a URL" };
+    case "list":
+      return {
+        value: raw
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean),
+      };
+    case "urlList": {
+      const items = raw
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+      const invalid = items.find((item) => !isUrl(item));
+      if (invalid) {
+        return { error: `'${invalid}' is not a URL` };
+      }
+      return { value: items.map((item) => item.replace(/\/$/, "")) };
+    }
+    case "rateLimit": {
+      const normalized = raw.toLowerCase();
+      if (normalized === "off" || normalized === "0") {
+        return { value: "off" };
+      }
+      const match = /^(\d+)\/(\d+)$/.exec(normalized);
+      if (!match || !(parseInt(match[1]) > 0) || !(parseInt(match[2]) > 0)) {
+        return { error: "must be <requests>/<seconds> or off" };
+      }
+      return { value: normalized };
+    }
+    case "address":
+      return isAddress(raw) ? { value: getAddress(raw) } : { error: "must be an address" };
+    case "privateKey":
+      return /^0x[0-9a-fA-F]{64}$/.test(raw)
+        ? { value: raw }
+        : { error: "must be a 0x-prefixed 32-byte hex private key" };
+    default:
+      throw new Error(`Unknown config type '${spec.type}'`);
+  }
+}
+
+/**
+ * Resolve every variable in SCHEMA from an environment
+ * @param {object} [env=process.env] Environment variables
+ * @returns {{ values: object, errors: object }} Coerced values (defaults for invalid ones) and
+ *   format errors by variable name
+ */
+function resolveConfig(env = process.env) {
+  const values = {};
+  const errors = {};
+
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    const raw = env[name];
+    if (raw === undefined || raw.trim() === "") {
+      values[name] = spec.default;
+      continue;
+    }
+
+    const { value, error } = coerce(spec, raw.trim());
+    if (error) {
+      errors[name] = error;
+      values[name] = spec.default;
+    } else {
+      values[name] = value;
+    }
+  }
+
+  values.LENS_CHAIN_ID ??= isMainnetEnvironment(values.ENVIRONMENT)
+    ? chains.mainnet.id
+    : chains.testnet.id;
+
+  return { values, errors };
+}
+
+/**
+ * Resolve the configuration and check it against a profile
+ *
+ * @param {string|null} profile Name in PROFILES, or null to only check value formats
+ * @param {object} [env=process.env] Environment variables
+ * @param {object} [options]
+ * @param {string[]} [options.only] Check only these variables; the others are still resolved
+ * @returns {object} Frozen, coerced values by variable name
+ * @throws {ConfigError} When a value is malformed or a variable the profile needs is missing
+ */
+function loadConfig(profile, env = process.env, { only } = {}) {
+  if (profile && !PROFILES[profile]) {
+    throw new Error(`Unknown config profile '${profile}'`);
+  }
 
-exports.PRIVATE_KEY = process.env.PRIVATE_KEY ?? never("PRIVATE_KEY env variable is required");
+  const { values, errors } = resolveConfig(env);
+  const checked = (name) => !only || only.includes(name);
+  const problems = Object.entries(errors)
+    .filter(([name]) => checked(name))
+    .map(([name, error]) => `${name} ${error}`);
 
-exports.SHARED_SECRET =
-  process.env.SHARED_SECRET ?? never("SHARED_SECRET env variable is required");
+  for (const name of profile ? PROFILES[profile].filter(checked) : []) {
+    if (values[name] === undefined && !errors[name]) {
+      problems.push(`${name} is required`);
+    }
+  }
 
-const ENVIRONMENT = process.env.ENVIRONMENT ?? never("ENVIRONMENT env variable is required");
+  if (problems.length > 0) {
+    throw new ConfigError(profile || "any", problems);
+  }
+
+  return Object.freeze(values);
+}
+
+/**
+ * Mask secrets (and the password in URLs) for printing
+ * @param {object} values Resolved values
+ * @returns {object} Values safe to print
+ */
+function maskConfig(values) {
+  const masked = {};
+  for (const [name, value] of Object.entries(values)) {
+    const spec = SCHEMA[name];
+    if (value === undefined || !spec.secret) {
+      masked[name] = value;
+    } else if (spec.type === "url") {
+      const url = new URL(value);
+      url.username = url.username ? "****" : "";
+      url.password = url.password ? "****" : "";
+      masked[name] = url.toString();
+    } else {
+      masked[name] = `****${String(value).slice(-4)}`;
+    }
+  }
+  return masked;
+}
 
 // Function to check if environment indicates mainnet
 const isMainnetEnvironment = (env) => {
@@ -16,8 +341,34 @@ const isMainnetEnvironment = (env) => {
   return envLower === "mainnet" || envLower === "production";
 };
 
+// Values as far as they could be resolved; import never fails because of a missing variable
+const { values } = resolveConfig();
+
+exports.SCHEMA = SCHEMA;
+exports.PROFILES = PROFILES;
+exports.ConfigError = ConfigError;
+exports.resolveConfig = resolveConfig;
+exports.loadConfig = loadConfig;
+exports.maskConfig = maskConfig;
+exports.isMainnetEnvironment = isMainnetEnvironment;
+
+// Every variable in SCHEMA, resolved when this module is first loaded; services read their
+// settings from here rather than parsing process.env themselves
+exports.settings = Object.freeze(values);
+
+exports.PORT = values.PORT;
+
+// Relayer key, only needed by services that send transactions
+exports.PRIVATE_KEY = values.PRIVATE_KEY;
+
+// Whether the API relays signed intents, paying their gas with PRIVATE_KEY
+exports.INTENT_RELAY_ENABLED = values.INTENT_RELAY_ENABLED;
+
+// Deprecated in favour of API keys, but still used by the lightweight deployment
+exports.SHARED_SECRET = values.SHARED_SECRET;
+
 // Set chain based on environment (accepts both "mainnet" and "production")
-exports.CHAIN = isMainnetEnvironment(ENVIRONMENT) ? chains.mainnet : chains.testnet;
+exports.CHAIN = isMainnetEnvironment(values.ENVIRONMENT) ? chains.mainnet : chains.testnet;
 
 // Export chain IDs for use throughout the application
 exports.CHAIN_IDS = {
@@ -31,20 +382,20 @@ exports.LENS_CHAIN_DETAILS = {
   mainnet: {
     id: exports.CHAIN_IDS.LENS_MAINNET,
     name: "Lens Chain Mainnet",
-    rpcUrl: process.env.LENS_MAINNET_RPC_URL || "https://rpc.lens.xyz",
+    rpcUrl: values.LENS_MAINNET_RPC_URL,
     currencySymbol: "GHO",
     explorerUrl: "https://explorer.lens.xyz",
   },
   testnet: {
     id: exports.CHAIN_IDS.LENS_TESTNET,
     name: "Lens Chain Testnet",
-    rpcUrl: process.env.LENS_TESTNET_RPC_URL || "https://rpc.testnet.lens.xyz",
+    rpcUrl: values.LENS_TESTNET_RPC_URL,
     currencySymbol: "GRASS",
     explorerUrl: "https://explorer.testnet.lens.xyz",
   },
 };
 
 // Get active chain details (using the same function for consistency)
-exports.ACTIVE_CHAIN_DETAILS = isMainnetEnvironment(ENVIRONMENT)
+exports.ACTIVE_CHAIN_DETAILS = isMainnetEnvironment(values.ENVIRONMENT)
   ? exports.LENS_CHAIN_DETAILS.mainnet
   : exports.LENS_CHAIN_DETAILS.testnet;
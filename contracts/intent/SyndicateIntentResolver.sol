@@ -3,6 +3,8 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
 /**
  * @title IGHO
@@ -90,7 +92,7 @@ struct IntentDefinition {
  * @dev Resolver for user intents in the Syndicate system inspired by NEAR Intents
  * This contract handles the resolution of cross-chain intents between Lens Chain and Base Chain
  */
-contract SyndicateIntentResolver is ReentrancyGuard {
+contract SyndicateIntentResolver is ReentrancyGuard, EIP712 {
 
     // Intent type constants
     uint8 constant public JOIN_SYNDICATE = 1;
@@ -102,6 +104,14 @@ contract SyndicateIntentResolver is ReentrancyGuard {
     uint32 constant public LENS_CHAIN_ID = 232; // Lens Chain ID
     uint32 constant public BASE_CHAIN_ID = 8453;
 
+    // EIP-712 type hashes of intents signed by users and submitted for them by a relayer
+    bytes32 constant public INTENT_DEFINITION_TYPEHASH = keccak256(
+        "IntentDefinition(uint8 intentType,address syndicateAddress,uint256 amount,address tokenAddress,uint32 sourceChainId,uint32 destinationChainId,uint256 ticketId,bool useOptimalRoute,uint256 maxFeePercentage,uint256 deadline,bytes metadata)"
+    );
+    bytes32 constant public RELAYED_INTENT_TYPEHASH = keccak256(
+        "RelayedIntent(IntentDefinition intent,uint256 nonce)IntentDefinition(uint8 intentType,address syndicateAddress,uint256 amount,address tokenAddress,uint32 sourceChainId,uint32 destinationChainId,uint256 ticketId,bool useOptimalRoute,uint256 maxFeePercentage,uint256 deadline,bytes metadata)"
+    );
+
     // State variables
     address public owner;
     address public ghoToken;
@@ -112,6 +122,9 @@ contract SyndicateIntentResolver is ReentrancyGuard {
     // Mapping to track intent execution status
     mapping(bytes32 => bool) public executedIntents;
 
+    // Relay nonces each user has used; a signed intent is submitted at most once
+    mapping(address => mapping(uint256 => bool)) public usedRelayNonces;
+
     // Events
     event IntentSubmitted(bytes32 indexed intentId, address indexed user, uint8 intentType);
     event IntentExecuted(bytes32 indexed intentId, bool success);
@@ -129,7 +142,7 @@ contract SyndicateIntentResolver is ReentrancyGuard {
         address _acrossBridgeAddress,
         address _megapotLotteryAddress,
         address _ticketRegistryAddress
-    ) ReentrancyGuard() {
+    ) ReentrancyGuard() EIP712("SyndicateIntentResolver", "1") {
         require(_ghoToken != address(0), "GHO token address cannot be zero");
         require(_acrossBridgeAddress != address(0), "Across bridge address cannot be zero");
         require(_megapotLotteryAddress != address(0), "Megapot lottery address cannot be zero");
@@ -167,9 +180,78 @@ contract SyndicateIntentResolver is ReentrancyGuard {
      * @return intentId The unique identifier for the submitted intent
      */
     function submitIntent(IntentDefinition memory intent) external nonReentrant returns (bytes32) {
+        return _submitIntent(intent, msg.sender);
+    }
+
+    /**
+     * @dev Submits an intent the user signed as EIP-712 typed data, so a relayer pays the gas
+     * The user's GHO is taken as in submitIntent; the user must have approved this contract for it
+     * @param intent The intent definition
+     * @param user The user who signed the intent
+     * @param nonce Relay nonce signed with the intent, unused by the user so far
+     * @param signature The user's EIP-712 signature of RelayedIntent(intent, nonce)
+     * @return intentId The unique identifier for the submitted intent
+     */
+    function submitIntentFor(
+        IntentDefinition memory intent,
+        address user,
+        uint256 nonce,
+        bytes memory signature
+    )
+        external
+        nonReentrant
+        returns (bytes32)
+    {
+        require(user != address(0), "Invalid user");
+        require(!usedRelayNonces[user][nonce], "Relay nonce already used");
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(RELAYED_INTENT_TYPEHASH, hashIntentDefinition(intent), nonce))
+        );
+        require(ECDSA.recover(digest, signature) == user, "Invalid signature");
+
+        usedRelayNonces[user][nonce] = true;
+        return _submitIntent(intent, user);
+    }
+
+    /**
+     * @dev EIP-712 struct hash of an intent definition
+     * @param intent The intent definition
+     * @return structHash The hash signed in RelayedIntent
+     */
+    function hashIntentDefinition(IntentDefinition memory intent) public pure returns (bytes32) {
+        return keccak256(
+            bytes.concat(
+                abi.encode(
+                    INTENT_DEFINITION_TYPEHASH,
+                    intent.intentType,
+                    intent.syndicateAddress,
+                    intent.amount,
+                    intent.tokenAddress,
+                    intent.sourceChainId,
+                    intent.destinationChainId
+                ),
+                abi.encode(
+                    intent.ticketId,
+                    intent.useOptimalRoute,
+                    intent.maxFeePercentage,
+                    intent.deadline,
+                    keccak256(intent.metadata)
+                )
+            )
+        );
+    }
+
+    /**
+     * @dev Takes the user's GHO for an intent and executes it when possible
+     * @param intent The intent definition
+     * @param user The user the intent is submitted for
+     * @return intentId The unique identifier for the submitted intent
+     */
+    function _submitIntent(IntentDefinition memory intent, address user) internal returns (bytes32) {
         require(intent.deadline > block.timestamp, "Intent deadline expired");
 
-        bytes32 intentId = createIntentId(intent, msg.sender);
+        bytes32 intentId = createIntentId(intent, user);
         require(!executedIntents[intentId], "Intent already submitted");
 
         // Handle different intent types
@@ -178,7 +260,7 @@ contract SyndicateIntentResolver is ReentrancyGuard {
             require(intent.amount > 0, "Amount must be greater than zero");
 
             // Transfer GHO tokens from user to this contract
-            bool transferSuccess = IGHO(ghoToken).transferFrom(msg.sender, address(this), intent.amount);
+            bool transferSuccess = IGHO(ghoToken).transferFrom(user, address(this), intent.amount);
             require(transferSuccess, "GHO transfer failed");
         }
         else if (intent.intentType == BUY_TICKET) {
@@ -186,7 +268,7 @@ contract SyndicateIntentResolver is ReentrancyGuard {
             require(intent.amount > 0, "Amount must be greater than zero");
 
             // Transfer GHO tokens from user to this contract
-            bool transferSuccess = IGHO(ghoToken).transferFrom(msg.sender, address(this), intent.amount);
+            bool transferSuccess = IGHO(ghoToken).transferFrom(user, address(this), intent.amount);
             require(transferSuccess, "GHO transfer failed");
         }
         else if (intent.intentType == CLAIM_WINNINGS) {
@@ -201,11 +283,11 @@ contract SyndicateIntentResolver is ReentrancyGuard {
             revert("Invalid intent type");
         }
 
-        emit IntentSubmitted(intentId, msg.sender, intent.intentType);
+        emit IntentSubmitted(intentId, user, intent.intentType);
 
         // If intent can be executed immediately, do so
         if (canExecuteImmediately(intent)) {
-            executeIntent(intentId, intent, msg.sender);
+            _executeIntent(intentId, intent, user);
         }
 
         return intentId;
@@ -235,6 +317,19 @@ contract SyndicateIntentResolver is ReentrancyGuard {
     function executeIntent(bytes32 intentId, IntentDefinition memory intent, address user)
         public
         nonReentrant
+    {
+        _executeIntent(intentId, intent, user);
+    }
+
+    /**
+     * @dev Executes an intent; shared by executeIntent and the functions that are already
+     * nonReentrant, as nesting executeIntent in them would revert
+     * @param intentId The unique identifier of the intent
+     * @param intent The intent definition
+     * @param user The user who submitted the intent
+     */
+    function _executeIntent(bytes32 intentId, IntentDefinition memory intent, address user)
+        internal
         intentNotExecuted(intentId)
     {
         bool success = false;
@@ -322,7 +417,7 @@ contract SyndicateIntentResolver is ReentrancyGuard {
         bytes32 messageHash = keccak256(abi.encodePacked(intentId, user));
         // Actual verification would recover signer from signature and check authorization
 
-        executeIntent(intentId, intent, user);
+        _executeIntent(intentId, intent, user);
     }
 
     /**
@@ -0,0 +1,136 @@
+/**
+ * @file admin-role-controller.js
+ * @description Admin controller for admin role grants and the audit trail
+ */
+
+const { isAddress } = require("ethers");
+const { Op } = require("sequelize");
+const db = require("../database");
+const { getActor, grantAdmin, revokeAdmin, recordAdminAction } = require("../services/admin-roles");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("admin");
+
+/**
+ * List admin roles (active only unless ?includeRevoked=true)
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.listRoles = async (req, res) => {
+  try {
+    const where = req.query.includeRevoked === "true" ? {} : { revokedAt: null };
+    const roles = await db.AdminRole.findAll({ where, order: [["createdAt", "DESC"]] });
+
+    res.json({ roles });
+  } catch (error) {
+    logger.error("Error listing admin roles", { error });
+    res.status(500).json({ error: "Failed to list admin roles" });
+  }
+};
+
+/**
+ * Grant the admin role to a wallet
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.grantRole = async (req, res) => {
+  try {
+    const { address } = req.body;
+    if (!isAddress(address)) {
+      return res.status(400).json({ error: "address must be an address" });
+    }
+
+    const { role, created } = await grantAdmin(address, getActor(req));
+
+    if (created) {
+      await recordAdminAction(req, "admin_role.grant", {
+        targetType: "AdminRole",
+        targetId: role.id,
+        details: { address: role.address },
+      });
+    }
+
+    res.status(created ? 201 : 200).json(role);
+  } catch (error) {
+    logger.error("Error granting admin role", { error });
+    res.status(500).json({ error: "Failed to grant admin role" });
+  }
+};
+
+/**
+ * Revoke the admin role from a wallet
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.revokeRole = async (req, res) => {
+  try {
+    const { address } = req.params;
+    if (!isAddress(address)) {
+      return res.status(400).json({ error: "address must be an address" });
+    }
+
+    const revoked = await revokeAdmin(address, getActor(req));
+    if (!revoked) {
+      return res.status(404).json({ error: "Admin role not found" });
+    }
+
+    await recordAdminAction(req, "admin_role.revoke", {
+      targetType: "AdminRole",
+      details: { address: address.toLowerCase() },
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error("Error revoking admin role", { error });
+    res.status(500).json({ error: "Failed to revoke admin role" });
+  }
+};
+
+/**
+ * List admin actions, filtered by actor, action, request ID and time range
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.listAuditLog = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.actor) {
+      where.actor = String(req.query.actor).toLowerCase();
+    }
+    if (req.query.action) {
+      where.action = req.query.action;
+    }
+    if (req.query.requestId) {
+      where.requestId = String(req.query.requestId);
+    }
+    if (req.query.from || req.query.to) {
+      where.createdAt = {};
+      if (req.query.from) {
+        where.createdAt[Op.gte] = new Date(req.query.from);
+      }
+      if (req.query.to) {
+        where.createdAt[Op.lt] = new Date(req.query.to);
+      }
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const { count, rows: entries } = await db.AdminAuditLog.findAndCountAll({
+      where,
+      limit,
+      offset: (page - 1) * limit,
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({
+      entries,
+      count,
+      page,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (error) {
+    logger.error("Error listing admin audit log", { error });
+    res.status(500).json({ error: "Failed to list admin audit log" });
+  }
+};
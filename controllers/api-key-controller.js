@@ -0,0 +1,96 @@
+/**
+ * @file api-key-controller.js
+ * @description Admin controller for creating, listing and revoking API keys
+ */
+
+const db = require("../database");
+const { SCOPES, createApiKey } = require("../services/api-keys");
+const { recordAdminAction } = require("../services/admin-roles");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("admin");
+
+/**
+ * List API keys (hashes are never returned)
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await db.ApiKey.findAll({ order: [["createdAt", "DESC"]] });
+
+    res.json({ apiKeys });
+  } catch (error) {
+    logger.error("Error listing API keys", { error });
+    res.status(500).json({ error: "Failed to list API keys" });
+  }
+};
+
+/**
+ * Create an API key; the plaintext key is only returned in this response
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { label, scopes, expiresAt = null } = req.body;
+
+    if (typeof label !== "string" || !label.trim()) {
+      return res.status(400).json({ error: "label is required" });
+    }
+    if (
+      !Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      scopes.some((scope) => !SCOPES.includes(scope))
+    ) {
+      return res.status(400).json({ error: `scopes must be a non-empty subset of ${SCOPES}` });
+    }
+    if (expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+      return res.status(400).json({ error: "expiresAt must be null or a date" });
+    }
+
+    const { key, apiKey } = await createApiKey({
+      label: label.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+    });
+
+    await recordAdminAction(req, "api_key.create", {
+      targetType: "ApiKey",
+      targetId: apiKey.id,
+      details: { label: apiKey.label, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+    });
+
+    res.status(201).json({ ...apiKey, key });
+  } catch (error) {
+    logger.error("Error creating API key", { error });
+    res.status(500).json({ error: "Failed to create API key" });
+  }
+};
+
+/**
+ * Revoke an API key
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await db.ApiKey.findByPk(req.params.keyId);
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    if (!apiKey.revokedAt) {
+      await apiKey.update({ revokedAt: new Date() });
+      await recordAdminAction(req, "api_key.revoke", {
+        targetType: "ApiKey",
+        targetId: apiKey.id,
+      });
+    }
+
+    res.json(apiKey);
+  } catch (error) {
+    logger.error("Error revoking API key", { error });
+    res.status(500).json({ error: "Failed to revoke API key" });
+  }
+};
@@ -0,0 +1,158 @@
+/**
+ * @file auth-controller.js
+ * @description Controller for Sign-In with Ethereum session endpoints
+ */
+
+const {
+  SIWE_DOMAIN,
+  SiweAuthError,
+  issueNonce,
+  signIn,
+  refreshSession,
+  revokeSession,
+} = require("../services/siwe-auth");
+const { SESSION_COOKIE, REFRESH_COOKIE } = require("../services/session-tokens");
+const { issueCsrfToken } = require("../csrf");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("auth");
+
+// The frontend is hosted separately, so session cookies must be sent cross-site
+const COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: "none",
+  secure: true,
+};
+
+/**
+ * Set the session cookies and send the tokens
+ * @param {object} res Express response object
+ * @param {object} session Tokens returned by the SIWE service
+ */
+function sendSession(res, session) {
+  res.cookie(SESSION_COOKIE, session.accessToken, {
+    ...COOKIE_OPTIONS,
+    path: "/",
+    expires: session.accessTokenExpiresAt,
+  });
+  res.cookie(REFRESH_COOKIE, session.refreshToken, {
+    ...COOKIE_OPTIONS,
+    path: "/auth",
+    expires: session.refreshTokenExpiresAt,
+  });
+
+  res.json({
+    address: session.address,
+    accessToken: session.accessToken,
+    accessTokenExpiresAt: session.accessTokenExpiresAt,
+    refreshToken: session.refreshToken,
+    refreshTokenExpiresAt: session.refreshTokenExpiresAt,
+  });
+}
+
+/**
+ * Issue a nonce for a SIWE message
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.getNonce = async (req, res) => {
+  try {
+    const { nonce, expiresAt } = await issueNonce();
+
+    res.json({ nonce, expiresAt, domain: SIWE_DOMAIN });
+  } catch (error) {
+    logger.error("Error issuing SIWE nonce", { error });
+    res.status(500).json({ error: "Failed to issue nonce" });
+  }
+};
+
+/**
+ * Issue the CSRF token browser clients echo in the x-csrf-token header
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.getCsrfToken = (req, res) => {
+  try {
+    res.json({ csrfToken: issueCsrfToken(req, res) });
+  } catch (error) {
+    logger.error("Error issuing CSRF token", { error });
+    res.status(500).json({ error: "Failed to issue CSRF token" });
+  }
+};
+
+/**
+ * Verify a signed SIWE message and start a session
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.verify = async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+
+    if (!message || !signature) {
+      return res.status(400).json({ error: "Missing 'message' or 'signature' field" });
+    }
+
+    const session = await signIn({ message, signature, userAgent: req.headers["user-agent"] });
+
+    sendSession(res, session);
+  } catch (error) {
+    if (error instanceof SiweAuthError) {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+    logger.error("Error verifying SIWE message", { error });
+    res.status(500).json({ error: "Failed to verify sign-in" });
+  }
+};
+
+/**
+ * Exchange a refresh token for new session tokens
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const refreshToken = req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE];
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Missing refresh token" });
+    }
+
+    const session = await refreshSession(refreshToken);
+
+    sendSession(res, session);
+  } catch (error) {
+    if (error instanceof SiweAuthError) {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+    logger.error("Error refreshing session", { error });
+    res.status(500).json({ error: "Failed to refresh session" });
+  }
+};
+
+/**
+ * End the current session
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId);
+
+    res.clearCookie(SESSION_COOKIE, { ...COOKIE_OPTIONS, path: "/" });
+    res.clearCookie(REFRESH_COOKIE, { ...COOKIE_OPTIONS, path: "/auth" });
+    res.status(204).end();
+  } catch (error) {
+    logger.error("Error logging out", { error });
+    res.status(500).json({ error: "Failed to log out" });
+  }
+};
+
+/**
+ * Get the wallet of the current session
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.me = (req, res) => {
+  res.json({ address: req.user.address });
+};
@@ -0,0 +1,74 @@
+/**
+ * @file authorization-decision-controller.js
+ * @description Admin controller for the stored /authorize decisions
+ */
+
+const { Op } = require("sequelize");
+const db = require("../database");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("admin");
+
+const OUTCOMES = ["allowed", "denied"];
+
+/**
+ * List authorization decisions, filtered by account, signer, app, outcome, reason, request ID and
+ * time range
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.listDecisions = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.account) {
+      where.account = String(req.query.account).toLowerCase();
+    }
+    if (req.query.signedBy) {
+      where.signedBy = String(req.query.signedBy).toLowerCase();
+    }
+    if (req.query.app) {
+      where.app = String(req.query.app).toLowerCase();
+    }
+    if (req.query.outcome) {
+      if (!OUTCOMES.includes(req.query.outcome)) {
+        return res.status(400).json({ error: `outcome must be one of ${OUTCOMES.join(", ")}` });
+      }
+      where.allowed = req.query.outcome === "allowed";
+    }
+    if (req.query.reason) {
+      where.reason = req.query.reason;
+    }
+    if (req.query.requestId) {
+      where.requestId = String(req.query.requestId);
+    }
+    if (req.query.from || req.query.to) {
+      where.createdAt = {};
+      if (req.query.from) {
+        where.createdAt[Op.gte] = new Date(req.query.from);
+      }
+      if (req.query.to) {
+        where.createdAt[Op.lt] = new Date(req.query.to);
+      }
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const { count, rows: decisions } = await db.AuthorizationDecision.findAndCountAll({
+      where,
+      limit,
+      offset: (page - 1) * limit,
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({
+      decisions,
+      count,
+      page,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (error) {
+    logger.error("Error listing authorization decisions", { error });
+    res.status(500).json({ error: "Failed to list authorization decisions" });
+  }
+};
@@ -0,0 +1,186 @@
+/**
+ * @file authorization-rule-controller.js
+ * @description Admin controller for the allow/deny rules used by POST /authorize
+ */
+
+const { isAddress } = require("ethers");
+const db = require("../database");
+const { ROLES } = require("../services/authorization-policy");
+const { recordAdminAction } = require("../services/admin-roles");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("admin");
+
+const SCOPES = ["APP", "ACCOUNT"];
+const EFFECTS = ["ALLOW", "DENY"];
+
+/**
+ * Validate and normalize the writable fields of a rule
+ * @param {object} body Request body
+ * @param {boolean} partial Whether missing required fields are allowed (updates)
+ * @returns {{ values?: object, error?: string }} Normalized values or a validation error
+ */
+function parseRule(body, partial) {
+  const values = {};
+
+  if (body.scope !== undefined || !partial) {
+    if (!SCOPES.includes(body.scope)) {
+      return { error: `scope must be one of ${SCOPES.join(", ")}` };
+    }
+    values.scope = body.scope;
+  }
+
+  if (body.subject !== undefined || !partial) {
+    if (!isAddress(body.subject)) {
+      return { error: "subject must be an address" };
+    }
+    values.subject = body.subject.toLowerCase();
+  }
+
+  if (body.effect !== undefined || !partial) {
+    if (!EFFECTS.includes(body.effect)) {
+      return { error: `effect must be one of ${EFFECTS.join(", ")}` };
+    }
+    values.effect = body.effect;
+  }
+
+  if (body.role !== undefined) {
+    if (body.role !== null && !ROLES.includes(body.role)) {
+      return { error: `role must be null or one of ${ROLES.join(", ")}` };
+    }
+    values.role = body.role;
+  }
+
+  if (body.signer !== undefined) {
+    if (body.signer !== null && !isAddress(body.signer)) {
+      return { error: "signer must be null or an address" };
+    }
+    values.signer = body.signer ? body.signer.toLowerCase() : null;
+  }
+
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt !== null && Number.isNaN(Date.parse(body.expiresAt))) {
+      return { error: "expiresAt must be null or a date" };
+    }
+    values.expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+  }
+
+  if (body.note !== undefined) {
+    values.note = body.note;
+  }
+
+  return { values };
+}
+
+/**
+ * List authorization rules, optionally filtered by scope or subject
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.listRules = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.scope) {
+      where.scope = req.query.scope;
+    }
+    if (req.query.subject) {
+      where.subject = String(req.query.subject).toLowerCase();
+    }
+
+    const rules = await db.AuthorizationRule.findAll({
+      where,
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({ rules });
+  } catch (error) {
+    logger.error("Error listing authorization rules", { error });
+    res.status(500).json({ error: "Failed to list authorization rules" });
+  }
+};
+
+/**
+ * Create an authorization rule
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const { values, error } = parseRule(req.body, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rule = await db.AuthorizationRule.create(values);
+
+    await recordAdminAction(req, "authorization_rule.create", {
+      targetType: "AuthorizationRule",
+      targetId: rule.id,
+      details: values,
+    });
+
+    res.status(201).json(rule);
+  } catch (error) {
+    logger.error("Error creating authorization rule", { error });
+    res.status(500).json({ error: "Failed to create authorization rule" });
+  }
+};
+
+/**
+ * Update an authorization rule
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const { values, error } = parseRule(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rule = await db.AuthorizationRule.findByPk(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ error: "Authorization rule not found" });
+    }
+
+    await rule.update(values);
+
+    await recordAdminAction(req, "authorization_rule.update", {
+      targetType: "AuthorizationRule",
+      targetId: rule.id,
+      details: values,
+    });
+
+    res.json(rule);
+  } catch (error) {
+    logger.error("Error updating authorization rule", { error });
+    res.status(500).json({ error: "Failed to update authorization rule" });
+  }
+};
+
+/**
+ * Delete an authorization rule
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await db.AuthorizationRule.findByPk(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ error: "Authorization rule not found" });
+    }
+
+    await rule.destroy();
+
+    await recordAdminAction(req, "authorization_rule.delete", {
+      targetType: "AuthorizationRule",
+      targetId: rule.id,
+      details: rule.toJSON(),
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error("Error deleting authorization rule", { error });
+    res.status(500).json({ error: "Failed to delete authorization rule" });
+  }
+};
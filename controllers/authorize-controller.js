@@ -0,0 +1,90 @@
+/**
+ * @file authorize-controller.js
+ * @description Controller for the Lens authorization endpoint
+ */
+
+const db = require("../database");
+const { evaluateAuthorization } = require("../services/authorization-policy");
+const { recordAuthorizationDecision } = require("../services/authorization-decisions");
+const { determineSponsorship } = require("../services/sponsorship");
+const { selectSigningKey, recordKeyUsage } = require("../services/app-signer-keys");
+const { createLogger } = require("../services/logger");
+const { authorizeDecisionsTotal } = require("../services/metrics");
+
+const logger = createLogger("authorize");
+
+/**
+ * Decide whether a wallet may log in to a Lens account, and answer with the app signer key
+ * Updated to match April 2025 Lens Protocol changes
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.authorize = async (req, res) => {
+  const { account, signedBy, app, role } = req.body;
+
+  if (!account || !signedBy) {
+    logger.warn("Missing 'account' or 'signedBy' field");
+    return res.status(400).json({ error: "Missing 'account' or 'signedBy' field" });
+  }
+
+  const request = { account, signedBy, app: app || null, role: role || "accountOwner" };
+  logger.info("Authorization requested", request);
+
+  try {
+    // Check the signedBy address against the stored app/account rules for the requested
+    // role (accountOwner, accountManager, onboardingUser, builder)
+    const decision = await evaluateAuthorization({ account, signedBy, app, role });
+
+    if (!decision.allowed) {
+      logger.warn("Authorization denied", { ...request, reason: decision.reason });
+      await recordAuthorizationDecision(req, decision);
+      authorizeDecisionsTotal.inc({ outcome: "deny" });
+      return res.json({
+        allowed: false,
+        reason: decision.reason,
+      });
+    }
+
+    // Get the App Signer signing key - this is used by Lens for the new verification approach
+    // instead of the previous server-to-server callback. It is never the relayer's PRIVATE_KEY.
+    const signerKey = await selectSigningKey({ app });
+
+    if (!signerKey) {
+      logger.error("No signing key available");
+      return res.status(500).json({
+        error: "No signing key available",
+      });
+    }
+
+    // Determines if one of our sponsorship programs still has budget for this user. The spend
+    // and the key usage commit together, so a failed response never charges the budget.
+    const sponsorship = await db.sequelize.transaction(async (transaction) => {
+      const result = await determineSponsorship({ account, signedBy, app }, { transaction });
+      await recordKeyUsage(signerKey, { account, app }, { transaction });
+      return result;
+    });
+    const isSponsored = sponsorship.sponsored;
+
+    await recordAuthorizationDecision(req, { ...decision, sponsorship, signerKey });
+
+    const response = {
+      allowed: true,
+      sponsored: isSponsored,
+      signingKey: signerKey.privateKey, // Previously this was appVerificationEndpoint
+    };
+
+    authorizeDecisionsTotal.inc({ outcome: isSponsored ? "sponsor" : "allow" });
+    logger.info("Authorization allowed", {
+      ...request,
+      sponsored: isSponsored,
+      signerKey: signerKey.name,
+      signerKeyVersion: signerKey.version,
+    });
+    res.json(response);
+  } catch (error) {
+    logger.error("Failed to process authorization request", { error });
+    res.status(500).json({
+      error: "Failed to process authorization request",
+    });
+  }
+};
@@ -3,11 +3,83 @@
  * @description Controller for intent-related API endpoints
  */
 
+const { UniqueConstraintError } = require("sequelize");
 const db = require("../database");
 const ethers = require("ethers");
+const { settings } = require("../config");
+const { getActor, recordAdminAction } = require("../services/admin-roles");
+const { createLogger } = require("../services/logger");
+const { intentsSubmittedTotal } = require("../services/metrics");
+const lensChain = require("../services/lens-chain-service");
+const {
+  toIntentDefinition,
+  fromIntentDefinition,
+  computeIntentId,
+  encodeSubmitIntent,
+} = require("../services/intent-definition");
+const { validateIntent } = require("../services/intent-validation");
+const {
+  isRelayEnabled,
+  getRelayTypedData,
+  recoverRelaySigner,
+  getNextRelayNonce,
+  prepareRelay,
+  sendRelay,
+} = require("../services/intent-relay");
+const {
+  InvalidCursorError,
+  buildIntentSearch,
+  encodeCursor,
+} = require("../services/intent-search");
+const {
+  ACTORS,
+  INTENT_STATUS,
+  IntentSubmittedError,
+  IntentTransitionError,
+  cancelIntent,
+  recordIntentCreated,
+  transitionIntent,
+} = require("../services/intent-lifecycle");
+
+const logger = createLogger("intents");
+
+// Fields returned for each intent in lists
+const SUMMARY_ATTRIBUTES = [
+  "intentId",
+  "user",
+  "intentType",
+  "syndicateAddress",
+  "amount",
+  "tokenAddress",
+  "sourceChainId",
+  "destinationChainId",
+  "status",
+  "deadline",
+  "createdAt",
+];
+
+/**
+ * Estimate the gas of a submitIntent transaction from the user's wallet
+ * Fails when the call would revert, e.g. while the resolver has no GHO allowance yet
+ * @param {object} transaction { from, to, data }
+ * @returns {Promise<{ gas: string|null, error?: string }>} The estimate, or why there is none
+ */
+async function estimateSubmitGas({ from, to, data }) {
+  try {
+    const gas = await lensChain.publicClient.estimateGas({ account: from, to, data });
+    return { gas: gas.toString() };
+  } catch (error) {
+    return { gas: null, error: error.shortMessage || error.message };
+  }
+}
 
 /**
  * Submit a new intent
+ *
+ * Stores the intent under the intentId SyndicateIntentResolver will derive for it and answers
+ * with the submitIntent transaction for the user to sign. The processor matches the transaction's
+ * IntentSubmitted event to this record by that ID.
+ *
  * @param {object} req Express request object
  * @param {object} res Express response object
  */
@@ -20,69 +92,225 @@ exports.submitIntent = async (req, res) => {
       tokenAddress,
       sourceChainId,
       destinationChainId,
+      ticketId = "0",
       useOptimalRoute = true,
       maxFeePercentage = 0,
       deadline,
+      encodedData = "0x",
     } = req.body;
 
-    // Validate required fields
-    if (
-      !intentType ||
-      !syndicateAddress ||
-      !amount ||
-      !tokenAddress ||
-      !sourceChainId ||
-      !destinationChainId ||
-      !deadline
-    ) {
-      return res.status(400).json({ error: "Missing required fields" });
-    }
-
-    // Generate a unique intent ID (this would normally be done by the contract)
-    const intentId =
-      "0x" +
-      ethers.utils
-        .keccak256(
-          ethers.utils.defaultAbiCoder.encode(
-            ["address", "uint256", "address", "uint8", "uint256"],
-            [req.user.address, Date.now(), syndicateAddress, intentType, amount]
-          )
-        )
-        .substr(2, 64);
-
-    // Create the intent in the database
-    const intent = await db.Intent.create({
-      intentId,
-      user: req.user.address,
+    // Signed-in wallets submit for themselves; API key integrations name the user explicitly
+    const user = req.user ? req.user.address : req.body.user;
+
+    // Addresses, deadline window, amount bounds and the chain route allowed for the intent type
+    const errors = validateIntent({ ...req.body, user });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Bad Request", reason: "INVALID_REQUEST", errors });
+    }
+
+    const resolverAddress = settings.LENS_INTENT_RESOLVER;
+    if (!resolverAddress) {
+      logger.error("LENS_INTENT_RESOLVER is not set");
+      return res.status(503).json({ error: "Intent submission is not configured" });
+    }
+
+    // The intent exactly as the contract will hash it, with the user as msg.sender
+    const from = ethers.getAddress(user);
+    const definition = toIntentDefinition({
       intentType,
       syndicateAddress,
       amount,
       tokenAddress,
       sourceChainId,
       destinationChainId,
+      ticketId,
       useOptimalRoute,
       maxFeePercentage,
       deadline,
-      status: "PENDING",
-      metadata: req.body.metadata || {},
+      encodedData,
     });
+    const intentId = computeIntentId(definition, from);
 
-    // For now, the actual submission to the blockchain would happen separately
-    // In a real implementation, we would sign and submit the transaction here
+    const [intent, created] = await db.Intent.findOrCreate({
+      where: { intentId },
+      defaults: {
+        ...fromIntentDefinition(definition),
+        user: from,
+        status: INTENT_STATUS.PENDING,
+        metadata: req.body.metadata || {},
+        requestId: req.id ?? null,
+      },
+    });
+
+    // The same definition from the same wallet always has the same ID, and the contract accepts
+    // it only once
+    if (!created) {
+      return res.status(409).json({ error: "Intent already submitted", intentId });
+    }
+    await recordIntentCreated(intent, { actor: getActor(req) });
+    intentsSubmittedTotal.inc({ type: String(intentType) });
+
+    const data = encodeSubmitIntent(definition);
+    const estimate = await estimateSubmitGas({ from, to: resolverAddress, data });
 
     res.status(201).json({
       intentId: intent.intentId,
       status: intent.status,
       createdAt: intent.createdAt,
+      transaction: {
+        chainId: lensChain.activeChain.id,
+        from,
+        to: resolverAddress,
+        data,
+        gas: estimate.gas,
+        ...(estimate.error && { gasEstimateError: estimate.error }),
+      },
     });
   } catch (error) {
-    console.error("Error submitting intent:", error);
+    logger.error("Error submitting intent", { error });
     res.status(500).json({ error: "Failed to submit intent" });
   }
 };
 
+/**
+ * Get the EIP-712 typed data to sign for a relayed intent, and the user's next nonce
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.getRelayTypedData = async (req, res) => {
+  try {
+    if (!isRelayEnabled()) {
+      return res.status(503).json({ error: "Intent relay is not configured" });
+    }
+
+    const user = ethers.getAddress(req.params.address.toLowerCase());
+    const nonce = await getNextRelayNonce(user);
+
+    res.json({ user, nonce, ...getRelayTypedData() });
+  } catch (error) {
+    logger.error("Error getting relay typed data", { error });
+    res.status(500).json({ error: "Failed to get relay typed data" });
+  }
+};
+
+/**
+ * Relay an intent the user signed as EIP-712 typed data, so they pay no gas
+ *
+ * Checks the intent like submitIntent, then the signature and nonce, stores the intent under the
+ * ID createIntentId gives it for the user and sends submitIntentFor from the relayer, which checks
+ * the signature again and takes the user's GHO. The answer comes once the transaction is sent; its
+ * receipt moves the intent on in the background.
+ *
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.relayIntent = async (req, res) => {
+  try {
+    if (!isRelayEnabled()) {
+      return res.status(503).json({ error: "Intent relay is not configured" });
+    }
+
+    const { nonce, signature } = req.body;
+
+    // Signed-in wallets relay their own intents; API key integrations relay any user's signature
+    if (req.user && req.user.address.toLowerCase() !== req.body.user.toLowerCase()) {
+      return res.status(403).json({ error: "Forbidden", reason: "NOT_INTENT_OWNER" });
+    }
+
+    const errors = validateIntent(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Bad Request", reason: "INVALID_REQUEST", errors });
+    }
+
+    const user = ethers.getAddress(req.body.user);
+    const definition = toIntentDefinition(req.body);
+
+    if (recoverRelaySigner(definition, nonce, signature) !== user) {
+      return res.status(400).json({
+        error: "Bad Request",
+        reason: "INVALID_SIGNATURE",
+        errors: [
+          {
+            in: "body",
+            path: "/signature",
+            message: "must be the user's EIP-712 signature of the intent and nonce",
+          },
+        ],
+      });
+    }
+
+    const expectedNonce = await getNextRelayNonce(user);
+    if (nonce !== expectedNonce) {
+      return res
+        .status(409)
+        .json({ error: "Invalid nonce", reason: "INVALID_NONCE", nonce: expectedNonce });
+    }
+
+    const intentId = computeIntentId(definition, user);
+    if (await db.Intent.findOne({ where: { intentId }, attributes: ["id"] })) {
+      return res.status(409).json({ error: "Intent already submitted", intentId });
+    }
+
+    // Nothing is stored for an intent the user cannot fund or the resolver would reject, so its
+    // nonce stays unused
+    const { call, reason, detail } = await prepareRelay(definition, user, { nonce, signature });
+    if (!call) {
+      return res.status(422).json({ error: "The intent cannot be relayed", reason, detail });
+    }
+
+    let intent;
+    try {
+      intent = await db.Intent.create({
+        ...fromIntentDefinition(definition),
+        intentId,
+        user,
+        status: INTENT_STATUS.PENDING,
+        metadata: req.body.metadata || {},
+        relayNonce: nonce,
+        requestId: req.id ?? null,
+      });
+    } catch (error) {
+      // A concurrent relay used the same nonce or intent first
+      if (error instanceof UniqueConstraintError) {
+        return res.status(409).json({ error: "Invalid nonce", reason: "INVALID_NONCE" });
+      }
+      throw error;
+    }
+    await recordIntentCreated(intent, { actor: getActor(req) });
+    intentsSubmittedTotal.inc({ type: String(intent.intentType) });
+
+    let relay;
+    try {
+      relay = await sendRelay(intent, call, { nonce, signature });
+    } catch (error) {
+      logger.error("Error sending relay transaction", { error, intentId });
+      await transitionIntent(intent, INTENT_STATUS.FAILED, {
+        actor: ACTORS.RELAYER,
+        reason: `Relay failed: ${error.shortMessage || error.message}`,
+      });
+      return res.status(502).json({ error: "Failed to relay intent", intentId });
+    }
+
+    res.status(202).json({
+      intentId: intent.intentId,
+      status: intent.status,
+      createdAt: intent.createdAt,
+      transaction: {
+        chainId: relay.chainId,
+        txHash: relay.txHash,
+        type: relay.type,
+        status: relay.status,
+      },
+    });
+  } catch (error) {
+    logger.error("Error relaying intent", { error });
+    res.status(500).json({ error: "Failed to relay intent" });
+  }
+};
+
 /**
  * Get an intent by ID
+ * Signed-in wallets can only read their own intents; API keys with intents:read read every user's
  * @param {object} req Express request object
  * @param {object} res Express response object
  */
@@ -98,6 +326,22 @@ exports.getIntent = async (req, res) => {
           as: "transactions",
           attributes: ["chainId", "txHash", "status", "type", "createdAt"],
         },
+        {
+          model: db.IntentStatusEvent,
+          as: "statusEvents",
+          attributes: ["fromStatus", "toStatus", "actor", "reason", "requestId", "createdAt"],
+          include: [
+            {
+              model: db.Transaction,
+              as: "transaction",
+              attributes: ["chainId", "txHash", "type"],
+            },
+          ],
+        },
+      ],
+      order: [
+        [{ model: db.IntentStatusEvent, as: "statusEvents" }, "createdAt", "ASC"],
+        [{ model: db.IntentStatusEvent, as: "statusEvents" }, "id", "ASC"],
       ],
     });
 
@@ -105,9 +349,14 @@ exports.getIntent = async (req, res) => {
       return res.status(404).json({ error: "Intent not found" });
     }
 
+    if (req.user && intent.user.toLowerCase() !== req.user.address.toLowerCase()) {
+      return res.status(403).json({ error: "Forbidden", reason: "NOT_INTENT_OWNER" });
+    }
+
     res.json({
       intentId: intent.intentId,
       status: intent.status,
+      statusReason: intent.statusReason,
       user: intent.user,
       intentType: intent.intentType,
       syndicateAddress: intent.syndicateAddress,
@@ -115,33 +364,99 @@ exports.getIntent = async (req, res) => {
       sourceChainId: intent.sourceChainId,
       destinationChainId: intent.destinationChainId,
       transactions: intent.transactions,
+      timeline: intent.statusEvents,
       createdAt: intent.createdAt,
       updatedAt: intent.updatedAt,
     });
   } catch (error) {
-    console.error("Error getting intent:", error);
+    logger.error("Error getting intent", { error });
     res.status(500).json({ error: "Failed to get intent" });
   }
 };
 
+/**
+ * Search intents by user, syndicate, token, type, status, route and creation time
+ *
+ * Pages follow `nextCursor`, which is null on the last page. Signed-in wallets only see their own
+ * intents; API keys with intents:read can search every user's.
+ *
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.searchIntents = async (req, res) => {
+  try {
+    const query = { ...req.query };
+    if (req.user) {
+      if (query.user && query.user.toLowerCase() !== req.user.address.toLowerCase()) {
+        return res.status(403).json({ error: "Forbidden", reason: "NOT_INTENT_OWNER" });
+      }
+      query.user = req.user.address;
+    }
+
+    let search;
+    try {
+      search = buildIntentSearch(query);
+    } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        return res.status(400).json({
+          error: "Bad Request",
+          reason: "INVALID_REQUEST",
+          errors: [{ in: "query", path: "/cursor", message: error.message }],
+        });
+      }
+      throw error;
+    }
+
+    const rows = await db.Intent.findAll({
+      where: search.where,
+      order: search.order,
+      limit: search.limit,
+      attributes: ["id", ...SUMMARY_ATTRIBUTES],
+    });
+
+    const page = rows.slice(0, search.limit - 1);
+    const hasMore = rows.length > page.length;
+
+    res.json({
+      intents: page.map((intent) => {
+        const { id, ...summary } = intent.toJSON();
+        return summary;
+      }),
+      nextCursor: hasMore ? encodeCursor(search.sort, page[page.length - 1]) : null,
+    });
+  } catch (error) {
+    logger.error("Error searching intents", { error });
+    res.status(500).json({ error: "Failed to search intents" });
+  }
+};
+
 /**
  * Get all intents for a user
+ * Signed-in wallets can only list their own intents, as in searchIntents
  * @param {object} req Express request object
  * @param {object} res Express response object
  */
 exports.getUserIntents = async (req, res) => {
   try {
     const { address } = req.params;
+    if (req.user && address.toLowerCase() !== req.user.address.toLowerCase()) {
+      return res.status(403).json({ error: "Forbidden", reason: "NOT_INTENT_OWNER" });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
 
+    // Intents are stored with checksummed addresses
     const { count, rows: intents } = await db.Intent.findAndCountAll({
-      where: { user: address },
+      where: { user: ethers.getAddress(address.toLowerCase()) },
       limit,
       offset,
-      order: [["createdAt", "DESC"]],
-      attributes: ["intentId", "intentType", "syndicateAddress", "status", "createdAt"],
+      order: [
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ],
+      attributes: SUMMARY_ATTRIBUTES,
     });
 
     res.json({
@@ -151,11 +466,69 @@ exports.getUserIntents = async (req, res) => {
       totalPages: Math.ceil(count / limit),
     });
   } catch (error) {
-    console.error("Error getting user intents:", error);
+    logger.error("Error getting user intents", { error });
     res.status(500).json({ error: "Failed to get user intents" });
   }
 };
 
+/**
+ * Cancel an intent that has not been submitted on-chain
+ * Signed-in wallets can only cancel their own intents; API key integrations act for their users
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.cancelIntent = async (req, res) => {
+  try {
+    const { intentId } = req.params;
+
+    const intent = await db.Intent.findOne({
+      where: { intentId },
+    });
+
+    if (!intent) {
+      return res.status(404).json({ error: "Intent not found" });
+    }
+
+    if (req.user && intent.user.toLowerCase() !== req.user.address.toLowerCase()) {
+      return res.status(403).json({ error: "Forbidden", reason: "NOT_INTENT_OWNER" });
+    }
+
+    let cancelled;
+    try {
+      cancelled = await cancelIntent(intent, { actor: getActor(req), reason: req.body?.reason });
+    } catch (error) {
+      if (error instanceof IntentSubmittedError) {
+        return res.status(409).json({
+          error: "Intents submitted on-chain cannot be cancelled",
+          reason: "INTENT_SUBMITTED",
+          status: intent.status,
+        });
+      }
+      throw error;
+    }
+
+    if (!cancelled) {
+      await intent.reload();
+      return res.status(409).json({
+        error: "Only pending intents can be cancelled",
+        status: intent.status,
+      });
+    }
+
+    logger.info("Intent cancelled", { intentId, user: intent.user });
+
+    res.json({
+      intentId: intent.intentId,
+      status: intent.status,
+      statusReason: intent.statusReason,
+      updatedAt: intent.updatedAt,
+    });
+  } catch (error) {
+    logger.error("Error cancelling intent", { error });
+    res.status(500).json({ error: "Failed to cancel intent" });
+  }
+};
+
 /**
  * Update an intent (admin only)
  * @param {object} req Express request object
@@ -164,9 +537,9 @@ exports.getUserIntents = async (req, res) => {
 exports.updateIntent = async (req, res) => {
   try {
     const { intentId } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
-    if (!status || !["PENDING", "EXECUTING", "COMPLETED", "FAILED"].includes(status)) {
+    if (!status || !Object.values(INTENT_STATUS).includes(status)) {
       return res.status(400).json({ error: "Invalid status" });
     }
 
@@ -178,16 +551,37 @@ exports.updateIntent = async (req, res) => {
       return res.status(404).json({ error: "Intent not found" });
     }
 
-    // Update the intent
-    await intent.update({ status });
+    // Only transitions of the state machine are allowed; terminal statuses keep their reason
+    const previousStatus = intent.status;
+    const statusReason = reason || "Set by an administrator";
+    try {
+      await transitionIntent(intent, status, { actor: getActor(req), reason: statusReason });
+    } catch (error) {
+      if (error instanceof IntentTransitionError) {
+        return res.status(409).json({
+          error: "Invalid status transition",
+          from: error.from,
+          to: error.to,
+          allowed: error.allowed,
+        });
+      }
+      throw error;
+    }
+
+    await recordAdminAction(req, "intent.update", {
+      targetType: "Intent",
+      targetId: intent.intentId,
+      details: { from: previousStatus, to: status, reason: statusReason },
+    });
 
     res.json({
       intentId: intent.intentId,
       status: intent.status,
+      statusReason: intent.statusReason,
       updatedAt: intent.updatedAt,
     });
   } catch (error) {
-    console.error("Error updating intent:", error);
+    logger.error("Error updating intent", { error });
     res.status(500).json({ error: "Failed to update intent" });
   }
 };
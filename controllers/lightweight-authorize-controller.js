@@ -0,0 +1,50 @@
+/**
+ * @file lightweight-authorize-controller.js
+ * @description Authorization endpoint for the lightweight deployment (no database)
+ * Allows every login and answers with the environment app signer key
+ */
+
+const { loadEnvironmentSigningKey } = require("../services/app-signer-keystore");
+const { createLogger } = require("../services/logger");
+const { authorizeDecisionsTotal } = require("../services/metrics");
+
+const logger = createLogger("authorize");
+
+/**
+ * Allow a login without policy, sponsorship or key rotation
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.authorize = async (req, res) => {
+  const { account, signedBy } = req.body;
+
+  if (!account || !signedBy) {
+    logger.warn("Missing 'account' or 'signedBy' field");
+    return res.status(400).json({ error: "Missing 'account' or 'signedBy' field" });
+  }
+
+  logger.info("Authorization requested", { account, signedBy });
+
+  try {
+    // The app signer comes from APP_SIGNER_KEYSTORE_PATH (or APP_SIGNER_PRIVATE_KEY), never from
+    // the relayer's PRIVATE_KEY
+    const signerKey = await loadEnvironmentSigningKey();
+    if (!signerKey) {
+      logger.error("No signing key available");
+      return res.status(500).json({ error: "No signing key available" });
+    }
+
+    const response = {
+      allowed: true,
+      sponsored: false,
+      signingKey: signerKey.privateKey,
+    };
+
+    authorizeDecisionsTotal.inc({ outcome: "allow" });
+    logger.info("Authorization allowed", { account, signedBy, sponsored: false });
+    res.json(response);
+  } catch (error) {
+    logger.error("Failed to process authorization request", { error });
+    res.status(500).json({ error: "Failed to process authorization request" });
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * @file readiness-controller.js
+ * @description Controller for the readiness probe
+ */
+
+const { checkReadiness } = require("../services/readiness");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("readiness");
+
+/**
+ * Report the status and latency of every dependency
+ * Answers 503 when a critical dependency fails, so load balancers stop routing to this instance
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.getReadiness = async (req, res) => {
+  try {
+    const { ready, status, checks } = await checkReadiness();
+
+    if (!ready) {
+      logger.warn("Not ready", { checks });
+    }
+
+    res.status(ready ? 200 : 503).json({
+      status,
+      timestamp: new Date().toISOString(),
+      checks,
+    });
+  } catch (error) {
+    logger.error("Error checking readiness", { error });
+    res.status(503).json({ status: "unavailable", error: "Failed to check readiness" });
+  }
+};
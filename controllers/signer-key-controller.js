@@ -0,0 +1,158 @@
+/**
+ * @file signer-key-controller.js
+ * @description Admin controller for app-signer key rotation and usage
+ */
+
+const { isAddress } = require("ethers");
+const db = require("../database");
+const { scheduleKeyRotation, DEFAULT_KEY_NAME } = require("../services/app-signer-keys");
+const { recordAdminAction } = require("../services/admin-roles");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("admin");
+
+/**
+ * List stored app-signer keys (keystores are never returned)
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.listKeys = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.app) {
+      where.app = String(req.query.app).toLowerCase();
+    }
+    if (req.query.name) {
+      where.name = req.query.name;
+    }
+
+    const keys = await db.AppSignerKey.findAll({
+      where,
+      order: [
+        ["name", "ASC"],
+        ["version", "DESC"],
+      ],
+    });
+
+    res.json({ keys });
+  } catch (error) {
+    logger.error("Error listing app signer keys", { error });
+    res.status(500).json({ error: "Failed to list app signer keys" });
+  }
+};
+
+/**
+ * Import a keystore as the next version of a named key and schedule the rotation
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.createKey = async (req, res) => {
+  try {
+    const { keystore, app = null, name = DEFAULT_KEY_NAME, passwordEnv, overlapSeconds } = req.body;
+
+    if (!keystore) {
+      return res.status(400).json({ error: "keystore is required" });
+    }
+    if (app !== null && !isAddress(app)) {
+      return res.status(400).json({ error: "app must be null or an address" });
+    }
+    if (passwordEnv !== undefined && !process.env[passwordEnv]) {
+      return res.status(400).json({ error: `Environment variable ${passwordEnv} is not set` });
+    }
+    if (overlapSeconds !== undefined && (!Number.isInteger(overlapSeconds) || overlapSeconds < 0)) {
+      return res.status(400).json({ error: "overlapSeconds must be a non-negative integer" });
+    }
+
+    const activatesAt = req.body.activatesAt ? new Date(req.body.activatesAt) : new Date();
+    if (Number.isNaN(activatesAt.getTime())) {
+      return res.status(400).json({ error: "activatesAt must be a date" });
+    }
+
+    const key = await scheduleKeyRotation({
+      keystore,
+      app,
+      name,
+      passwordEnv,
+      activatesAt,
+      overlapSeconds,
+    });
+
+    // The keystore itself is never written to the audit trail
+    await recordAdminAction(req, "signer_key.create", {
+      targetType: "AppSignerKey",
+      targetId: key.id,
+      details: { app: key.app, name: key.name, version: key.version, activatesAt, overlapSeconds },
+    });
+
+    res.status(201).json(key);
+  } catch (error) {
+    if (error.code === "INVALID_KEYSTORE") {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error("Error creating app signer key", { error });
+    res.status(500).json({ error: "Failed to create app signer key" });
+  }
+};
+
+/**
+ * Retire a key immediately
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.retireKey = async (req, res) => {
+  try {
+    const key = await db.AppSignerKey.findByPk(req.params.keyId);
+    if (!key) {
+      return res.status(404).json({ error: "App signer key not found" });
+    }
+
+    await key.update({ retiresAt: new Date() });
+
+    await recordAdminAction(req, "signer_key.retire", {
+      targetType: "AppSignerKey",
+      targetId: key.id,
+    });
+
+    res.json(key);
+  } catch (error) {
+    logger.error("Error retiring app signer key", { error });
+    res.status(500).json({ error: "Failed to retire app signer key" });
+  }
+};
+
+/**
+ * List which key versions answered /authorize calls
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.listKeyUsage = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.keyId) {
+      where.keyId = req.query.keyId;
+    }
+    if (req.query.account) {
+      where.account = String(req.query.account).toLowerCase();
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const { count, rows: usages } = await db.SignerKeyUsage.findAndCountAll({
+      where,
+      limit,
+      offset: (page - 1) * limit,
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({
+      usages,
+      count,
+      page,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (error) {
+    logger.error("Error listing app signer key usage", { error });
+    res.status(500).json({ error: "Failed to list app signer key usage" });
+  }
+};
@@ -0,0 +1,223 @@
+/**
+ * @file sponsorship-controller.js
+ * @description Admin controller for sponsorship programs and spend reporting
+ */
+
+const { isAddress } = require("ethers");
+const { Op } = require("sequelize");
+const db = require("../database");
+const { getAccountUsage } = require("../services/sponsorship");
+const { recordAdminAction } = require("../services/admin-roles");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("admin");
+
+const LIMIT_FIELDS = [
+  "budgetCap",
+  "accountDailyLimit",
+  "accountMonthlyLimit",
+  "appDailyLimit",
+  "appMonthlyLimit",
+];
+
+/**
+ * Validate and normalize the writable fields of a program
+ * @param {object} body Request body
+ * @param {boolean} partial Whether missing required fields are allowed (updates)
+ * @returns {{ values?: object, error?: string }} Normalized values or a validation error
+ */
+function parseProgram(body, partial) {
+  const values = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "name is required" };
+    }
+    values.name = body.name.trim();
+  }
+
+  if (body.app !== undefined) {
+    if (body.app !== null && !isAddress(body.app)) {
+      return { error: "app must be null or an address" };
+    }
+    values.app = body.app ? body.app.toLowerCase() : null;
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== "boolean") {
+      return { error: "active must be a boolean" };
+    }
+    values.active = body.active;
+  }
+
+  if (body.unitCost !== undefined) {
+    if (!Number.isInteger(body.unitCost) || body.unitCost < 1) {
+      return { error: "unitCost must be a positive integer" };
+    }
+    values.unitCost = body.unitCost;
+  }
+
+  for (const field of LIMIT_FIELDS) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (body[field] !== null && (!Number.isInteger(body[field]) || body[field] < 0)) {
+      return { error: `${field} must be null or a non-negative integer` };
+    }
+    values[field] = body[field];
+  }
+
+  return { values };
+}
+
+/**
+ * List sponsorship programs with the units each has spent
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.listPrograms = async (req, res) => {
+  try {
+    const programs = await db.SponsorshipProgram.findAll({ order: [["id", "ASC"]] });
+
+    const withSpend = await Promise.all(
+      programs.map(async (program) => ({
+        ...program.toJSON(),
+        spent: (await db.SponsorshipUsage.sum("units", { where: { programId: program.id } })) || 0,
+      }))
+    );
+
+    res.json({ programs: withSpend });
+  } catch (error) {
+    logger.error("Error listing sponsorship programs", { error });
+    res.status(500).json({ error: "Failed to list sponsorship programs" });
+  }
+};
+
+/**
+ * Create a sponsorship program
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.createProgram = async (req, res) => {
+  try {
+    const { values, error } = parseProgram(req.body, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const program = await db.SponsorshipProgram.create(values);
+
+    await recordAdminAction(req, "sponsorship_program.create", {
+      targetType: "SponsorshipProgram",
+      targetId: program.id,
+      details: values,
+    });
+
+    res.status(201).json(program);
+  } catch (error) {
+    logger.error("Error creating sponsorship program", { error });
+    res.status(500).json({ error: "Failed to create sponsorship program" });
+  }
+};
+
+/**
+ * Update a sponsorship program
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.updateProgram = async (req, res) => {
+  try {
+    const { values, error } = parseProgram(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const program = await db.SponsorshipProgram.findByPk(req.params.programId);
+    if (!program) {
+      return res.status(404).json({ error: "Sponsorship program not found" });
+    }
+
+    await program.update(values);
+
+    await recordAdminAction(req, "sponsorship_program.update", {
+      targetType: "SponsorshipProgram",
+      targetId: program.id,
+      details: values,
+    });
+
+    res.json(program);
+  } catch (error) {
+    logger.error("Error updating sponsorship program", { error });
+    res.status(500).json({ error: "Failed to update sponsorship program" });
+  }
+};
+
+/**
+ * List spend per account, optionally filtered by program, app and time range
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.listAccountSpend = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.programId) {
+      where.programId = req.query.programId;
+    }
+    if (req.query.app) {
+      where.app = String(req.query.app).toLowerCase();
+    }
+    if (req.query.from || req.query.to) {
+      where.createdAt = {};
+      if (req.query.from) {
+        where.createdAt[Op.gte] = new Date(req.query.from);
+      }
+      if (req.query.to) {
+        where.createdAt[Op.lt] = new Date(req.query.to);
+      }
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const page = parseInt(req.query.page) || 1;
+
+    const accounts = await db.SponsorshipUsage.findAll({
+      where,
+      attributes: [
+        "account",
+        [db.sequelize.fn("SUM", db.sequelize.col("units")), "units"],
+        [db.sequelize.fn("COUNT", db.sequelize.col("id")), "sponsoredLogins"],
+        [db.sequelize.fn("MAX", db.sequelize.col("created_at")), "lastSponsoredAt"],
+      ],
+      group: ["account"],
+      order: [[db.sequelize.literal('"units"'), "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+      raw: true,
+    });
+
+    res.json({ accounts, page });
+  } catch (error) {
+    logger.error("Error listing sponsorship spend", { error });
+    res.status(500).json({ error: "Failed to list sponsorship spend" });
+  }
+};
+
+/**
+ * Get the spend of a single account against each program's allowances
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.getAccountSpend = async (req, res) => {
+  try {
+    const { account } = req.params;
+    if (!isAddress(account)) {
+      return res.status(400).json({ error: "Invalid account address" });
+    }
+
+    const programs = await getAccountUsage(account);
+
+    res.json({ account: account.toLowerCase(), programs });
+  } catch (error) {
+    logger.error("Error getting account sponsorship spend", { error });
+    res.status(500).json({ error: "Failed to get account sponsorship spend" });
+  }
+};
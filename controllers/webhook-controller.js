@@ -0,0 +1,261 @@
+/**
+ * @file webhook-controller.js
+ * @description Controller for webhook subscriptions and their delivery log
+ *
+ * Subscriptions belong to the API key that registered them; other keys get 404 for them.
+ */
+
+const db = require("../database");
+const { getActor } = require("../services/admin-roles");
+const { createLogger } = require("../services/logger");
+const {
+  generateWebhookSecret,
+  checkWebhookUrl,
+  normalizeAddress,
+  redeliver,
+} = require("../services/webhooks");
+
+const logger = createLogger("webhooks");
+
+/**
+ * 400 response for a refused endpoint URL
+ * @param {object} res Express response object
+ * @param {string} message Why the URL is refused
+ * @returns {object} Express response object
+ */
+function invalidUrl(res, message) {
+  return res.status(400).json({
+    error: "Bad Request",
+    reason: "INVALID_REQUEST",
+    errors: [{ in: "body", path: "/url", message }],
+  });
+}
+
+/**
+ * Find a subscription of the calling API key
+ * @param {object} req Express request object
+ * @returns {Promise<object|null>} The subscription, or null when it is missing or someone else's
+ */
+function findOwnSubscription(req) {
+  return db.WebhookSubscription.findOne({
+    where: { id: req.params.webhookId, owner: getActor(req) },
+  });
+}
+
+/**
+ * List the webhook subscriptions of the calling API key
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.listWebhooks = async (req, res) => {
+  try {
+    const webhooks = await db.WebhookSubscription.findAll({
+      where: { owner: getActor(req) },
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({ webhooks });
+  } catch (error) {
+    logger.error("Error listing webhooks", { error });
+    res.status(500).json({ error: "Failed to list webhooks" });
+  }
+};
+
+/**
+ * Register a webhook; the signing secret is only returned in this response
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.createWebhook = async (req, res) => {
+  try {
+    const { url, events, user = null, syndicateAddress = null, description = null } = req.body;
+
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) {
+      return invalidUrl(res, urlError);
+    }
+
+    const webhook = await db.WebhookSubscription.create({
+      owner: getActor(req),
+      url,
+      secret: generateWebhookSecret(),
+      events: [...new Set(events)],
+      user: normalizeAddress(user),
+      syndicateAddress: normalizeAddress(syndicateAddress),
+      description,
+    });
+
+    logger.info("Webhook registered", { webhookId: webhook.id, owner: webhook.owner });
+
+    res.status(201).json(webhook);
+  } catch (error) {
+    logger.error("Error creating webhook", { error });
+    res.status(500).json({ error: "Failed to create webhook" });
+  }
+};
+
+/**
+ * Get a webhook subscription
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.getWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnSubscription(req);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    res.json(webhook);
+  } catch (error) {
+    logger.error("Error getting webhook", { error });
+    res.status(500).json({ error: "Failed to get webhook" });
+  }
+};
+
+/**
+ * Update a webhook subscription; omitted fields are left unchanged
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.updateWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnSubscription(req);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const { url, events, user, syndicateAddress, description, active } = req.body;
+    const changes = {};
+
+    if (url !== undefined) {
+      const urlError = await checkWebhookUrl(url);
+      if (urlError) {
+        return invalidUrl(res, urlError);
+      }
+      changes.url = url;
+    }
+    if (events !== undefined) {
+      changes.events = [...new Set(events)];
+    }
+    if (user !== undefined) {
+      changes.user = normalizeAddress(user);
+    }
+    if (syndicateAddress !== undefined) {
+      changes.syndicateAddress = normalizeAddress(syndicateAddress);
+    }
+    if (description !== undefined) {
+      changes.description = description;
+    }
+    if (active !== undefined) {
+      changes.active = active;
+    }
+
+    await webhook.update(changes);
+
+    res.json(webhook);
+  } catch (error) {
+    logger.error("Error updating webhook", { error });
+    res.status(500).json({ error: "Failed to update webhook" });
+  }
+};
+
+/**
+ * Delete a webhook subscription and its delivery log
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnSubscription(req);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    await webhook.destroy();
+    logger.info("Webhook deleted", { webhookId: webhook.id, owner: webhook.owner });
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error("Error deleting webhook", { error });
+    res.status(500).json({ error: "Failed to delete webhook" });
+  }
+};
+
+/**
+ * List the deliveries of a webhook, newest first
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.listWebhookDeliveries = async (req, res) => {
+  try {
+    const webhook = await findOwnSubscription(req);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const where = { subscriptionId: webhook.id };
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+
+    const { count, rows: deliveries } = await db.WebhookDelivery.findAndCountAll({
+      where,
+      limit,
+      offset: (page - 1) * limit,
+      order: [
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ],
+    });
+
+    res.json({
+      deliveries,
+      count,
+      page,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (error) {
+    logger.error("Error listing webhook deliveries", { error });
+    res.status(500).json({ error: "Failed to list webhook deliveries" });
+  }
+};
+
+/**
+ * Send a delivery again, as a new delivery of the same event
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ */
+exports.redeliverWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnSubscription(req);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const delivery = await db.WebhookDelivery.findOne({
+      where: { id: req.params.deliveryId, subscriptionId: webhook.id },
+    });
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+
+    if (!webhook.active) {
+      return res.status(409).json({ error: "Webhook is disabled", webhookId: webhook.id });
+    }
+
+    const redelivery = await redeliver(delivery);
+    logger.info("Webhook delivery queued again", {
+      webhookId: webhook.id,
+      deliveryId: delivery.id,
+      redeliveryId: redelivery.id,
+    });
+
+    res.status(202).json(redelivery);
+  } catch (error) {
+    logger.error("Error redelivering webhook", { error });
+    res.status(500).json({ error: "Failed to redeliver webhook" });
+  }
+};
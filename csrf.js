@@ -1,69 +1,207 @@
-// CSRF protection completely disabled as of May 2025 due to persistent authentication issues
-// This file remains but all validation is disabled
-const crypto = require('crypto');
+/**
+ * @file csrf.js
+ * @description Cross-site request forgery protection for cookie-authenticated requests
+ *
+ * The frontend is hosted on another origin and session cookies are sent with `SameSite=None`,
+ * so a state-changing request that relies on those cookies must come from an allowed origin and,
+ * depending on the route's policy, carry a signed double-submit token. Requests that do not use
+ * cookie credentials (API keys and Bearer session tokens, e.g. the Lens authorization hook) cannot
+ * be forged by another site and are not checked, except sign-in: it sets the session cookies, so
+ * a forged one would log the browser in to the attacker's wallet.
+ */
 
-const CSRF_COOKIE = 'csrf_token';
-const CSRF_HEADER = 'x-csrf-token';
+const crypto = require("crypto");
+const { settings } = require("./config");
+const { SESSION_COOKIE, REFRESH_COOKIE } = require("./services/session-tokens");
+const { createLogger } = require("./services/logger");
 
+const logger = createLogger("csrf");
+
+const CSRF_COOKIE = "csrf_token";
+const CSRF_HEADER = "x-csrf-token";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// The frontend plus any extra origins in ALLOWED_ORIGINS (comma separated)
+const ALLOWED_ORIGINS = [settings.FRONTEND_URL, ...settings.ALLOWED_ORIGINS].filter(
+  (origin, index, origins) => origins.indexOf(origin) === index
+);
+
+const POLICIES = {
+  // Every request sent by a browser must come from an allowed origin, with or without cookies.
+  // Browsers send an Origin with every cross-site POST, so requests without one are not checked.
+  signIn: { checkOrigin: true, requireToken: false, everyRequest: true },
+  // Cookie-authenticated requests must come from an allowed origin and echo the CSRF token
+  strict: { checkOrigin: true, requireToken: true },
+};
+
+const CSRF_REASONS = {
+  ORIGIN_MISSING: "CSRF_ORIGIN_MISSING",
+  ORIGIN_NOT_ALLOWED: "CSRF_ORIGIN_NOT_ALLOWED",
+  TOKEN_INVALID: "CSRF_TOKEN_INVALID",
+};
+
+/**
+ * Secret used to sign CSRF tokens
+ * @returns {string} The secret
+ */
+function getCsrfSecret() {
+  const secret = settings.CSRF_SECRET || settings.SESSION_SECRET;
+  if (!secret) {
+    throw new Error("CSRF_SECRET or SESSION_SECRET environment variable is required");
+  }
+  return secret;
+}
+
+/**
+ * Sign the random part of a token
+ * @param {string} nonce Random value
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+function sign(nonce) {
+  return crypto.createHmac("sha256", getCsrfSecret()).update(nonce).digest("base64url");
+}
+
+/**
+ * Generate a signed CSRF token
+ * @returns {string} `${nonce}.${signature}`
+ */
 function generateToken() {
-  return crypto.randomBytes(32).toString('hex');
+  const nonce = crypto.randomBytes(32).toString("base64url");
+  return `${nonce}.${sign(nonce)}`;
+}
+
+/**
+ * Check that a token was signed by this server
+ * @param {string} token CSRF token
+ * @returns {boolean} Whether the signature is valid
+ */
+function isSignedToken(token) {
+  if (typeof token !== "string") {
+    return false;
+  }
+
+  const [nonce, signature, extra] = token.split(".");
+  if (!nonce || !signature || extra !== undefined) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(nonce));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
 }
 
-function csrfMiddleware(req, res, next) {
-  // CSRF validation completely disabled for all endpoints
-  console.log('CSRF validation completely disabled');
-  
-  // No longer setting or validating CSRF tokens
-  // Simply pass through all requests without validation
-  
-  // Log the request path for debugging
-  console.log(`CSRF Protection BYPASSED for ${req.method} ${req.path}`);
-  
-  // Always proceed to the next middleware without validation
-  next();
-  
-  /* Original CSRF validation code preserved for reference (completely disabled)
-  // Skip CSRF check for OPTIONS requests (preflight)
-  if (req.method === 'OPTIONS') {
-    return next();
+/**
+ * Whether the request is authenticated by cookies the browser attaches automatically
+ * @param {object} req Express request object
+ * @returns {boolean} True when a session or refresh cookie would be used
+ */
+function usesCookieCredentials(req) {
+  // A Bearer token always takes precedence over the cookies and cannot be set by another site
+  if (req.headers["authorization"]) {
+    return false;
   }
+  return Boolean(req.cookies?.[SESSION_COOKIE] || req.cookies?.[REFRESH_COOKIE]);
+}
 
-  // For the authorization endpoint, temporarily disable CSRF check
-  if (req.path === '/authorize') {
-    console.log('INFO: Skipping CSRF validation for /authorize endpoint');
-    return next();
+/**
+ * Origin of the request, from the Origin header or else the Referer
+ * @param {object} req Express request object
+ * @returns {string|null} The origin
+ */
+function getRequestOrigin(req) {
+  if (req.headers["origin"] && req.headers["origin"] !== "null") {
+    return req.headers["origin"].replace(/\/$/, "");
   }
 
-  // Only set token for GET requests
-  if (req.method === 'GET') {
-    let token = req.cookies?.[CSRF_COOKIE];
-    if (!token) {
-      token = generateToken();
-      res.cookie(CSRF_COOKIE, token, {
-        httpOnly: true,
-        sameSite: 'none', 
-        secure: true,
-        path: '/',
-      });
+  if (req.headers["referer"]) {
+    try {
+      return new URL(req.headers["referer"]).origin;
+    } catch {
+      return null;
     }
-    return next();
   }
 
-  // For state-changing requests, require the token
-  const cookieToken = req.cookies?.[CSRF_COOKIE];
-  const headerToken = req.headers[CSRF_HEADER];
-  
-  console.log(`CSRF Debug - Cookie Token: ${cookieToken ? 'present' : 'missing'}`);
-  console.log(`CSRF Debug - Header Token: ${headerToken ? 'present' : 'missing'}`);
-  
-  if (!cookieToken || !headerToken || cookieToken !== headerToken) {
-    console.log('CSRF token validation failed');
-    return res.status(403).json({ error: 'Invalid CSRF token' });
+  return null;
+}
+
+/**
+ * Issue a CSRF token, reusing the one in the request cookie while it is still valid
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ * @returns {string} The token the client must send in the x-csrf-token header
+ */
+function issueCsrfToken(req, res) {
+  const existing = req.cookies?.[CSRF_COOKIE];
+  if (isSignedToken(existing)) {
+    return existing;
+  }
+
+  const token = generateToken();
+  res.cookie(CSRF_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "none",
+    secure: true,
+    path: "/",
+  });
+  return token;
+}
+
+/**
+ * CSRF middleware factory
+ *
+ * @param {string} [policyName="strict"] Name of a policy in POLICIES
+ * @returns {function} Express middleware
+ */
+function csrfProtection(policyName = "strict") {
+  const policy = POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown CSRF policy '${policyName}'`);
   }
-  
-  console.log('CSRF token validation successful');
-  next();
-  */
+
+  return (req, res, next) => {
+    const cookies = usesCookieCredentials(req);
+    if (SAFE_METHODS.includes(req.method) || !(cookies || policy.everyRequest)) {
+      return next();
+    }
+
+    if (policy.checkOrigin) {
+      const origin = getRequestOrigin(req);
+      if (!origin && cookies) {
+        return res.status(403).json({ error: "Forbidden", reason: CSRF_REASONS.ORIGIN_MISSING });
+      }
+      if (origin && !ALLOWED_ORIGINS.includes(origin)) {
+        logger.warn("CSRF origin rejected", {
+          method: req.method,
+          path: req.originalUrl,
+          origin,
+        });
+        return res
+          .status(403)
+          .json({ error: "Forbidden", reason: CSRF_REASONS.ORIGIN_NOT_ALLOWED });
+      }
+    }
+
+    if (policy.requireToken && cookies) {
+      const cookieToken = req.cookies?.[CSRF_COOKIE];
+      const headerToken = req.headers[CSRF_HEADER];
+
+      if (!cookieToken || cookieToken !== headerToken || !isSignedToken(headerToken)) {
+        return res.status(403).json({ error: "Forbidden", reason: CSRF_REASONS.TOKEN_INVALID });
+      }
+    }
+
+    next();
+  };
 }
 
-module.exports = { csrfMiddleware, CSRF_COOKIE, CSRF_HEADER };
+module.exports = {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  ALLOWED_ORIGINS,
+  POLICIES,
+  CSRF_REASONS,
+  getRequestOrigin,
+  issueCsrfToken,
+  csrfProtection,
+};
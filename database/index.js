@@ -2,6 +2,26 @@ const { Sequelize } = require("sequelize");
 const config = require("./config");
 const IntentModel = require("../models/intent");
 const TransactionModel = require("../models/transaction");
+const IntentStatusEventModel = require("../models/intent-status-event");
+const AuthorizationRuleModel = require("../models/authorization-rule");
+const SponsorshipProgramModel = require("../models/sponsorship-program");
+const SponsorshipUsageModel = require("../models/sponsorship-usage");
+const AppSignerKeyModel = require("../models/app-signer-key");
+const SignerKeyUsageModel = require("../models/signer-key-usage");
+const AuthNonceModel = require("../models/auth-nonce");
+const AuthSessionModel = require("../models/auth-session");
+const ApiKeyModel = require("../models/api-key");
+const AdminRoleModel = require("../models/admin-role");
+const AdminAuditLogModel = require("../models/admin-audit-log");
+const AuthorizationDecisionModel = require("../models/authorization-decision");
+const RateLimitBucketModel = require("../models/rate-limit-bucket");
+const ProcessorCheckpointModel = require("../models/processor-checkpoint");
+const IdempotencyKeyModel = require("../models/idempotency-key");
+const WebhookSubscriptionModel = require("../models/webhook-subscription");
+const WebhookDeliveryModel = require("../models/webhook-delivery");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("database");
 
 // Import environment to determine which configuration to use
 const env = process.env.NODE_ENV || "development";
@@ -14,6 +34,23 @@ const sequelize = new Sequelize(dbConfig.url, dbConfig);
 const db = {
   Intent: IntentModel(sequelize),
   Transaction: TransactionModel(sequelize),
+  IntentStatusEvent: IntentStatusEventModel(sequelize),
+  AuthorizationRule: AuthorizationRuleModel(sequelize),
+  SponsorshipProgram: SponsorshipProgramModel(sequelize),
+  SponsorshipUsage: SponsorshipUsageModel(sequelize),
+  AppSignerKey: AppSignerKeyModel(sequelize),
+  SignerKeyUsage: SignerKeyUsageModel(sequelize),
+  AuthNonce: AuthNonceModel(sequelize),
+  AuthSession: AuthSessionModel(sequelize),
+  ApiKey: ApiKeyModel(sequelize),
+  AdminRole: AdminRoleModel(sequelize),
+  AdminAuditLog: AdminAuditLogModel(sequelize),
+  AuthorizationDecision: AuthorizationDecisionModel(sequelize),
+  RateLimitBucket: RateLimitBucketModel(sequelize),
+  ProcessorCheckpoint: ProcessorCheckpointModel(sequelize),
+  IdempotencyKey: IdempotencyKeyModel(sequelize),
+  WebhookSubscription: WebhookSubscriptionModel(sequelize),
+  WebhookDelivery: WebhookDeliveryModel(sequelize),
   sequelize,
   Sequelize,
 };
@@ -29,13 +66,59 @@ db.Transaction.belongsTo(db.Intent, {
   as: "intent",
 });
 
-// Test connection
+db.Intent.hasMany(db.IntentStatusEvent, {
+  foreignKey: "intentId",
+  as: "statusEvents",
+});
+
+db.IntentStatusEvent.belongsTo(db.Intent, {
+  foreignKey: "intentId",
+  as: "intent",
+});
+
+db.IntentStatusEvent.belongsTo(db.Transaction, {
+  foreignKey: "transactionId",
+  as: "transaction",
+});
+
+db.SponsorshipProgram.hasMany(db.SponsorshipUsage, {
+  foreignKey: "programId",
+  as: "usages",
+});
+
+db.SponsorshipUsage.belongsTo(db.SponsorshipProgram, {
+  foreignKey: "programId",
+  as: "program",
+});
+
+db.AppSignerKey.hasMany(db.SignerKeyUsage, {
+  foreignKey: "keyId",
+  as: "usages",
+});
+
+db.SignerKeyUsage.belongsTo(db.AppSignerKey, {
+  foreignKey: "keyId",
+  as: "key",
+});
+
+db.WebhookSubscription.hasMany(db.WebhookDelivery, {
+  foreignKey: "subscriptionId",
+  as: "deliveries",
+});
+
+db.WebhookDelivery.belongsTo(db.WebhookSubscription, {
+  foreignKey: "subscriptionId",
+  as: "subscription",
+});
+
+// Test connection; throws when the database cannot be reached
 async function testConnection() {
   try {
     await sequelize.authenticate();
-    console.log("Database connection has been established successfully.");
+    logger.debug("Database connection has been established successfully.");
   } catch (error) {
-    console.error("Unable to connect to the database:", error);
+    logger.error("Unable to connect to the database", { error });
+    throw error;
   }
 }
 
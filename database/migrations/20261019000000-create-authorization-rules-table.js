@@ -0,0 +1,65 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("authorization_rules", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      scope: {
+        type: Sequelize.ENUM("APP", "ACCOUNT"),
+        allowNull: false,
+        comment: "Whether the rule targets a Lens app or a Lens account",
+      },
+      subject: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Lowercased address of the app or account the rule applies to",
+      },
+      role: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Lens role the rule applies to (null = every role)",
+      },
+      signer: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Lowercased signer address the rule applies to (null = every signer)",
+      },
+      effect: {
+        type: Sequelize.ENUM("ALLOW", "DENY"),
+        allowNull: false,
+        comment: "Whether matching requests are allowed or denied",
+      },
+      note: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: "Free-form explanation of why the rule exists",
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "When the rule stops applying (null = never)",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // Add indexes
+    await queryInterface.addIndex("authorization_rules", ["scope", "subject"], {
+      name: "authorization_rules_scope_subject_idx",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable("authorization_rules");
+  },
+};
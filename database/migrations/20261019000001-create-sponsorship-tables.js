@@ -0,0 +1,129 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("sponsorship_programs", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+        comment: "Human-readable program name",
+      },
+      app: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Lowercased Lens app address the program is limited to (null = every app)",
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: "Whether the program currently sponsors users",
+      },
+      unit_cost: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: "Units charged to the budget for each sponsored authorization",
+      },
+      budget_cap: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "Total units the program may spend (null = unlimited)",
+      },
+      account_daily_limit: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "Units a single account may use per UTC day (null = unlimited)",
+      },
+      account_monthly_limit: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "Units a single account may use per UTC month (null = unlimited)",
+      },
+      app_daily_limit: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "Units a single app may use per UTC day (null = unlimited)",
+      },
+      app_monthly_limit: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "Units a single app may use per UTC month (null = unlimited)",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.createTable("sponsorship_usages", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      program_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "sponsorship_programs",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+        comment: "Reference to the program that paid for the sponsorship",
+      },
+      account: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Lowercased Lens account address that was sponsored",
+      },
+      signed_by: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Lowercased wallet address that signed the login",
+      },
+      app: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Lowercased Lens app address the login was for",
+      },
+      units: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: "Units charged to the program budget",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // Add indexes
+    await queryInterface.addIndex("sponsorship_usages", ["program_id", "account", "created_at"], {
+      name: "sponsorship_usages_program_account_idx",
+    });
+    await queryInterface.addIndex("sponsorship_usages", ["program_id", "app", "created_at"], {
+      name: "sponsorship_usages_program_app_idx",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable("sponsorship_usages");
+    await queryInterface.dropTable("sponsorship_programs");
+  },
+};
@@ -0,0 +1,124 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("app_signer_keys", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      app: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Lowercased Lens app address the key signs for (null = every app)",
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "default",
+        comment: "Key name, several named keys may exist per app",
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: "Version of the named key, incremented on every rotation",
+      },
+      address: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Signer address derived from the key",
+      },
+      keystore: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: "Encrypted JSON keystore",
+      },
+      password_env: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "APP_SIGNER_KEYSTORE_PASSWORD",
+        comment: "Name of the environment variable holding the keystore password",
+      },
+      activates_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: "When the key starts answering /authorize",
+      },
+      retires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "When the key stops being valid (null = until rotated)",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.createTable("signer_key_usages", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      key_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "app_signer_keys",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+        comment: "Reference to the stored key (null when the environment key answered)",
+      },
+      key_name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Name of the key that answered",
+      },
+      key_version: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: "Version of the key that answered",
+      },
+      account: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Lowercased Lens account address of the request",
+      },
+      app: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Lowercased Lens app address of the request",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // Add indexes
+    await queryInterface.addIndex("app_signer_keys", ["app", "name", "version"], {
+      name: "app_signer_keys_app_name_version_idx",
+      unique: true,
+    });
+    await queryInterface.addIndex("signer_key_usages", ["key_id"], {
+      name: "signer_key_usages_key_id_idx",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable("signer_key_usages");
+    await queryInterface.dropTable("app_signer_keys");
+  },
+};
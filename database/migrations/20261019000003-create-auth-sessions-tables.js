@@ -0,0 +1,88 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("auth_nonces", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      nonce: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+        comment: "Nonce embedded in the SIWE message",
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: "When the nonce can no longer be used",
+      },
+      consumed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "When the nonce was used to sign in (null = unused)",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.createTable("auth_sessions", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+      },
+      address: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Checksummed wallet address verified by the SIWE signature",
+      },
+      refresh_token_hash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+        comment: "SHA-256 hash of the current refresh token",
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: "When the refresh token expires",
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "When the session was logged out (null = active)",
+      },
+      user_agent: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "User agent that signed in",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // Add indexes
+    await queryInterface.addIndex("auth_sessions", ["address"], {
+      name: "auth_sessions_address_idx",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable("auth_sessions");
+    await queryInterface.dropTable("auth_nonces");
+  },
+};
@@ -0,0 +1,62 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("api_keys", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      label: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Human-readable name of the integration using the key",
+      },
+      prefix: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+        comment: "Public identifier embedded in the key, used for lookup",
+      },
+      key_hash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "SHA-256 hash of the full key",
+      },
+      scopes: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        allowNull: false,
+        defaultValue: [],
+        comment: "Permissions granted to the key (e.g. authorize, intents:write, admin)",
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "When the key stops working (null = never)",
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "Last time the key authenticated a request",
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "When the key was revoked (null = active)",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable("api_keys");
+  },
+};
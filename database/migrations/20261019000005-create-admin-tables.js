@@ -0,0 +1,109 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("admin_roles", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      address: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Lowercased wallet address holding the role",
+      },
+      role: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "admin",
+        comment: "Granted role",
+      },
+      granted_by: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Actor that granted the role",
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "When the role was revoked (null = active)",
+      },
+      revoked_by: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Actor that revoked the role",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.createTable("admin_audit_logs", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      actor: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Wallet address or API key that performed the action",
+      },
+      action: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Action performed (e.g. api_key.create)",
+      },
+      target_type: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Type of the record acted on",
+      },
+      target_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "ID of the record acted on",
+      },
+      details: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: "Request details for the action",
+      },
+      ip: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "IP address the action came from",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // Add indexes
+    await queryInterface.addIndex("admin_roles", ["address"], {
+      name: "admin_roles_address_idx",
+    });
+    await queryInterface.addIndex("admin_audit_logs", ["actor"], {
+      name: "admin_audit_logs_actor_idx",
+    });
+    await queryInterface.addIndex("admin_audit_logs", ["created_at"], {
+      name: "admin_audit_logs_created_at_idx",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable("admin_audit_logs");
+    await queryInterface.dropTable("admin_roles");
+  },
+};
@@ -0,0 +1,106 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("authorization_decisions", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      account: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Lowercased Lens account address of the request",
+      },
+      signed_by: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Lowercased wallet that signed the login challenge",
+      },
+      app: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Lowercased Lens app address of the request",
+      },
+      role: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Lens role of the request",
+      },
+      allowed: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        comment: "Whether the login was allowed",
+      },
+      reason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Denial reason (null when allowed)",
+      },
+      rule_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "Authorization rule that decided the request, if any",
+      },
+      sponsored: {
+        type: Sequelize.BOOLEAN,
+        allowNull: true,
+        comment: "Whether the login was sponsored (null when denied)",
+      },
+      sponsorship_program_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "Sponsorship program that paid for the login",
+      },
+      sponsorship_reason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Why an allowed login was not sponsored",
+      },
+      key_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "App-signer key returned (null for the environment key or when denied)",
+      },
+      key_version: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "Version of the app-signer key returned",
+      },
+      api_key_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "API key that made the call (null for the legacy shared secret)",
+      },
+      ip: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "IP address the call came from",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // Add indexes
+    await queryInterface.addIndex("authorization_decisions", ["account", "created_at"], {
+      name: "authorization_decisions_account_idx",
+    });
+    await queryInterface.addIndex("authorization_decisions", ["app", "created_at"], {
+      name: "authorization_decisions_app_idx",
+    });
+    await queryInterface.addIndex("authorization_decisions", ["created_at"], {
+      name: "authorization_decisions_created_at_idx",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable("authorization_decisions");
+  },
+};
@@ -0,0 +1,45 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("rate_limit_buckets", {
+      key: {
+        type: Sequelize.STRING,
+        primaryKey: true,
+        comment: "Bucket key, e.g. authorize:ip:203.0.113.7",
+      },
+      tokens: {
+        type: Sequelize.DOUBLE,
+        allowNull: false,
+        comment: "Tokens left at refilled_at",
+      },
+      refilled_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: "When tokens was last brought up to date",
+      },
+      banned_until: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "Temporary ban of the identity behind the key",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // Add indexes
+    await queryInterface.addIndex("rate_limit_buckets", ["updated_at"], {
+      name: "rate_limit_buckets_updated_at_idx",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable("rate_limit_buckets");
+  },
+};
@@ -0,0 +1,28 @@
+"use strict";
+
+// Tables whose rows are written while handling a request, so they can be matched to its logs
+const TABLES = ["intents", "authorization_decisions", "admin_audit_logs"];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of TABLES) {
+      await queryInterface.addColumn(table, "request_id", {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "ID of the request that wrote the row, as found in the logs",
+      });
+
+      // Add indexes
+      await queryInterface.addIndex(table, ["request_id"], {
+        name: `${table}_request_id_idx`,
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const table of TABLES) {
+      await queryInterface.removeIndex(table, `${table}_request_id_idx`);
+      await queryInterface.removeColumn(table, "request_id");
+    }
+  },
+};
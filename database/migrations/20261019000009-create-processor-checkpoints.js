@@ -0,0 +1,41 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("processor_checkpoints", {
+      chain_id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        comment: "Chain the processor follows",
+      },
+      block_number: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: "Latest block the processor has seen; events up to it have been handed out",
+      },
+      last_event_block: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        comment: "Block of the last event the processor handled",
+      },
+      last_event_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "When the processor handled its last event",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: "Last heartbeat of the processor on this chain",
+      },
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable("processor_checkpoints");
+  },
+};
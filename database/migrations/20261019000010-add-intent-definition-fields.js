@@ -0,0 +1,24 @@
+"use strict";
+
+// The remaining IntentDefinition fields, so the stored intent hashes to its on-chain intentId
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn("intents", "ticket_id", {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: "0",
+      comment: "Lottery ticket ID (0 when the intent is not about a ticket)",
+    });
+    await queryInterface.addColumn("intents", "encoded_data", {
+      type: Sequelize.TEXT,
+      allowNull: false,
+      defaultValue: "0x",
+      comment: "IntentDefinition.metadata bytes (IPFS hash or encoded data)",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn("intents", "encoded_data");
+    await queryInterface.removeColumn("intents", "ticket_id");
+  },
+};
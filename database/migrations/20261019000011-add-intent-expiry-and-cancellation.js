@@ -0,0 +1,36 @@
+"use strict";
+
+// Terminal states for intents whose deadline passed or that their user withdrew, and the reason
+// every terminal state was reached. ALTER TYPE ... ADD VALUE cannot run inside a transaction.
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_intents_status" ADD VALUE IF NOT EXISTS 'EXPIRED'`
+    );
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_intents_status" ADD VALUE IF NOT EXISTS 'CANCELLED'`
+    );
+
+    await queryInterface.addColumn("intents", "status_reason", {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: "Why the intent reached its current terminal status",
+    });
+
+    // Add indexes
+    await queryInterface.addIndex("intents", ["status", "deadline"], {
+      name: "intents_status_deadline_idx",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex("intents", "intents_status_deadline_idx");
+    await queryInterface.removeColumn("intents", "status_reason");
+
+    // Postgres cannot drop enum values; move the rows back to FAILED so they stay valid for the
+    // previous code
+    await queryInterface.sequelize.query(
+      `UPDATE intents SET status = 'FAILED' WHERE status IN ('EXPIRED', 'CANCELLED')`
+    );
+  },
+};
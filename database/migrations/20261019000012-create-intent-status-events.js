@@ -0,0 +1,85 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("intent_status_events", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      intent_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "intents",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+        comment: "Intent whose status changed",
+      },
+      from_status: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Status before the transition (null when the intent was created)",
+      },
+      to_status: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Status after the transition",
+      },
+      actor: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Wallet, api-key:<id>, processor or expiry-sweeper",
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: "Why the status changed",
+      },
+      transaction_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "transactions",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+        comment: "Transaction that caused the transition, if any",
+      },
+      request_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "ID of the request (or processor event) that made the transition",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // Add indexes
+    await queryInterface.addIndex("intent_status_events", ["intent_id", "created_at"], {
+      name: "intent_status_events_intent_id_created_at_idx",
+    });
+
+    // Start the history of existing intents at their current status
+    await queryInterface.sequelize.query(`
+      INSERT INTO intent_status_events
+        (intent_id, from_status, to_status, actor, reason, request_id, created_at, updated_at)
+      SELECT id, NULL, status, 'migration', status_reason, request_id, updated_at, updated_at
+      FROM intents
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable("intent_status_events");
+  },
+};
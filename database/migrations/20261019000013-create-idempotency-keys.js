@@ -0,0 +1,69 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("idempotency_keys", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      scope: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Route and actor the key belongs to, e.g. intents:0xabc...",
+      },
+      key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Idempotency-Key header sent by the client",
+      },
+      request_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        comment: "SHA-256 of the method, path and body of the first request",
+      },
+      response_status: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "Status of the original response (null while it is being handled)",
+      },
+      response_body: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: "Body of the original response",
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: "When the key can be reused",
+      },
+      request_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "X-Request-Id of the first request",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // Add indexes
+    await queryInterface.addIndex("idempotency_keys", ["scope", "key"], {
+      name: "idempotency_keys_scope_key_idx",
+      unique: true,
+    });
+    await queryInterface.addIndex("idempotency_keys", ["expires_at"], {
+      name: "idempotency_keys_expires_at_idx",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable("idempotency_keys");
+  },
+};
@@ -0,0 +1,38 @@
+"use strict";
+
+// Composite indexes for GET /api/intents: each filter the search is usually narrowed by, followed
+// by the sort column and id, so a page is one index range scan whatever the cursor. They cover the
+// single-column user, syndicate and status indexes, which are dropped.
+const INDEXES = [
+  ["intents_created_at_id_idx", ["created_at", "id"]],
+  ["intents_user_created_at_id_idx", ["user", "created_at", "id"]],
+  ["intents_user_deadline_id_idx", ["user", "deadline", "id"]],
+  ["intents_syndicate_address_created_at_id_idx", ["syndicate_address", "created_at", "id"]],
+  ["intents_status_created_at_id_idx", ["status", "created_at", "id"]],
+];
+
+const REPLACED = [
+  ["intents_user_idx", ["user"]],
+  ["intents_syndicate_address_idx", ["syndicate_address"]],
+  ["intents_status_idx", ["status"]],
+];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const [name, fields] of INDEXES) {
+      await queryInterface.addIndex("intents", fields, { name });
+    }
+    for (const [name] of REPLACED) {
+      await queryInterface.removeIndex("intents", name);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const [name, fields] of REPLACED) {
+      await queryInterface.addIndex("intents", fields, { name });
+    }
+    for (const [name] of INDEXES) {
+      await queryInterface.removeIndex("intents", name);
+    }
+  },
+};
@@ -0,0 +1,157 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("webhook_subscriptions", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      owner: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "API key that registered the subscription (api-key:<id>)",
+      },
+      url: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: "Endpoint events are POSTed to",
+      },
+      secret: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "HMAC-SHA256 key for the X-Syndicate-Signature header",
+      },
+      events: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        allowNull: false,
+        comment: "Event types delivered to the endpoint",
+      },
+      user: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Only events of this user's intents (null for every user)",
+      },
+      syndicate_address: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Only events of this syndicate (null for every syndicate)",
+      },
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.createTable("webhook_deliveries", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      subscription_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "webhook_subscriptions",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      event_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: "ID of the event; the same for every delivery and redelivery of it",
+      },
+      event_type: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        comment: "JSON body sent to the endpoint",
+      },
+      status: {
+        type: Sequelize.ENUM("PENDING", "SUCCEEDED", "FAILED"),
+        allowNull: false,
+        defaultValue: "PENDING",
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "When the next attempt is due (null once SUCCEEDED or FAILED)",
+      },
+      last_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      response_status: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "HTTP status of the last attempt",
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: "Why the last attempt failed",
+      },
+      redelivery_of: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "webhook_deliveries",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+        comment: "Delivery this one was manually redelivered from",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // Add indexes
+    await queryInterface.addIndex("webhook_subscriptions", ["owner"], {
+      name: "webhook_subscriptions_owner_idx",
+    });
+    await queryInterface.addIndex("webhook_deliveries", ["status", "next_attempt_at"], {
+      name: "webhook_deliveries_status_next_attempt_at_idx",
+    });
+    await queryInterface.addIndex("webhook_deliveries", ["subscription_id", "created_at"], {
+      name: "webhook_deliveries_subscription_id_created_at_idx",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable("webhook_deliveries");
+    await queryInterface.dropTable("webhook_subscriptions");
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_webhook_deliveries_status"');
+  },
+};
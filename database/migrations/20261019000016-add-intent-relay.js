@@ -0,0 +1,34 @@
+"use strict";
+
+// Intents signed as EIP-712 typed data and relayed by the backend: the nonce each user signed, at
+// most once per user, and the RELAY transactions the backend sends for them. ALTER TYPE ... ADD
+// VALUE cannot run inside a transaction.
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_transactions_type" ADD VALUE IF NOT EXISTS 'RELAY'`
+    );
+
+    await queryInterface.addColumn("intents", "relay_nonce", {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: "Nonce of the user's signature, for intents relayed by the backend",
+    });
+
+    // Add indexes
+    await queryInterface.addIndex("intents", ["user", "relay_nonce"], {
+      name: "intents_user_relay_nonce_idx",
+      unique: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex("intents", "intents_user_relay_nonce_idx");
+    await queryInterface.removeColumn("intents", "relay_nonce");
+
+    // Postgres cannot drop enum values; relays were the intents' on-chain submissions
+    await queryInterface.sequelize.query(
+      `UPDATE transactions SET type = 'INTENT_SUBMISSION' WHERE type = 'RELAY'`
+    );
+  },
+};
@@ -1 +1,36 @@
- 
\ No newline at end of file
+/**
+ * @file admin.js
+ * @description Admin authorization middleware
+ */
+
+const { isAdmin } = require("../services/admin-roles");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("admin");
+
+/**
+ * Admin-only middleware
+ * Must run after authenticate. Allows API keys with the admin scope and wallets holding the
+ * admin role; everyone else gets a 403.
+ *
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ * @param {function} next Express next function
+ */
+exports.adminOnly = async (req, res, next) => {
+  try {
+    if (req.apiKey && req.apiKey.scopes.includes("admin")) {
+      return next();
+    }
+
+    if (req.user && (await isAdmin(req.user.address))) {
+      req.user.isAdmin = true;
+      return next();
+    }
+
+    res.status(403).json({ error: "Forbidden", reason: "ADMIN_REQUIRED" });
+  } catch (error) {
+    logger.error("Admin authorization error", { error });
+    res.status(500).json({ error: "Failed to check admin role" });
+  }
+};
@@ -3,42 +3,168 @@
  * @description Authentication middleware
  */
 
-const { SHARED_SECRET } = require("../config");
+const { SESSION_COOKIE, verifyAccessToken } = require("../services/session-tokens");
+const { findActiveSession } = require("../services/siwe-auth");
+const { resolveApiKey } = require("../services/api-keys");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("auth");
+
+// Scopes implicitly granted to a signed-in wallet
+const SESSION_SCOPES = ["intents:read", "intents:write"];
 
 /**
- * Authentication middleware
- * Verifies the JWT token in the Authorization header
+ * Read the bearer token from the Authorization header
+ * @param {object} req Express request object
+ * @returns {string|undefined} The token
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers["authorization"];
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    return authHeader.split(" ")[1];
+  }
+  return undefined;
+}
+
+/**
+ * Resolve a session token or API key to the caller it identifies
+ * Shared by the HTTP middleware and the socket.io handshake
+ *
+ * @param {string} token Access token or API key
+ * @param {object} [options]
+ * @param {boolean} [options.allowApiKey] Whether the token may be an API key (only when it was
+ *   sent as a Bearer token, never from a cookie)
+ * @returns {Promise<{user?: object, apiKey?: object, error?: string}>} The session user or API
+ *   key, or why the token was rejected
+ */
+async function resolveCredentials(token, { allowApiKey = true } = {}) {
+  const payload = verifyAccessToken(token);
+  if (payload) {
+    // Logging out revokes the session before its access tokens expire
+    const session = await findActiveSession(payload.sid);
+    if (!session) {
+      return { error: "Session has been revoked" };
+    }
+
+    return {
+      user: {
+        address: session.address,
+        sessionId: session.id,
+        isAdmin: false,
+      },
+    };
+  }
+
+  const apiKey = allowApiKey ? await resolveApiKey(token) : null;
+  if (!apiKey) {
+    return { error: "Invalid or expired credentials" };
+  }
+  return { apiKey };
+}
+
+/**
+ * Scopes of an authenticated caller
+ * @param {object} caller Object with the user or apiKey from resolveCredentials (e.g. req)
+ * @returns {string[]} Granted scopes
+ */
+function getScopes({ user, apiKey }) {
+  return apiKey ? apiKey.scopes : user ? SESSION_SCOPES : [];
+}
+
+exports.resolveCredentials = resolveCredentials;
+exports.getScopes = getScopes;
+
+/**
+ * API key middleware
+ * Resolves the API key in the Authorization header and stores it in req.apiKey
  *
  * @param {object} req Express request object
  * @param {object} res Express response object
  * @param {function} next Express next function
  */
-exports.authenticate = (req, res, next) => {
+exports.authenticateApiKey = async (req, res, next) => {
   try {
-    const authHeader = req.headers["authorization"];
-
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    const token = getBearerToken(req);
+    if (!token) {
       return res.status(401).json({ error: "Missing or invalid Authorization header" });
     }
 
-    const token = authHeader.split(" ")[1];
-    if (token !== SHARED_SECRET) {
+    const apiKey = await resolveApiKey(token);
+    if (!apiKey) {
       return res.status(401).json({ error: "Unauthorized" });
     }
 
-    // For now, we're just checking the shared secret
-    // In a real implementation, we would verify a JWT token
-    // and extract user details from it
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    logger.error("API key authentication error", { error });
+    res.status(401).json({ error: "Authentication failed" });
+  }
+};
 
-    // Mock user object for development
-    req.user = {
-      address: "0x4B20993Bc481177ec7E8f571ceCaE8A9e22C02db",
-      isAdmin: false,
-    };
+/**
+ * Authentication middleware
+ * Accepts either a SIWE session token (from the Authorization header, or the session cookie for
+ * browser clients), which fills req.user with the verified wallet, or an API key, which fills
+ * req.apiKey
+ *
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ * @param {function} next Express next function
+ */
+exports.authenticate = async (req, res, next) => {
+  try {
+    const bearer = getBearerToken(req);
+    const token = bearer || req.cookies?.[SESSION_COOKIE];
 
+    if (!token) {
+      return res.status(401).json({ error: "Missing or invalid Authorization header" });
+    }
+
+    const { user, apiKey, error } = await resolveCredentials(token, { allowApiKey: !!bearer });
+    if (error) {
+      return res.status(401).json({ error });
+    }
+
+    if (user) {
+      req.user = user;
+    } else {
+      req.apiKey = apiKey;
+    }
     next();
   } catch (error) {
-    console.error("Authentication error:", error);
+    logger.error("Authentication error", { error });
     res.status(401).json({ error: "Authentication failed" });
   }
 };
+
+/**
+ * Session-only guard
+ * Must run after authenticate; refuses API keys, which carry no wallet or session
+ *
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ * @param {function} next Express next function
+ */
+exports.requireSession = (req, res, next) => {
+  if (!req.user) {
+    return res.status(403).json({ error: "Forbidden", reason: "SESSION_REQUIRED" });
+  }
+
+  next();
+};
+
+/**
+ * Scope check middleware factory
+ * Must run after authenticate or authenticateApiKey
+ *
+ * @param {string} scope Required scope
+ * @returns {function} Express middleware
+ */
+exports.requireScope = (scope) => (req, res, next) => {
+  if (!getScopes(req).includes(scope)) {
+    return res.status(403).json({ error: "Forbidden", reason: "MISSING_SCOPE", scope });
+  }
+
+  next();
+};
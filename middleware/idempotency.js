@@ -0,0 +1,87 @@
+/**
+ * @file idempotency.js
+ * @description Idempotency-Key middleware
+ */
+
+const { getActor } = require("../services/admin-roles");
+const { createLogger } = require("../services/logger");
+const {
+  hashRequest,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotencyKey,
+} = require("../services/idempotency");
+
+const logger = createLogger("idempotency");
+
+/**
+ * Idempotency middleware factory
+ *
+ * Requests without an Idempotency-Key header are handled as usual. With one, the first request
+ * is handled and its JSON response stored; retries with the same key and body get that response
+ * again (with Idempotent-Replayed: true), and a different body under the same key gets 422.
+ * Must run after authentication, since keys are scoped to the actor.
+ *
+ * @param {string} scope Route name the keys belong to
+ * @returns {function} Express middleware
+ */
+exports.idempotency = (scope) => async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) {
+    return next();
+  }
+
+  let result;
+  try {
+    result = await beginIdempotentRequest({
+      scope: `${scope}:${getActor(req)}`,
+      key,
+      requestHash: hashRequest(req),
+    });
+  } catch (error) {
+    // Same as a request without a key; the intent ID still rejects duplicate submissions
+    logger.error("Idempotency key check failed", { error });
+    return next();
+  }
+
+  const { state, record } = result;
+
+  if (state === "mismatch") {
+    return res.status(422).json({
+      error: "Unprocessable Content",
+      reason: "IDEMPOTENCY_KEY_REUSED",
+      message: "This Idempotency-Key was already used for a different request",
+    });
+  }
+
+  if (state === "in_progress") {
+    res.set("Retry-After", "1");
+    return res.status(409).json({
+      error: "Conflict",
+      reason: "IDEMPOTENCY_KEY_IN_USE",
+      message: "A request with this Idempotency-Key is still being handled",
+    });
+  }
+
+  if (state === "replay") {
+    res.set("Idempotent-Replayed", "true");
+    return res.status(record.responseStatus).json(record.responseBody);
+  }
+
+  // Keep the body the controller answers with and store it once the response is sent
+  let body;
+  const json = res.json.bind(res);
+  res.json = (value) => {
+    body = value;
+    return json(value);
+  };
+
+  res.on("close", () => {
+    const stored = res.writableFinished
+      ? completeIdempotentRequest(record, res.statusCode, body)
+      : releaseIdempotencyKey(record);
+    stored.catch((error) => logger.error("Failed to store idempotent response", { error, key }));
+  });
+
+  next();
+};
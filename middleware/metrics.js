@@ -0,0 +1,29 @@
+/**
+ * @file metrics.js
+ * @description HTTP request metrics middleware
+ */
+
+const { httpRequestsTotal, httpRequestDuration } = require("../services/metrics");
+
+/**
+ * Metrics middleware factory
+ * Counts and times every request by method, route and status. The route is the matched route
+ * pattern (e.g. /api/intents/:intentId), never the raw URL, so IDs do not create new series.
+ *
+ * @returns {function} Express middleware
+ */
+exports.httpMetrics = () => (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : "unmatched",
+      status: res.statusCode,
+    };
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+
+  next();
+};
@@ -0,0 +1,60 @@
+/**
+ * @file rate-limit.js
+ * @description Rate limiting middleware
+ */
+
+const { checkRateLimit } = require("../services/rate-limiter");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("rate-limit");
+
+/**
+ * Rate limit middleware factory
+ * Must run after authentication so the API key (and session wallet) are known
+ *
+ * @param {string} route Route name in the rate limiter's ROUTE_LIMITS
+ * @param {function} [getAccount] Returns the account a request acts for
+ * @param {object} [options]
+ * @param {boolean} [options.accountPerApiKey=false] Count an account separately for each API key,
+ *   so one integration cannot use up (or get banned) another's buckets for the same account
+ * @returns {function} Express middleware
+ */
+exports.rateLimit =
+  (route, getAccount = () => undefined, { accountPerApiKey = false } = {}) =>
+  async (req, res, next) => {
+    let result;
+    try {
+      const apiKey = req.apiKey ? (req.apiKey.id ?? req.apiKey.label) : undefined;
+      let account = getAccount(req);
+      account = typeof account === "string" ? account.toLowerCase() : undefined;
+      if (accountPerApiKey && account !== undefined && apiKey !== undefined) {
+        account = `${apiKey}:${account}`;
+      }
+
+      result = await checkRateLimit(route, { ip: req.ip, account, apiKey });
+    } catch (error) {
+      // A broken limiter store must not take logins down with it
+      logger.error("Rate limit check failed", { error });
+      return next();
+    }
+
+    if (result.limit !== undefined) {
+      res.set({
+        "RateLimit-Limit": String(result.limit),
+        "RateLimit-Remaining": String(result.remaining),
+        "RateLimit-Reset": String(result.resetSeconds),
+      });
+    }
+
+    if (result.allowed) {
+      return next();
+    }
+
+    res.set("Retry-After", String(result.retryAfterSeconds));
+    res.status(429).json({
+      error: "Too Many Requests",
+      reason: result.banned ? "TEMPORARILY_BANNED" : "RATE_LIMITED",
+      limit: result.identity,
+      retryAfter: result.retryAfterSeconds,
+    });
+  };
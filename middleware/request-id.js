@@ -0,0 +1,53 @@
+/**
+ * @file request-id.js
+ * @description Request ID and access log middleware
+ */
+
+const { generateRequestId, runWithRequestContext } = require("../services/request-context");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("http");
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+// IDs from upstream proxies are kept when they look like IDs, anything else is replaced
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Request ID middleware factory
+ * Reuses the caller's X-Request-Id or generates one, echoes it in the response and runs the rest
+ * of the request inside its context, so logs and database writes carry it
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.log=true] Log one entry per finished request
+ * @returns {function} Express middleware
+ */
+exports.requestId =
+  ({ log = true } = {}) =>
+  (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = VALID_REQUEST_ID.test(incoming || "") ? incoming : generateRequestId();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    // Headers and bodies are never logged, they carry API keys, session tokens and signing keys
+    if (log) {
+      res.on("finish", () => {
+        logger.info("request", {
+          requestId,
+          method: req.method,
+          path: req.originalUrl,
+          status: res.statusCode,
+          durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+          ip: req.ip,
+          apiKeyId: req.apiKey?.id,
+        });
+      });
+    }
+
+    runWithRequestContext({ requestId }, next);
+  };
+
+exports.REQUEST_ID_HEADER = REQUEST_ID_HEADER;
@@ -0,0 +1,38 @@
+/**
+ * @file shared-secret.js
+ * @description Shared secret middleware for the lightweight, database-free deployment
+ */
+
+const crypto = require("crypto");
+const { createLogger } = require("../services/logger");
+
+const logger = createLogger("auth");
+
+/**
+ * Shared secret middleware factory
+ * Compares the Bearer token with the configured secret in constant time
+ *
+ * @param {string} secret Expected token
+ * @returns {function} Express middleware
+ */
+exports.requireSharedSecret = (secret) => {
+  const expected = crypto.createHash("sha256").update(secret).digest();
+
+  return (req, res, next) => {
+    const authHeader = req.headers["authorization"];
+
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      logger.warn("Missing or invalid Authorization header");
+      return res.status(401).json({ error: "Missing or invalid Authorization header" });
+    }
+
+    const token = authHeader.split(" ")[1] || "";
+    const actual = crypto.createHash("sha256").update(token).digest();
+    if (!crypto.timingSafeEqual(actual, expected)) {
+      logger.warn("Invalid shared secret");
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    next();
+  };
+};
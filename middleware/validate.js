@@ -0,0 +1,187 @@
+/**
+ * @file validate.js
+ * @description Request validation against the OpenAPI document (openapi.json)
+ *
+ * Each route names its operation by operationId; path params, the query string, declared headers
+ * and the JSON body are checked against that operation's schemas before the controller runs. Invalid requests get
+ * a 400 listing every problem.
+ */
+
+const Ajv = require("ajv/dist/2020");
+const addFormats = require("ajv-formats");
+const spec = require("../openapi.json");
+
+const SPEC_ID = "openapi.json";
+const METHODS = ["get", "put", "post", "delete", "patch"];
+
+// Path params, query strings and headers arrive as strings and are coerced to their declared types; bodies
+// are JSON and must have the right types already. Neither instance modifies the request.
+const ajv = addFormats(new Ajv({ allErrors: true, strict: false }));
+const coercingAjv = addFormats(new Ajv({ allErrors: true, strict: false, coerceTypes: "array" }));
+ajv.addSchema(spec, SPEC_ID);
+coercingAjv.addSchema(spec, SPEC_ID);
+
+/**
+ * Follow a local "#/..." reference in the document
+ * @param {object} value Object that may be a { $ref }
+ * @returns {object} The referenced object, or the value itself
+ */
+function resolve(value) {
+  if (!value.$ref) {
+    return value;
+  }
+  return value.$ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => node[key.replace(/~1/g, "/").replace(/~0/g, "~")], spec);
+}
+
+/**
+ * Point the document's local references at the registered copy of the document
+ * @param {*} schema Schema taken out of the document
+ * @returns {*} Schema that compiles on its own
+ */
+function anchorRefs(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(anchorRefs);
+  }
+  if (!schema || typeof schema !== "object") {
+    return schema;
+  }
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, value]) =>
+      key === "$ref" && value.startsWith("#") ? [key, SPEC_ID + value] : [key, anchorRefs(value)]
+    )
+  );
+}
+
+/**
+ * Find an operation by operationId
+ * @param {string} operationId Operation ID in openapi.json
+ * @returns {{ path: string, method: string, operation: object, parameters: object[] }} The
+ *   operation with its path-level and own parameters resolved
+ */
+function getOperation(operationId) {
+  for (const [path, item] of Object.entries(spec.paths)) {
+    for (const method of METHODS) {
+      if (item[method]?.operationId === operationId) {
+        const parameters = [...(item.parameters || []), ...(item[method].parameters || [])].map(
+          resolve
+        );
+        return { path, method, operation: item[method], parameters };
+      }
+    }
+  }
+  throw new Error(`Unknown OpenAPI operation '${operationId}'`);
+}
+
+/**
+ * Compile the schema for the parameters of one location
+ * Header names are matched in lowercase, as Node.js stores them
+ * @param {object[]} parameters Resolved parameters
+ * @param {string} location "path", "query" or "header"
+ * @returns {function|null} Validator, or null when there are none
+ */
+function compileParameters(parameters, location) {
+  const own = parameters
+    .filter((parameter) => parameter.in === location)
+    .map((parameter) =>
+      location === "header" ? { ...parameter, name: parameter.name.toLowerCase() } : parameter
+    );
+  if (own.length === 0) {
+    return null;
+  }
+
+  return coercingAjv.compile(
+    anchorRefs({
+      type: "object",
+      properties: Object.fromEntries(own.map((parameter) => [parameter.name, parameter.schema])),
+      required: own.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+    })
+  );
+}
+
+/**
+ * Turn Ajv errors into the response format
+ * @param {object[]} errors Ajv errors
+ * @param {string} location "path", "query", "header" or "body"
+ * @returns {object[]} { in, path, message } per problem
+ */
+function formatErrors(errors, location) {
+  const seen = new Set();
+  return errors
+    .map((error) => {
+      if (error.keyword === "required") {
+        return {
+          in: location,
+          path: `${error.instancePath}/${error.params.missingProperty}`,
+          message: "is required",
+        };
+      }
+      if (error.keyword === "additionalProperties") {
+        return {
+          in: location,
+          path: `${error.instancePath}/${error.params.additionalProperty}`,
+          message: "is not allowed",
+        };
+      }
+      return { in: location, path: error.instancePath || "/", message: error.message };
+    })
+    .filter((problem) => {
+      const key = `${problem.path} ${problem.message}`;
+      return seen.has(key) ? false : seen.add(key);
+    });
+}
+
+/**
+ * Validation middleware factory
+ *
+ * @param {string} operationId Operation ID in openapi.json
+ * @returns {function} Express middleware
+ * @throws {Error} When the operation is not in the document, so routes cannot drift from it
+ */
+function validateRequest(operationId) {
+  const { operation, parameters } = getOperation(operationId);
+
+  const validatePath = compileParameters(parameters, "path");
+  const validateQuery = compileParameters(parameters, "query");
+  const validateHeaders = compileParameters(parameters, "header");
+
+  const requestBody = operation.requestBody && resolve(operation.requestBody);
+  const bodySchema = requestBody?.content?.["application/json"]?.schema;
+  const validateBody = bodySchema ? ajv.compile(anchorRefs(bodySchema)) : null;
+
+  return (req, res, next) => {
+    const errors = [];
+
+    if (validatePath && !validatePath({ ...req.params })) {
+      errors.push(...formatErrors(validatePath.errors, "path"));
+    }
+    if (validateQuery && !validateQuery({ ...req.query })) {
+      errors.push(...formatErrors(validateQuery.errors, "query"));
+    }
+    if (validateHeaders && !validateHeaders({ ...req.headers })) {
+      errors.push(...formatErrors(validateHeaders.errors, "header"));
+    }
+    if (validateBody) {
+      if (req.body === undefined) {
+        if (requestBody.required) {
+          errors.push({ in: "body", path: "/", message: "a JSON body is required" });
+        }
+      } else if (!validateBody(req.body)) {
+        errors.push(...formatErrors(validateBody.errors, "body"));
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Bad Request", reason: "INVALID_REQUEST", errors });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  spec,
+  getOperation,
+  validateRequest,
+};
@@ -0,0 +1,90 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * AdminAuditLog model definition
+ * One row per admin action, recording who did what to which record
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} AdminAuditLog model
+ */
+module.exports = (sequelize) => {
+  const AdminAuditLog = sequelize.define(
+    "AdminAuditLog",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      actor: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Wallet address or API key that performed the action",
+      },
+      action: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Action performed (e.g. api_key.create)",
+      },
+      targetType: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Type of the record acted on",
+        field: "target_type",
+      },
+      targetId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "ID of the record acted on",
+        field: "target_id",
+      },
+      details: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: "Request details for the action",
+      },
+      ip: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "IP address the action came from",
+      },
+      requestId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "ID of the admin request, as found in the logs",
+        field: "request_id",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "admin_audit_logs",
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        {
+          name: "admin_audit_logs_actor_idx",
+          fields: ["actor"],
+        },
+        {
+          name: "admin_audit_logs_created_at_idx",
+          fields: ["created_at"],
+        },
+        {
+          name: "admin_audit_logs_request_id_idx",
+          fields: ["request_id"],
+        },
+      ],
+    }
+  );
+
+  return AdminAuditLog;
+};
@@ -0,0 +1,73 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * AdminRole model definition
+ * Wallets that may use admin endpoints with their SIWE session
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} AdminRole model
+ */
+module.exports = (sequelize) => {
+  const AdminRole = sequelize.define(
+    "AdminRole",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Lowercased wallet address holding the role",
+      },
+      role: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "admin",
+        comment: "Granted role",
+      },
+      grantedBy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Actor that granted the role",
+        field: "granted_by",
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "When the role was revoked (null = active)",
+        field: "revoked_at",
+      },
+      revokedBy: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Actor that revoked the role",
+        field: "revoked_by",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "admin_roles",
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        {
+          name: "admin_roles_address_idx",
+          fields: ["address"],
+        },
+      ],
+    }
+  );
+
+  return AdminRole;
+};
@@ -0,0 +1,85 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * ApiKey model definition
+ * Scoped, revocable API keys for integrations; only a hash of the secret is stored
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} ApiKey model
+ */
+module.exports = (sequelize) => {
+  const ApiKey = sequelize.define(
+    "ApiKey",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      label: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Human-readable name of the integration using the key",
+      },
+      prefix: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: "Public identifier embedded in the key, used for lookup",
+      },
+      keyHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "SHA-256 hash of the full key",
+        field: "key_hash",
+      },
+      scopes: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: [],
+        comment: "Permissions granted to the key (e.g. authorize, intents:write, admin)",
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "When the key stops working (null = never)",
+        field: "expires_at",
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "Last time the key authenticated a request",
+        field: "last_used_at",
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "When the key was revoked (null = active)",
+        field: "revoked_at",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "api_keys",
+      timestamps: true,
+      underscored: true,
+      defaultScope: {
+        attributes: { exclude: ["keyHash"] },
+      },
+      scopes: {
+        withHash: {},
+      },
+    }
+  );
+
+  return ApiKey;
+};
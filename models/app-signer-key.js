@@ -0,0 +1,96 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * AppSignerKey model definition
+ * Versioned app-verification signer keys, stored as encrypted JSON keystores
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} AppSignerKey model
+ */
+module.exports = (sequelize) => {
+  const AppSignerKey = sequelize.define(
+    "AppSignerKey",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      app: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Lowercased Lens app address the key signs for (null = every app)",
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "default",
+        comment: "Key name, several named keys may exist per app",
+      },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: "Version of the named key, incremented on every rotation",
+      },
+      address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Signer address derived from the key",
+      },
+      keystore: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: "Encrypted JSON keystore",
+      },
+      passwordEnv: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "APP_SIGNER_KEYSTORE_PASSWORD",
+        comment: "Name of the environment variable holding the keystore password",
+        field: "password_env",
+      },
+      activatesAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: "When the key starts answering /authorize",
+        field: "activates_at",
+      },
+      retiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "When the key stops being valid (null = until rotated)",
+        field: "retires_at",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "app_signer_keys",
+      timestamps: true,
+      underscored: true,
+      defaultScope: {
+        attributes: { exclude: ["keystore"] },
+      },
+      scopes: {
+        withKeystore: {},
+      },
+      indexes: [
+        {
+          name: "app_signer_keys_app_name_version_idx",
+          unique: true,
+          fields: ["app", "name", "version"],
+        },
+      ],
+    }
+  );
+
+  return AppSignerKey;
+};
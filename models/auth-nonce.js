@@ -0,0 +1,56 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * AuthNonce model definition
+ * Single-use nonces handed out for Sign-In with Ethereum messages
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} AuthNonce model
+ */
+module.exports = (sequelize) => {
+  const AuthNonce = sequelize.define(
+    "AuthNonce",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      nonce: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: "Nonce embedded in the SIWE message",
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: "When the nonce can no longer be used",
+        field: "expires_at",
+      },
+      consumedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "When the nonce was used to sign in (null = unused)",
+        field: "consumed_at",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "auth_nonces",
+      timestamps: true,
+      underscored: true,
+    }
+  );
+
+  return AuthNonce;
+};
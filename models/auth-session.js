@@ -0,0 +1,74 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * AuthSession model definition
+ * Wallet sessions created by Sign-In with Ethereum, refreshed with rotating refresh tokens
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} AuthSession model
+ */
+module.exports = (sequelize) => {
+  const AuthSession = sequelize.define(
+    "AuthSession",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Checksummed wallet address verified by the SIWE signature",
+      },
+      refreshTokenHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: "SHA-256 hash of the current refresh token",
+        field: "refresh_token_hash",
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: "When the refresh token expires",
+        field: "expires_at",
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "When the session was logged out (null = active)",
+        field: "revoked_at",
+      },
+      userAgent: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "User agent that signed in",
+        field: "user_agent",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "auth_sessions",
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        {
+          name: "auth_sessions_address_idx",
+          fields: ["address"],
+        },
+      ],
+    }
+  );
+
+  return AuthSession;
+};
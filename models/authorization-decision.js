@@ -0,0 +1,139 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * AuthorizationDecision model definition
+ * Records the outcome of every /authorize call for abuse investigations and support
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} AuthorizationDecision model
+ */
+module.exports = (sequelize) => {
+  const AuthorizationDecision = sequelize.define(
+    "AuthorizationDecision",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      account: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Lowercased Lens account address of the request",
+      },
+      signedBy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Lowercased wallet that signed the login challenge",
+        field: "signed_by",
+      },
+      app: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Lowercased Lens app address of the request",
+      },
+      role: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Lens role of the request",
+      },
+      allowed: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        comment: "Whether the login was allowed",
+      },
+      reason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Denial reason (null when allowed)",
+      },
+      ruleId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Authorization rule that decided the request, if any",
+        field: "rule_id",
+      },
+      sponsored: {
+        type: DataTypes.BOOLEAN,
+        allowNull: true,
+        comment: "Whether the login was sponsored (null when denied)",
+      },
+      sponsorshipProgramId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Sponsorship program that paid for the login",
+        field: "sponsorship_program_id",
+      },
+      sponsorshipReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Why an allowed login was not sponsored",
+        field: "sponsorship_reason",
+      },
+      keyId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "App-signer key returned (null for the environment key or when denied)",
+        field: "key_id",
+      },
+      keyVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Version of the app-signer key returned",
+        field: "key_version",
+      },
+      apiKeyId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "API key that made the call (null for the legacy shared secret)",
+        field: "api_key_id",
+      },
+      ip: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "IP address the call came from",
+      },
+      requestId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "ID of the /authorize request, as found in the logs",
+        field: "request_id",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "authorization_decisions",
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        {
+          name: "authorization_decisions_account_idx",
+          fields: ["account", "created_at"],
+        },
+        {
+          name: "authorization_decisions_app_idx",
+          fields: ["app", "created_at"],
+        },
+        {
+          name: "authorization_decisions_created_at_idx",
+          fields: ["created_at"],
+        },
+        {
+          name: "authorization_decisions_request_id_idx",
+          fields: ["request_id"],
+        },
+      ],
+    }
+  );
+
+  return AuthorizationDecision;
+};
@@ -0,0 +1,80 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * AuthorizationRule model definition
+ * Persisted allow/deny rules evaluated by the /authorize policy engine
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} AuthorizationRule model
+ */
+module.exports = (sequelize) => {
+  const AuthorizationRule = sequelize.define(
+    "AuthorizationRule",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      scope: {
+        type: DataTypes.ENUM("APP", "ACCOUNT"),
+        allowNull: false,
+        comment: "Whether the rule targets a Lens app or a Lens account",
+      },
+      subject: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Lowercased address of the app or account the rule applies to",
+      },
+      role: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Lens role the rule applies to (null = every role)",
+      },
+      signer: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Lowercased signer address the rule applies to (null = every signer)",
+      },
+      effect: {
+        type: DataTypes.ENUM("ALLOW", "DENY"),
+        allowNull: false,
+        comment: "Whether matching requests are allowed or denied",
+      },
+      note: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: "Free-form explanation of why the rule exists",
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "When the rule stops applying (null = never)",
+        field: "expires_at",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "authorization_rules",
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        {
+          name: "authorization_rules_scope_subject_idx",
+          fields: ["scope", "subject"],
+        },
+      ],
+    }
+  );
+
+  return AuthorizationRule;
+};
@@ -0,0 +1,89 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * IdempotencyKey model definition
+ * A client's Idempotency-Key with the request it was first used for and the response it got
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} IdempotencyKey model
+ */
+module.exports = (sequelize) => {
+  const IdempotencyKey = sequelize.define(
+    "IdempotencyKey",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      scope: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Route and actor the key belongs to, e.g. intents:0xabc...",
+      },
+      key: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Idempotency-Key header sent by the client",
+      },
+      requestHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: "SHA-256 of the method, path and body of the first request",
+        field: "request_hash",
+      },
+      responseStatus: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Status of the original response (null while it is being handled)",
+        field: "response_status",
+      },
+      responseBody: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: "Body of the original response",
+        field: "response_body",
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: "When the key can be reused",
+        field: "expires_at",
+      },
+      requestId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "X-Request-Id of the first request",
+        field: "request_id",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "idempotency_keys",
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        {
+          name: "idempotency_keys_scope_key_idx",
+          unique: true,
+          fields: ["scope", "key"],
+        },
+        {
+          name: "idempotency_keys_expires_at_idx",
+          fields: ["expires_at"],
+        },
+      ],
+    }
+  );
+
+  return IdempotencyKey;
+};
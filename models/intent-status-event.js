@@ -0,0 +1,84 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * IntentStatusEvent model definition
+ * One row per status transition of an intent, including its creation
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} IntentStatusEvent model
+ */
+module.exports = (sequelize) => {
+  const IntentStatusEvent = sequelize.define(
+    "IntentStatusEvent",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      intentId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: "Intent whose status changed",
+        field: "intent_id",
+      },
+      fromStatus: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Status before the transition (null when the intent was created)",
+        field: "from_status",
+      },
+      toStatus: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Status after the transition",
+        field: "to_status",
+      },
+      actor: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Wallet, api-key:<id>, processor or expiry-sweeper",
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: "Why the status changed",
+      },
+      transactionId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Transaction that caused the transition, if any",
+        field: "transaction_id",
+      },
+      requestId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "ID of the request (or processor event) that made the transition",
+        field: "request_id",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "intent_status_events",
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        {
+          name: "intent_status_events_intent_id_created_at_idx",
+          fields: ["intent_id", "created_at"],
+        },
+      ],
+    }
+  );
+
+  return IntentStatusEvent;
+};
@@ -62,6 +62,13 @@ module.exports = (sequelize) => {
         comment: "Destination chain ID",
         field: "destination_chain_id",
       },
+      ticketId: {
+        type: DataTypes.STRING, // Using STRING for BigInt compatibility
+        allowNull: false,
+        defaultValue: "0",
+        comment: "Lottery ticket ID (0 when the intent is not about a ticket)",
+        field: "ticket_id",
+      },
       useOptimalRoute: {
         type: DataTypes.BOOLEAN,
         allowNull: false,
@@ -81,17 +88,42 @@ module.exports = (sequelize) => {
         allowNull: false,
         comment: "Deadline timestamp",
       },
+      encodedData: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        defaultValue: "0x",
+        comment: "IntentDefinition.metadata bytes (IPFS hash or encoded data)",
+        field: "encoded_data",
+      },
       status: {
-        type: DataTypes.ENUM("PENDING", "EXECUTING", "COMPLETED", "FAILED"),
+        type: DataTypes.ENUM("PENDING", "EXECUTING", "COMPLETED", "FAILED", "EXPIRED", "CANCELLED"),
         allowNull: false,
         defaultValue: "PENDING",
         comment: "Current status of the intent",
       },
+      statusReason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: "Why the intent reached its current terminal status",
+        field: "status_reason",
+      },
       metadata: {
         type: DataTypes.JSON,
         allowNull: true,
         comment: "Additional metadata for the intent",
       },
+      relayNonce: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Nonce of the user's signature, for intents relayed by the backend",
+        field: "relay_nonce",
+      },
+      requestId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "ID of the request (or processor event) that created the intent",
+        field: "request_id",
+      },
       createdAt: {
         type: DataTypes.DATE,
         allowNull: false,
@@ -109,16 +141,37 @@ module.exports = (sequelize) => {
       underscored: true,
       indexes: [
         {
-          name: "intents_user_idx",
-          fields: ["user"],
+          name: "intents_created_at_id_idx",
+          fields: ["created_at", "id"],
+        },
+        {
+          name: "intents_user_created_at_id_idx",
+          fields: ["user", "created_at", "id"],
+        },
+        {
+          name: "intents_user_deadline_id_idx",
+          fields: ["user", "deadline", "id"],
+        },
+        {
+          name: "intents_syndicate_address_created_at_id_idx",
+          fields: ["syndicate_address", "created_at", "id"],
+        },
+        {
+          name: "intents_status_created_at_id_idx",
+          fields: ["status", "created_at", "id"],
+        },
+        {
+          name: "intents_status_deadline_idx",
+          fields: ["status", "deadline"],
         },
         {
-          name: "intents_syndicate_address_idx",
-          fields: ["syndicate_address"],
+          name: "intents_request_id_idx",
+          fields: ["request_id"],
         },
         {
-          name: "intents_status_idx",
-          fields: ["status"],
+          name: "intents_user_relay_nonce_idx",
+          unique: true,
+          fields: ["user", "relay_nonce"],
         },
       ],
     }
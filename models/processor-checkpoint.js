@@ -0,0 +1,58 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * ProcessorCheckpoint model definition
+ * How far the intent processor has followed each chain, used by the readiness check
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} ProcessorCheckpoint model
+ */
+module.exports = (sequelize) => {
+  const ProcessorCheckpoint = sequelize.define(
+    "ProcessorCheckpoint",
+    {
+      chainId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        comment: "Chain the processor follows",
+        field: "chain_id",
+      },
+      blockNumber: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        comment: "Latest block the processor has seen; events up to it have been handed out",
+        field: "block_number",
+      },
+      lastEventBlock: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: "Block of the last event the processor handled",
+        field: "last_event_block",
+      },
+      lastEventAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "When the processor handled its last event",
+        field: "last_event_at",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: "Last heartbeat of the processor on this chain",
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "processor_checkpoints",
+      timestamps: true,
+      underscored: true,
+    }
+  );
+
+  return ProcessorCheckpoint;
+};
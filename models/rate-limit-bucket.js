@@ -0,0 +1,61 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * RateLimitBucket model definition
+ * Token bucket state shared by all replicas when RATE_LIMIT_STORE=postgres
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} RateLimitBucket model
+ */
+module.exports = (sequelize) => {
+  const RateLimitBucket = sequelize.define(
+    "RateLimitBucket",
+    {
+      key: {
+        type: DataTypes.STRING,
+        primaryKey: true,
+        comment: "Bucket key, e.g. authorize:ip:203.0.113.7",
+      },
+      tokens: {
+        type: DataTypes.DOUBLE,
+        allowNull: false,
+        comment: "Tokens left at refilledAt",
+      },
+      refilledAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: "When tokens was last brought up to date",
+        field: "refilled_at",
+      },
+      bannedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "Temporary ban of the identity behind the key",
+        field: "banned_until",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "rate_limit_buckets",
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        {
+          name: "rate_limit_buckets_updated_at_idx",
+          fields: ["updated_at"],
+        },
+      ],
+    }
+  );
+
+  return RateLimitBucket;
+};
@@ -0,0 +1,72 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * SignerKeyUsage model definition
+ * Records which app-signer key version answered each /authorize call
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} SignerKeyUsage model
+ */
+module.exports = (sequelize) => {
+  const SignerKeyUsage = sequelize.define(
+    "SignerKeyUsage",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      keyId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Reference to the stored key (null when the environment key answered)",
+        field: "key_id",
+      },
+      keyName: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Name of the key that answered",
+        field: "key_name",
+      },
+      keyVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: "Version of the key that answered",
+        field: "key_version",
+      },
+      account: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Lowercased Lens account address of the request",
+      },
+      app: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Lowercased Lens app address of the request",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "signer_key_usages",
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        {
+          name: "signer_key_usages_key_id_idx",
+          fields: ["key_id"],
+        },
+      ],
+    }
+  );
+
+  return SignerKeyUsage;
+};
@@ -0,0 +1,92 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * SponsorshipProgram model definition
+ * Budget and allowances used to decide whether /authorize sponsors a user
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} SponsorshipProgram model
+ */
+module.exports = (sequelize) => {
+  const SponsorshipProgram = sequelize.define(
+    "SponsorshipProgram",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: "Human-readable program name",
+      },
+      app: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Lowercased Lens app address the program is limited to (null = every app)",
+      },
+      active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: "Whether the program currently sponsors users",
+      },
+      unitCost: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: "Units charged to the budget for each sponsored authorization",
+        field: "unit_cost",
+      },
+      budgetCap: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Total units the program may spend (null = unlimited)",
+        field: "budget_cap",
+      },
+      accountDailyLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Units a single account may use per UTC day (null = unlimited)",
+        field: "account_daily_limit",
+      },
+      accountMonthlyLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Units a single account may use per UTC month (null = unlimited)",
+        field: "account_monthly_limit",
+      },
+      appDailyLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Units a single app may use per UTC day (null = unlimited)",
+        field: "app_daily_limit",
+      },
+      appMonthlyLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Units a single app may use per UTC month (null = unlimited)",
+        field: "app_monthly_limit",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "sponsorship_programs",
+      timestamps: true,
+      underscored: true,
+    }
+  );
+
+  return SponsorshipProgram;
+};
@@ -0,0 +1,75 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * SponsorshipUsage model definition
+ * Ledger entry written for every sponsored authorization
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} SponsorshipUsage model
+ */
+module.exports = (sequelize) => {
+  const SponsorshipUsage = sequelize.define(
+    "SponsorshipUsage",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      programId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: "Reference to the program that paid for the sponsorship",
+        field: "program_id",
+      },
+      account: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Lowercased Lens account address that was sponsored",
+      },
+      signedBy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Lowercased wallet address that signed the login",
+        field: "signed_by",
+      },
+      app: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Lowercased Lens app address the login was for",
+      },
+      units: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: "Units charged to the program budget",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "sponsorship_usages",
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        {
+          name: "sponsorship_usages_program_account_idx",
+          fields: ["program_id", "account", "created_at"],
+        },
+        {
+          name: "sponsorship_usages_program_app_idx",
+          fields: ["program_id", "app", "created_at"],
+        },
+      ],
+    }
+  );
+
+  return SponsorshipUsage;
+};
@@ -34,7 +34,7 @@ module.exports = (sequelize) => {
         field: "tx_hash",
       },
       type: {
-        type: DataTypes.ENUM("APPROVAL", "INTENT_SUBMISSION", "BRIDGE", "TICKET_PURCHASE"),
+        type: DataTypes.ENUM("APPROVAL", "INTENT_SUBMISSION", "BRIDGE", "TICKET_PURCHASE", "RELAY"),
         allowNull: false,
         comment: "Type of transaction",
       },
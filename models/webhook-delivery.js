@@ -0,0 +1,107 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * WebhookDelivery model definition
+ * One event queued for one subscription, with the outcome of its latest attempt
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} WebhookDelivery model
+ */
+module.exports = (sequelize) => {
+  const WebhookDelivery = sequelize.define(
+    "WebhookDelivery",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      subscriptionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: "subscription_id",
+      },
+      eventId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: "ID of the event; the same for every delivery and redelivery of it",
+        field: "event_id",
+      },
+      eventType: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: "event_type",
+      },
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        comment: "JSON body sent to the endpoint",
+      },
+      status: {
+        type: DataTypes.ENUM("PENDING", "SUCCEEDED", "FAILED"),
+        allowNull: false,
+        defaultValue: "PENDING",
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "When the next attempt is due (null once SUCCEEDED or FAILED)",
+        field: "next_attempt_at",
+      },
+      lastAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: "last_attempt_at",
+      },
+      responseStatus: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "HTTP status of the last attempt",
+        field: "response_status",
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: "Why the last attempt failed",
+      },
+      redeliveryOf: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Delivery this one was manually redelivered from",
+        field: "redelivery_of",
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "webhook_deliveries",
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        {
+          name: "webhook_deliveries_status_next_attempt_at_idx",
+          fields: ["status", "next_attempt_at"],
+        },
+        {
+          name: "webhook_deliveries_subscription_id_created_at_idx",
+          fields: ["subscription_id", "created_at"],
+        },
+      ],
+    }
+  );
+
+  return WebhookDelivery;
+};
@@ -0,0 +1,90 @@
+const { DataTypes } = require("sequelize");
+
+/**
+ * WebhookSubscription model definition
+ * An endpoint registered by an integration, with the event types and filters it receives
+ *
+ * @param {object} sequelize - Sequelize instance
+ * @returns {object} WebhookSubscription model
+ */
+module.exports = (sequelize) => {
+  const WebhookSubscription = sequelize.define(
+    "WebhookSubscription",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      owner: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "API key that registered the subscription (api-key:<id>)",
+      },
+      url: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: "Endpoint events are POSTed to",
+      },
+      secret: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "HMAC-SHA256 key for the X-Syndicate-Signature header",
+      },
+      events: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        comment: "Event types delivered to the endpoint",
+      },
+      user: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Only events of this user's intents (null for every user)",
+      },
+      syndicateAddress: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Only events of this syndicate (null for every syndicate)",
+        field: "syndicate_address",
+      },
+      description: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "created_at",
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: "updated_at",
+      },
+    },
+    {
+      tableName: "webhook_subscriptions",
+      timestamps: true,
+      underscored: true,
+      defaultScope: {
+        attributes: { exclude: ["secret"] },
+      },
+      scopes: {
+        withSecret: {},
+      },
+      indexes: [
+        {
+          name: "webhook_subscriptions_owner_idx",
+          fields: ["owner"],
+        },
+      ],
+    }
+  );
+
+  return WebhookSubscription;
+};
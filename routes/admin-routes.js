@@ -0,0 +1,220 @@
+/**
+ * @file admin-routes.js
+ * @description Routes for administrative API endpoints
+ */
+
+const express = require("express");
+const authorizationRuleController = require("../controllers/authorization-rule-controller");
+const authorizationDecisionController = require("../controllers/authorization-decision-controller");
+const sponsorshipController = require("../controllers/sponsorship-controller");
+const signerKeyController = require("../controllers/signer-key-controller");
+const apiKeyController = require("../controllers/api-key-controller");
+const adminRoleController = require("../controllers/admin-role-controller");
+const { validateRequest } = require("../middleware/validate");
+
+const router = express.Router();
+
+/**
+ * @route GET /admin/authorization-rules
+ * @description List the allow/deny rules used by POST /authorize
+ * @access Private (requires admin)
+ */
+router.get(
+  "/authorization-rules",
+  validateRequest("listAuthorizationRules"),
+  authorizationRuleController.listRules
+);
+
+/**
+ * @route POST /admin/authorization-rules
+ * @description Create an allow/deny rule for an app or account
+ * @access Private (requires admin)
+ */
+router.post(
+  "/authorization-rules",
+  validateRequest("createAuthorizationRule"),
+  authorizationRuleController.createRule
+);
+
+/**
+ * @route PUT /admin/authorization-rules/:ruleId
+ * @description Update an allow/deny rule
+ * @access Private (requires admin)
+ */
+router.put(
+  "/authorization-rules/:ruleId",
+  validateRequest("updateAuthorizationRule"),
+  authorizationRuleController.updateRule
+);
+
+/**
+ * @route DELETE /admin/authorization-rules/:ruleId
+ * @description Delete an allow/deny rule
+ * @access Private (requires admin)
+ */
+router.delete(
+  "/authorization-rules/:ruleId",
+  validateRequest("deleteAuthorizationRule"),
+  authorizationRuleController.deleteRule
+);
+
+/**
+ * @route GET /admin/authorization-decisions
+ * @description List stored /authorize decisions
+ * @access Private (requires admin)
+ */
+router.get(
+  "/authorization-decisions",
+  validateRequest("listAuthorizationDecisions"),
+  authorizationDecisionController.listDecisions
+);
+
+/**
+ * @route GET /admin/sponsorship/programs
+ * @description List sponsorship programs and their spend
+ * @access Private (requires admin)
+ */
+router.get(
+  "/sponsorship/programs",
+  validateRequest("listSponsorshipPrograms"),
+  sponsorshipController.listPrograms
+);
+
+/**
+ * @route POST /admin/sponsorship/programs
+ * @description Create a sponsorship program
+ * @access Private (requires admin)
+ */
+router.post(
+  "/sponsorship/programs",
+  validateRequest("createSponsorshipProgram"),
+  sponsorshipController.createProgram
+);
+
+/**
+ * @route PUT /admin/sponsorship/programs/:programId
+ * @description Update a sponsorship program's budget, allowances or status
+ * @access Private (requires admin)
+ */
+router.put(
+  "/sponsorship/programs/:programId",
+  validateRequest("updateSponsorshipProgram"),
+  sponsorshipController.updateProgram
+);
+
+/**
+ * @route GET /admin/sponsorship/accounts
+ * @description List sponsored spend per account
+ * @access Private (requires admin)
+ */
+router.get(
+  "/sponsorship/accounts",
+  validateRequest("listSponsorshipAccounts"),
+  sponsorshipController.listAccountSpend
+);
+
+/**
+ * @route GET /admin/sponsorship/accounts/:account
+ * @description Get an account's spend against each program's allowances
+ * @access Private (requires admin)
+ */
+router.get(
+  "/sponsorship/accounts/:account",
+  validateRequest("getSponsorshipAccount"),
+  sponsorshipController.getAccountSpend
+);
+
+/**
+ * @route GET /admin/signer-keys
+ * @description List app-signer keys and their validity windows
+ * @access Private (requires admin)
+ */
+router.get("/signer-keys", validateRequest("listSignerKeys"), signerKeyController.listKeys);
+
+/**
+ * @route POST /admin/signer-keys
+ * @description Import a keystore as the next version of a named key (schedules a rotation)
+ * @access Private (requires admin)
+ */
+router.post("/signer-keys", validateRequest("createSignerKey"), signerKeyController.createKey);
+
+/**
+ * @route GET /admin/signer-keys/usage
+ * @description List which key versions answered /authorize calls
+ * @access Private (requires admin)
+ */
+router.get(
+  "/signer-keys/usage",
+  validateRequest("listSignerKeyUsage"),
+  signerKeyController.listKeyUsage
+);
+
+/**
+ * @route POST /admin/signer-keys/:keyId/retire
+ * @description Retire a key immediately
+ * @access Private (requires admin)
+ */
+router.post(
+  "/signer-keys/:keyId/retire",
+  validateRequest("retireSignerKey"),
+  signerKeyController.retireKey
+);
+
+/**
+ * @route GET /admin/api-keys
+ * @description List API keys with their scopes, expiry and last use
+ * @access Private (requires admin)
+ */
+router.get("/api-keys", validateRequest("listApiKeys"), apiKeyController.listApiKeys);
+
+/**
+ * @route POST /admin/api-keys
+ * @description Create a scoped API key (the key is only returned once)
+ * @access Private (requires admin)
+ */
+router.post("/api-keys", validateRequest("createApiKey"), apiKeyController.createApiKey);
+
+/**
+ * @route POST /admin/api-keys/:keyId/revoke
+ * @description Revoke an API key
+ * @access Private (requires admin)
+ */
+router.post(
+  "/api-keys/:keyId/revoke",
+  validateRequest("revokeApiKey"),
+  apiKeyController.revokeApiKey
+);
+
+/**
+ * @route GET /admin/roles
+ * @description List wallets holding the admin role
+ * @access Private (requires admin)
+ */
+router.get("/roles", validateRequest("listAdminRoles"), adminRoleController.listRoles);
+
+/**
+ * @route POST /admin/roles
+ * @description Grant the admin role to a wallet
+ * @access Private (requires admin)
+ */
+router.post("/roles", validateRequest("grantAdminRole"), adminRoleController.grantRole);
+
+/**
+ * @route DELETE /admin/roles/:address
+ * @description Revoke the admin role from a wallet
+ * @access Private (requires admin)
+ */
+router.delete(
+  "/roles/:address",
+  validateRequest("revokeAdminRole"),
+  adminRoleController.revokeRole
+);
+
+/**
+ * @route GET /admin/audit-log
+ * @description List recorded admin actions
+ * @access Private (requires admin)
+ */
+router.get("/audit-log", validateRequest("listAdminAuditLog"), adminRoleController.listAuditLog);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * @file auth-routes.js
+ * @description Routes for Sign-In with Ethereum session endpoints
+ */
+
+const express = require("express");
+const authController = require("../controllers/auth-controller");
+const { authenticate, requireSession } = require("../middleware/auth");
+const { validateRequest } = require("../middleware/validate");
+const { csrfProtection } = require("../csrf");
+
+const router = express.Router();
+
+/**
+ * @route GET /auth/nonce
+ * @description Issue a single-use nonce for a SIWE message
+ * @access Public
+ */
+router.get("/nonce", validateRequest("getNonce"), authController.getNonce);
+
+/**
+ * @route GET /auth/csrf-token
+ * @description Issue the CSRF token for cookie-authenticated requests
+ * @access Public
+ */
+router.get("/csrf-token", validateRequest("getCsrfToken"), authController.getCsrfToken);
+
+/**
+ * @route POST /auth/verify
+ * @description Verify a signed SIWE message and start a session
+ * @access Public
+ */
+router.post(
+  "/verify",
+  csrfProtection("signIn"),
+  validateRequest("verifySiwe"),
+  authController.verify
+);
+
+/**
+ * @route POST /auth/refresh
+ * @description Exchange a refresh token for new session tokens
+ * @access Public (requires refresh token)
+ */
+router.post(
+  "/refresh",
+  csrfProtection("strict"),
+  validateRequest("refreshSession"),
+  authController.refresh
+);
+
+/**
+ * @route POST /auth/logout
+ * @description End the current session
+ * @access Private (requires session)
+ */
+router.post(
+  "/logout",
+  csrfProtection("strict"),
+  authenticate,
+  requireSession,
+  validateRequest("logout"),
+  authController.logout
+);
+
+/**
+ * @route GET /auth/me
+ * @description Get the wallet of the current session
+ * @access Private (requires session)
+ */
+router.get(
+  "/me",
+  authenticate,
+  requireSession,
+  validateRequest("getSessionWallet"),
+  authController.me
+);
+
+module.exports = router;
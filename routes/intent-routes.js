@@ -5,37 +5,130 @@
 
 const express = require("express");
 const intentController = require("../controllers/intent-controller");
-const { authenticate } = require("../middleware/auth");
+const { authenticate, requireScope } = require("../middleware/auth");
 const { adminOnly } = require("../middleware/admin");
+const { csrfProtection } = require("../csrf");
+const { rateLimit } = require("../middleware/rate-limit");
+const { idempotency } = require("../middleware/idempotency");
+const { validateRequest } = require("../middleware/validate");
 
 const router = express.Router();
 
 /**
  * @route POST /api/intents
- * @description Submit a new intent
- * @access Private (requires authentication)
+ * @description Submit a new intent; retries with the same Idempotency-Key get the first response
+ * @access Private (requires session or intents:write scope)
  */
-router.post("/", authenticate, intentController.submitIntent);
+router.post(
+  "/",
+  csrfProtection("strict"),
+  authenticate,
+  requireScope("intents:write"),
+  validateRequest("submitIntent"),
+  rateLimit("intents", (req) => (req.user ? req.user.address : req.body.user), {
+    accountPerApiKey: true,
+  }),
+  idempotency("intents"),
+  intentController.submitIntent
+);
+
+/**
+ * @route POST /api/intents/relay
+ * @description Relay an intent the user signed as EIP-712 typed data; the backend pays the gas
+ * @access Private (requires session or intents:write scope; sessions only relay their own intents)
+ */
+router.post(
+  "/relay",
+  csrfProtection("strict"),
+  authenticate,
+  requireScope("intents:write"),
+  validateRequest("relayIntent"),
+  rateLimit("intents", (req) => (req.user ? req.user.address : req.body.user), {
+    accountPerApiKey: true,
+  }),
+  idempotency("intents"),
+  intentController.relayIntent
+);
+
+/**
+ * @route GET /api/intents/relay/:address
+ * @description Get the EIP-712 typed data of relayed intents and the user's next nonce
+ * @access Private (requires session or intents:read scope)
+ */
+router.get(
+  "/relay/:address",
+  authenticate,
+  requireScope("intents:read"),
+  validateRequest("getRelayTypedData"),
+  intentController.getRelayTypedData
+);
+
+/**
+ * @route GET /api/intents
+ * @description Search intents with filters, sorting and cursor pagination
+ * @access Private (requires session or intents:read scope; sessions only see their own intents)
+ */
+router.get(
+  "/",
+  authenticate,
+  requireScope("intents:read"),
+  validateRequest("searchIntents"),
+  intentController.searchIntents
+);
+
+/**
+ * @route GET /api/intents/user/:address
+ * @description Get all intents for a user; declared before /:intentId so it always takes
+ * precedence over it
+ * @access Private (requires session or intents:read scope)
+ */
+router.get(
+  "/user/:address",
+  authenticate,
+  requireScope("intents:read"),
+  validateRequest("getUserIntents"),
+  intentController.getUserIntents
+);
 
 /**
  * @route GET /api/intents/:intentId
  * @description Get an intent by ID
- * @access Public
+ * @access Private (requires session or intents:read scope)
  */
-router.get("/:intentId", intentController.getIntent);
+router.get(
+  "/:intentId",
+  authenticate,
+  requireScope("intents:read"),
+  validateRequest("getIntent"),
+  intentController.getIntent
+);
 
 /**
- * @route GET /api/intents/user/:address
- * @description Get all intents for a user
- * @access Public
+ * @route POST /api/intents/:intentId/cancel
+ * @description Cancel a pending intent
+ * @access Private (requires the intent's session wallet or intents:write scope)
  */
-router.get("/user/:address", intentController.getUserIntents);
+router.post(
+  "/:intentId/cancel",
+  csrfProtection("strict"),
+  authenticate,
+  requireScope("intents:write"),
+  validateRequest("cancelIntent"),
+  intentController.cancelIntent
+);
 
 /**
  * @route PUT /api/intents/:intentId
  * @description Update an intent (admin only)
  * @access Private (requires admin)
  */
-router.put("/:intentId", authenticate, adminOnly, intentController.updateIntent);
+router.put(
+  "/:intentId",
+  csrfProtection("strict"),
+  authenticate,
+  adminOnly,
+  validateRequest("updateIntent"),
+  intentController.updateIntent
+);
 
 module.exports = router;
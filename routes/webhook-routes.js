@@ -0,0 +1,72 @@
+/**
+ * @file webhook-routes.js
+ * @description Routes for webhook subscriptions and deliveries
+ *
+ * Mounted behind authenticateApiKey, requireScope("webhooks") and requireScope("intents:read") in
+ * app.js.
+ */
+
+const express = require("express");
+const webhookController = require("../controllers/webhook-controller");
+const { validateRequest } = require("../middleware/validate");
+
+const router = express.Router();
+
+/**
+ * @route GET /api/webhooks
+ * @description List the webhooks of the calling API key
+ * @access Private (requires webhooks and intents:read scopes)
+ */
+router.get("/", validateRequest("listWebhooks"), webhookController.listWebhooks);
+
+/**
+ * @route POST /api/webhooks
+ * @description Register a webhook; the response holds its signing secret
+ * @access Private (requires webhooks and intents:read scopes)
+ */
+router.post("/", validateRequest("createWebhook"), webhookController.createWebhook);
+
+/**
+ * @route GET /api/webhooks/:webhookId
+ * @description Get a webhook
+ * @access Private (requires webhooks and intents:read scopes)
+ */
+router.get("/:webhookId", validateRequest("getWebhook"), webhookController.getWebhook);
+
+/**
+ * @route PUT /api/webhooks/:webhookId
+ * @description Update a webhook's URL, events, filters, description or active flag
+ * @access Private (requires webhooks and intents:read scopes)
+ */
+router.put("/:webhookId", validateRequest("updateWebhook"), webhookController.updateWebhook);
+
+/**
+ * @route DELETE /api/webhooks/:webhookId
+ * @description Delete a webhook and its delivery log
+ * @access Private (requires webhooks and intents:read scopes)
+ */
+router.delete("/:webhookId", validateRequest("deleteWebhook"), webhookController.deleteWebhook);
+
+/**
+ * @route GET /api/webhooks/:webhookId/deliveries
+ * @description List a webhook's deliveries, newest first
+ * @access Private (requires webhooks and intents:read scopes)
+ */
+router.get(
+  "/:webhookId/deliveries",
+  validateRequest("listWebhookDeliveries"),
+  webhookController.listWebhookDeliveries
+);
+
+/**
+ * @route POST /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * @description Send a delivery again
+ * @access Private (requires webhooks and intents:read scopes)
+ */
+router.post(
+  "/:webhookId/deliveries/:deliveryId/redeliver",
+  validateRequest("redeliverWebhook"),
+  webhookController.redeliverWebhook
+);
+
+module.exports = router;
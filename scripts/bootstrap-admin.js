@@ -0,0 +1,52 @@
+/**
+ * @file bootstrap-admin.js
+ * @description Create the first admin credentials directly in the database
+ *
+ * Usage:
+ *   node scripts/bootstrap-admin.js key <label>      Create an API key with the admin scope
+ *   node scripts/bootstrap-admin.js wallet <address> Grant the admin role to a wallet
+ *
+ * The admin API needs an admin to create keys and grant roles, so the first one is made here
+ * rather than through the legacy shared secret. The API key is printed once.
+ */
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
+const { ethers } = require("ethers");
+const db = require("../database");
+const { createApiKey } = require("../services/api-keys");
+const { grantAdmin } = require("../services/admin-roles");
+
+const ACTOR = "bootstrap-admin";
+
+const USAGE = "Usage: node scripts/bootstrap-admin.js key <label> | wallet <address>";
+
+/**
+ * Create the requested admin credential
+ * @param {string} command "key" or "wallet"
+ * @param {string} argument Key label or wallet address
+ * @returns {Promise<string>} What was created, for the console
+ */
+async function bootstrap(command, argument) {
+  if (command === "key") {
+    const { key, apiKey } = await createApiKey({ label: argument, scopes: ["admin"] });
+    return `Created admin API key ${apiKey.id} (${apiKey.label}). It is only shown once:\n${key}`;
+  }
+
+  const address = ethers.getAddress(argument.toLowerCase());
+  const { created } = await grantAdmin(address, ACTOR);
+  return created ? `Granted the admin role to ${address}` : `${address} is already an admin`;
+}
+
+if (!["key", "wallet"].includes(process.argv[2]) || !process.argv[3]) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+bootstrap(process.argv[2], process.argv[3])
+  .then((message) => console.log(message))
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => db.sequelize.close());
@@ -0,0 +1,91 @@
+/**
+ * @file admin-roles.js
+ * @description Persisted admin roles and the admin audit trail
+ */
+
+const db = require("../database");
+
+/**
+ * Describe who is making an admin request
+ * @param {object} req Express request object
+ * @returns {string} Wallet address, or api-key:<id> for API keys
+ */
+function getActor(req) {
+  if (req.user) {
+    return req.user.address.toLowerCase();
+  }
+  if (req.apiKey) {
+    return `api-key:${req.apiKey.id ?? req.apiKey.label}`;
+  }
+  return "unknown";
+}
+
+/**
+ * Whether a wallet currently holds the admin role
+ * @param {string} address Wallet address
+ * @returns {Promise<boolean>} Whether the wallet is an admin
+ */
+async function isAdmin(address) {
+  const role = await db.AdminRole.findOne({
+    where: { address: address.toLowerCase(), role: "admin", revokedAt: null },
+  });
+  return Boolean(role);
+}
+
+/**
+ * Grant the admin role to a wallet (no-op if it already holds it)
+ * @param {string} address Wallet address
+ * @param {string} grantedBy Actor granting the role
+ * @returns {Promise<{ role: object, created: boolean }>} The active role
+ */
+async function grantAdmin(address, grantedBy) {
+  const [role, created] = await db.AdminRole.findOrCreate({
+    where: { address: address.toLowerCase(), role: "admin", revokedAt: null },
+    defaults: { grantedBy },
+  });
+  return { role, created };
+}
+
+/**
+ * Revoke the admin role from a wallet
+ * @param {string} address Wallet address
+ * @param {string} revokedBy Actor revoking the role
+ * @returns {Promise<number>} Number of roles revoked
+ */
+async function revokeAdmin(address, revokedBy) {
+  const [revoked] = await db.AdminRole.update(
+    { revokedAt: new Date(), revokedBy },
+    { where: { address: address.toLowerCase(), role: "admin", revokedAt: null } }
+  );
+  return revoked;
+}
+
+/**
+ * Record an admin action in the audit trail
+ * @param {object} req Express request object of the admin request
+ * @param {string} action Action performed (e.g. api_key.create)
+ * @param {object} [target]
+ * @param {string} [target.targetType] Type of the record acted on
+ * @param {string|number} [target.targetId] ID of the record acted on
+ * @param {object} [target.details] Extra details (never include secrets)
+ * @returns {Promise<object>} The audit log entry
+ */
+async function recordAdminAction(req, action, { targetType, targetId, details } = {}) {
+  return db.AdminAuditLog.create({
+    actor: getActor(req),
+    action,
+    targetType,
+    targetId: targetId === undefined || targetId === null ? null : String(targetId),
+    details,
+    ip: req.ip,
+    requestId: req.id ?? null,
+  });
+}
+
+module.exports = {
+  getActor,
+  isAdmin,
+  grantAdmin,
+  revokeAdmin,
+  recordAdminAction,
+};
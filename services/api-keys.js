@@ -0,0 +1,131 @@
+/**
+ * @file api-keys.js
+ * @description Scoped, revocable API keys stored hashed in Postgres
+ */
+
+const crypto = require("crypto");
+const db = require("../database");
+const { settings } = require("../config");
+
+// Permissions an API key can be granted
+const SCOPES = ["authorize", "intents:read", "intents:write", "webhooks", "admin"];
+
+// Keys look like sk_<8 hex prefix>_<secret>; the prefix is stored in clear for lookup
+const KEY_PATTERN = /^sk_([0-9a-f]{8})_([A-Za-z0-9_-]{43})$/;
+
+// Avoid a database write on every request just to bump lastUsedAt
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash a full API key for storage
+ * @param {string} key The API key
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a First value
+ * @param {string} b Second value
+ * @returns {boolean} Whether they are equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Whether a bearer token has the shape of an API key (as opposed to a session token)
+ * @param {string} token Bearer token
+ * @returns {boolean} Whether it looks like an API key
+ */
+function isApiKeyToken(token) {
+  return typeof token === "string" && token.startsWith("sk_");
+}
+
+/**
+ * The deprecated SHARED_SECRET, accepted as a key with SHARED_SECRET_SCOPES while integrations
+ * migrate to their own keys
+ * @param {string} token Bearer token
+ * @returns {object|null} A synthetic key, or null when the token is not the shared secret
+ */
+function resolveLegacySharedSecret(token) {
+  const secret = settings.SHARED_SECRET;
+  if (!secret || !safeEqual(token, secret)) {
+    return null;
+  }
+
+  return { id: null, label: "legacy-shared-secret", scopes: settings.SHARED_SECRET_SCOPES };
+}
+
+/**
+ * Create an API key
+ * @param {object} options
+ * @param {string} options.label Name of the integration
+ * @param {string[]} options.scopes Granted scopes
+ * @param {Date|null} [options.expiresAt] Expiry
+ * @returns {Promise<{ key: string, apiKey: object }>} The plaintext key (shown once) and record
+ */
+async function createApiKey({ label, scopes, expiresAt = null }) {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const key = `sk_${prefix}_${crypto.randomBytes(32).toString("base64url")}`;
+
+  const apiKey = await db.ApiKey.create({
+    label,
+    prefix,
+    keyHash: hashApiKey(key),
+    scopes,
+    expiresAt,
+  });
+
+  const { keyHash: _keyHash, ...record } = apiKey.toJSON();
+  return { key, apiKey: record };
+}
+
+/**
+ * Resolve a bearer token to an active API key
+ * @param {string} token Bearer token
+ * @returns {Promise<object|null>} The key (id, label, scopes), or null when the token is not a
+ *   valid, unexpired, unrevoked key
+ */
+async function resolveApiKey(token) {
+  if (typeof token !== "string") {
+    return null;
+  }
+
+  const legacy = resolveLegacySharedSecret(token);
+  if (legacy) {
+    return legacy;
+  }
+
+  const match = KEY_PATTERN.exec(token);
+  if (!match) {
+    return null;
+  }
+
+  const apiKey = await db.ApiKey.scope("withHash").findOne({ where: { prefix: match[1] } });
+  if (!apiKey || !safeEqual(apiKey.keyHash, hashApiKey(token))) {
+    return null;
+  }
+
+  const now = new Date();
+  if (apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    await apiKey.update({ lastUsedAt: now });
+  }
+
+  return { id: apiKey.id, label: apiKey.label, scopes: apiKey.scopes };
+}
+
+module.exports = {
+  SCOPES,
+  isApiKeyToken,
+  createApiKey,
+  resolveApiKey,
+};
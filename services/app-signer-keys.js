@@ -0,0 +1,202 @@
+/**
+ * @file app-signer-keys.js
+ * @description Key management for the Lens app-verification signer
+ * Keeps the signer returned by /authorize separate from the transaction wallet used by
+ * IntentProcessor, with named keys per app, scheduled rotation and overlap windows
+ */
+
+const { Op } = require("sequelize");
+const db = require("../database");
+const { settings } = require("../config");
+const { decryptKeystore, loadEnvironmentSigningKey } = require("./app-signer-keystore");
+
+// Key name used to answer /authorize when the caller does not ask for a specific one
+const DEFAULT_KEY_NAME = "default";
+
+// How long a rotated-out key stays valid after its successor activates
+const ROTATION_OVERLAP_SECONDS = settings.APP_SIGNER_ROTATION_OVERLAP_SECONDS;
+
+/**
+ * Conditions for keys that are valid at a given time
+ * @param {Date} now Reference time
+ * @returns {object} Sequelize where clause
+ */
+function activeAt(now) {
+  return {
+    activatesAt: { [Op.lte]: now },
+    [Op.or]: [{ retiresAt: null }, { retiresAt: { [Op.gt]: now } }],
+  };
+}
+
+/**
+ * List every key of an app that is valid right now, including keys in their overlap window
+ * @param {object} [options]
+ * @param {string} [options.app] Lens app address
+ * @param {string} [options.name] Key name
+ * @returns {Promise<object[]>} Valid keys, most recently activated first
+ */
+async function listActiveKeys({ app, name = DEFAULT_KEY_NAME } = {}) {
+  const normalizedApp = app ? app.toLowerCase() : null;
+
+  return db.AppSignerKey.findAll({
+    where: {
+      name,
+      app: normalizedApp ? { [Op.or]: [null, normalizedApp] } : null,
+      ...activeAt(new Date()),
+    },
+    order: [
+      ["app", "ASC NULLS LAST"],
+      ["activatesAt", "DESC"],
+      ["version", "DESC"],
+    ],
+  });
+}
+
+/**
+ * Select the key that should answer an /authorize call
+ *
+ * The most recently activated version of the app's named key wins; app-specific keys win over
+ * keys shared by every app. Falls back to the key configured in the environment.
+ *
+ * @param {object} [options]
+ * @param {string} [options.app] Lens app address
+ * @param {string} [options.name] Key name
+ * @returns {Promise<{privateKey: string, address: string, keyId: number|null, name: string,
+ *   version: number}|null>} The selected key, or null when none is available
+ */
+async function selectSigningKey({ app, name = DEFAULT_KEY_NAME } = {}) {
+  const [candidate] = await listActiveKeys({ app, name });
+
+  if (!candidate) {
+    return loadEnvironmentSigningKey();
+  }
+
+  const key = await db.AppSignerKey.scope("withKeystore").findByPk(candidate.id);
+  const wallet = await decryptKeystore(key.keystore, process.env[key.passwordEnv], `db:${key.id}`);
+
+  return {
+    privateKey: wallet.privateKey,
+    address: wallet.address,
+    keyId: key.id,
+    name: key.name,
+    version: key.version,
+  };
+}
+
+/**
+ * Import a keystore as the next version of a named key
+ *
+ * When the new version activates, the version that was current at that time is retired
+ * after the overlap window so in-flight logins signed with it stay valid. Versions scheduled to
+ * activate later are left alone; the new version is retired when the next of them activates.
+ *
+ * @param {object} options
+ * @param {string|object} options.keystore Encrypted JSON keystore
+ * @param {string} [options.app] Lens app address (null = every app)
+ * @param {string} [options.name] Key name
+ * @param {string} [options.passwordEnv] Environment variable holding the keystore password
+ * @param {Date} [options.activatesAt] When the new version takes over (defaults to now)
+ * @param {number} [options.overlapSeconds] Overlap window for the previous version
+ * @returns {Promise<object>} The created key (without keystore)
+ */
+async function scheduleKeyRotation({
+  keystore,
+  app = null,
+  name = DEFAULT_KEY_NAME,
+  passwordEnv = "APP_SIGNER_KEYSTORE_PASSWORD",
+  activatesAt = new Date(),
+  overlapSeconds = ROTATION_OVERLAP_SECONDS,
+}) {
+  const json = typeof keystore === "string" ? keystore : JSON.stringify(keystore);
+
+  // Decrypting up-front proves the password is available before the key can be selected
+  let wallet;
+  try {
+    wallet = await decryptKeystore(json, process.env[passwordEnv]);
+  } catch (error) {
+    const invalid = new Error(`Unable to decrypt keystore: ${error.message}`);
+    invalid.code = "INVALID_KEYSTORE";
+    throw invalid;
+  }
+  const normalizedApp = app ? app.toLowerCase() : null;
+
+  return db.sequelize.transaction(async (transaction) => {
+    const overlapEnd = (start) => new Date(start.getTime() + overlapSeconds * 1000);
+    const retiresAt = overlapEnd(activatesAt);
+
+    // Versions that would still be valid after the overlap, without those not yet activated
+    const previous = await db.AppSignerKey.findAll({
+      where: {
+        app: normalizedApp,
+        name,
+        activatesAt: { [Op.lte]: activatesAt },
+        [Op.or]: [{ retiresAt: null }, { retiresAt: { [Op.gt]: retiresAt } }],
+      },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    const successor = await db.AppSignerKey.findOne({
+      where: { app: normalizedApp, name, activatesAt: { [Op.gt]: activatesAt } },
+      order: [["activatesAt", "ASC"]],
+      transaction,
+    });
+
+    const latestVersion = await db.AppSignerKey.max("version", {
+      where: { app: normalizedApp, name },
+      transaction,
+    });
+
+    for (const key of previous) {
+      await key.update({ retiresAt }, { transaction });
+    }
+
+    const created = await db.AppSignerKey.create(
+      {
+        app: normalizedApp,
+        name,
+        version: (latestVersion || 0) + 1,
+        address: wallet.address,
+        keystore: json,
+        passwordEnv,
+        activatesAt,
+        retiresAt: successor ? overlapEnd(successor.activatesAt) : null,
+      },
+      { transaction }
+    );
+
+    const { keystore: _keystore, ...rest } = created.toJSON();
+    return rest;
+  });
+}
+
+/**
+ * Record which key version answered an /authorize call
+ * @param {object} key Key returned by selectSigningKey
+ * @param {object} request The authorized request
+ * @param {string} request.account Lens account address
+ * @param {string} [request.app] Lens app address
+ * @param {object} [options]
+ * @param {object} [options.transaction] Sequelize transaction
+ * @returns {Promise<object>} The usage record
+ */
+async function recordKeyUsage(key, { account, app }, { transaction } = {}) {
+  return db.SignerKeyUsage.create(
+    {
+      keyId: key.keyId,
+      keyName: key.name,
+      keyVersion: key.version,
+      account: account.toLowerCase(),
+      app: app ? app.toLowerCase() : null,
+    },
+    { transaction }
+  );
+}
+
+module.exports = {
+  DEFAULT_KEY_NAME,
+  listActiveKeys,
+  selectSigningKey,
+  scheduleKeyRotation,
+  recordKeyUsage,
+};
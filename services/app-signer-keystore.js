@@ -0,0 +1,83 @@
+/**
+ * @file app-signer-keystore.js
+ * @description Decrypts app-signer keys from encrypted JSON keystores
+ * Kept free of database access so the lightweight servers can load their key from the environment
+ */
+
+const fs = require("fs");
+const { Wallet } = require("ethers");
+const { settings } = require("../config");
+
+// Decrypted wallets keyed by a stable cache key; scrypt decryption is slow
+const decryptedWallets = new Map();
+
+/**
+ * Decrypt an encrypted JSON keystore
+ * @param {string|object} keystore Keystore JSON (string or parsed object)
+ * @param {string} password Keystore password
+ * @param {string} [cacheKey] Cache key for the decrypted wallet
+ * @returns {Promise<import('ethers').Wallet>} The decrypted wallet
+ */
+async function decryptKeystore(keystore, password, cacheKey) {
+  if (cacheKey && decryptedWallets.has(cacheKey)) {
+    return decryptedWallets.get(cacheKey);
+  }
+
+  if (!password) {
+    throw new Error("Keystore password is not set");
+  }
+
+  const json = typeof keystore === "string" ? keystore : JSON.stringify(keystore);
+  const wallet = await Wallet.fromEncryptedJson(json, password);
+
+  if (cacheKey) {
+    decryptedWallets.set(cacheKey, wallet);
+  }
+  return wallet;
+}
+
+/**
+ * Load the app-signer key configured through environment variables
+ *
+ * APP_SIGNER_KEYSTORE_PATH + APP_SIGNER_KEYSTORE_PASSWORD is preferred; APP_SIGNER_PRIVATE_KEY
+ * is accepted for local development. The relayer's PRIVATE_KEY is never used.
+ *
+ * @returns {Promise<{privateKey: string, address: string, keyId: null, name: string,
+ *   version: number}|null>} The key, or null when none is configured
+ */
+async function loadEnvironmentSigningKey() {
+  const keystorePath = settings.APP_SIGNER_KEYSTORE_PATH;
+
+  if (keystorePath) {
+    const wallet = await decryptKeystore(
+      fs.readFileSync(keystorePath, "utf8"),
+      settings.APP_SIGNER_KEYSTORE_PASSWORD,
+      `env:${keystorePath}`
+    );
+    return {
+      privateKey: wallet.privateKey,
+      address: wallet.address,
+      keyId: null,
+      name: "env",
+      version: 0,
+    };
+  }
+
+  if (settings.APP_SIGNER_PRIVATE_KEY) {
+    const wallet = new Wallet(settings.APP_SIGNER_PRIVATE_KEY);
+    return {
+      privateKey: wallet.privateKey,
+      address: wallet.address,
+      keyId: null,
+      name: "env",
+      version: 0,
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  decryptKeystore,
+  loadEnvironmentSigningKey,
+};
@@ -0,0 +1,69 @@
+/**
+ * @file authorization-decisions.js
+ * @description Persists the outcome of every /authorize call
+ */
+
+const db = require("../database");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("authorize");
+
+// Column limit of the STRING fields; request values are client input and may be anything
+const MAX_VALUE_LENGTH = 255;
+
+/**
+ * Normalize a request value for storage
+ * @param {*} value Value from the request body
+ * @returns {string|null} Lowercased, truncated value
+ */
+function normalize(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  return String(value).toLowerCase().slice(0, MAX_VALUE_LENGTH);
+}
+
+/**
+ * Record an authorization decision
+ *
+ * Failures are logged and swallowed so that the audit write can never fail a Lens login.
+ *
+ * @param {object} req Express request object of the /authorize call
+ * @param {object} outcome
+ * @param {boolean} outcome.allowed Whether the login was allowed
+ * @param {string} [outcome.reason] Denial reason
+ * @param {object} [outcome.rule] Authorization rule that decided the request
+ * @param {object} [outcome.sponsorship] Result of determineSponsorship
+ * @param {object} [outcome.signerKey] App-signer key returned
+ * @returns {Promise<object|null>} The stored decision
+ */
+async function recordAuthorizationDecision(req, { allowed, reason, rule, sponsorship, signerKey }) {
+  const { account, signedBy, app, role } = req.body;
+
+  try {
+    return await db.AuthorizationDecision.create({
+      account: normalize(account),
+      signedBy: normalize(signedBy),
+      app: normalize(app),
+      role: String(role ?? "accountOwner").slice(0, MAX_VALUE_LENGTH),
+      allowed,
+      reason: reason || null,
+      ruleId: rule ? rule.id : null,
+      sponsored: sponsorship ? sponsorship.sponsored : null,
+      sponsorshipProgramId: sponsorship?.programId ?? null,
+      sponsorshipReason: sponsorship?.reason ?? null,
+      keyId: signerKey ? signerKey.keyId : null,
+      keyVersion: signerKey ? signerKey.version : null,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      ip: req.ip,
+      requestId: req.id ?? null,
+    });
+  } catch (error) {
+    logger.error("Failed to record authorization decision", { error });
+    return null;
+  }
+}
+
+module.exports = {
+  recordAuthorizationDecision,
+};
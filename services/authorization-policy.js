@@ -0,0 +1,139 @@
+/**
+ * @file authorization-policy.js
+ * @description Policy engine behind POST /authorize
+ * Evaluates the Lens roles against persisted per-app and per-account allow/deny rules, then
+ * confirms on-chain that the signer controls the account
+ */
+
+const { Op } = require("sequelize");
+const { isAddress } = require("ethers");
+const db = require("../database");
+const { OWNERSHIP_REASONS, verifyAccountControl } = require("./lens-account-verifier");
+
+// Roles Lens sends to the authorization endpoint
+const ROLES = ["accountOwner", "accountManager", "onboardingUser", "builder"];
+
+// Outcome for each role when no rule matches the request
+const ROLE_DEFAULTS = {
+  accountOwner: "ALLOW",
+  accountManager: "ALLOW",
+  onboardingUser: "ALLOW",
+  builder: "DENY",
+};
+
+// Machine-readable reasons returned as `reason` in denied responses
+const DENIAL_REASONS = {
+  UNSUPPORTED_ROLE: "UNSUPPORTED_ROLE",
+  INVALID_ADDRESS: "INVALID_ADDRESS",
+  ACCOUNT_DENIED: "ACCOUNT_DENIED",
+  APP_DENIED: "APP_DENIED",
+  ROLE_NOT_ALLOWED: "ROLE_NOT_ALLOWED",
+  ...OWNERSHIP_REASONS,
+};
+
+/**
+ * Find the rules that apply to a request
+ * @param {object} request Normalized authorization request
+ * @returns {Promise<object[]>} Matching rules
+ */
+async function findMatchingRules({ account, signedBy, app, role }) {
+  const subjects = [{ scope: "ACCOUNT", subject: account }];
+  if (app) {
+    subjects.push({ scope: "APP", subject: app });
+  }
+
+  return db.AuthorizationRule.findAll({
+    where: {
+      [Op.and]: [
+        { [Op.or]: subjects },
+        { [Op.or]: [{ role: null }, { role }] },
+        { [Op.or]: [{ signer: null }, { signer: signedBy }] },
+        { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] },
+      ],
+    },
+  });
+}
+
+/**
+ * Evaluate the stored rules for a normalized request
+ * @param {object} request Normalized authorization request
+ * @returns {Promise<{allowed: boolean, reason?: string, rule?: object}>} The rule decision
+ */
+async function evaluateRules(request) {
+  const rules = await findMatchingRules(request);
+  const find = (scope, effect) =>
+    rules.find((rule) => rule.scope === scope && rule.effect === effect);
+
+  const accountDeny = find("ACCOUNT", "DENY");
+  if (accountDeny) {
+    return { allowed: false, reason: DENIAL_REASONS.ACCOUNT_DENIED, rule: accountDeny };
+  }
+
+  const appDeny = find("APP", "DENY");
+  if (appDeny) {
+    return { allowed: false, reason: DENIAL_REASONS.APP_DENIED, rule: appDeny };
+  }
+
+  const allow = find("ACCOUNT", "ALLOW") || find("APP", "ALLOW");
+  if (allow) {
+    return { allowed: true, rule: allow };
+  }
+
+  if (ROLE_DEFAULTS[request.role] === "ALLOW") {
+    return { allowed: true };
+  }
+
+  return { allowed: false, reason: DENIAL_REASONS.ROLE_NOT_ALLOWED };
+}
+
+/**
+ * Evaluate an authorization request against the stored rules and the Lens chain
+ *
+ * Deny rules always win over allow rules, and account rules are reported before app rules.
+ * When no rule matches, the role default applies. A request the rules allow is only allowed once
+ * the chain confirms that `signedBy` owns or manages `account`; allow rules cannot skip this.
+ *
+ * @param {object} request The /authorize request body
+ * @param {string} request.account Lens account address
+ * @param {string} request.signedBy Wallet that signed the login challenge
+ * @param {string} [request.app] Lens app address
+ * @param {string|null} [request.role] Lens role (accountOwner when missing or null)
+ * @returns {Promise<{allowed: boolean, reason?: string, rule?: object}>} The decision
+ */
+async function evaluateAuthorization({ account, signedBy, app, role: requestedRole }) {
+  // The schema allows an explicit null role, which means the default just like a missing one
+  const role = requestedRole ?? "accountOwner";
+  if (!ROLES.includes(role)) {
+    return { allowed: false, reason: DENIAL_REASONS.UNSUPPORTED_ROLE };
+  }
+
+  if (!isAddress(account) || !isAddress(signedBy) || (app && !isAddress(app))) {
+    return { allowed: false, reason: DENIAL_REASONS.INVALID_ADDRESS };
+  }
+
+  const request = {
+    account: account.toLowerCase(),
+    signedBy: signedBy.toLowerCase(),
+    app: app ? app.toLowerCase() : null,
+    role,
+  };
+
+  const decision = await evaluateRules(request);
+  if (!decision.allowed) {
+    return decision;
+  }
+
+  const ownership = await verifyAccountControl(request);
+  if (!ownership.verified) {
+    return { allowed: false, reason: ownership.reason, rule: decision.rule };
+  }
+
+  return decision;
+}
+
+module.exports = {
+  ROLES,
+  ROLE_DEFAULTS,
+  DENIAL_REASONS,
+  evaluateAuthorization,
+};
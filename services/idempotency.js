@@ -0,0 +1,155 @@
+/**
+ * @file idempotency.js
+ * @description Idempotency keys: a request retried with the same Idempotency-Key gets the original
+ * response instead of being handled again
+ *
+ * Keys are scoped to a route and the actor sending them, stored with a hash of the first request
+ * and, once it finished, its response. They can be reused after IDEMPOTENCY_KEY_TTL_SECONDS.
+ */
+
+const crypto = require("crypto");
+const db = require("../database");
+const { settings } = require("../config");
+const { createLogger } = require("./logger");
+const { getRequestId } = require("./request-context");
+
+const logger = createLogger("idempotency");
+
+const TTL_MS = settings.IDEMPOTENCY_KEY_TTL_SECONDS * 1000;
+
+// A key still without a response after this long belongs to a request that never finished (e.g.
+// the replica stopped), and the next retry takes it over
+const ABANDONED_AFTER_MS = 60 * 1000;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+let pruneTimer;
+
+/**
+ * JSON with object keys sorted, so equal bodies hash the same whatever their key order
+ * @param {*} value JSON value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash what makes two requests the same: method, path and body
+ * @param {object} req Express request object
+ * @returns {string} Hex SHA-256
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body)}`)
+    .digest("hex");
+}
+
+/**
+ * Delete expired keys
+ * @returns {Promise<number>} Number of keys deleted
+ */
+async function pruneIdempotencyKeys() {
+  const { Op } = db.Sequelize;
+  return db.IdempotencyKey.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } });
+}
+
+/**
+ * Claim an idempotency key for a request, or find what it was already used for
+ *
+ * @param {object} options
+ * @param {string} options.scope Route and actor, e.g. intents:0xabc...
+ * @param {string} options.key Idempotency-Key header
+ * @param {string} options.requestHash hashRequest of the request
+ * @returns {Promise<{state: string, record: object}>} state is "new" (handle the request and
+ *   complete the record), "replay" (answer with the stored response), "mismatch" (the key was used
+ *   for a different request) or "in_progress" (the first request has not finished yet)
+ */
+async function beginIdempotentRequest({ scope, key, requestHash }) {
+  if (!pruneTimer) {
+    pruneTimer = setInterval(() => {
+      pruneIdempotencyKeys().catch((error) =>
+        logger.error("Failed to prune idempotency keys", { error })
+      );
+    }, PRUNE_INTERVAL_MS).unref();
+  }
+
+  const { Op } = db.Sequelize;
+  const now = new Date();
+  const requestId = getRequestId() ?? null;
+
+  // An expired key is free again
+  await db.IdempotencyKey.destroy({ where: { scope, key, expiresAt: { [Op.lte]: now } } });
+
+  const [record, created] = await db.IdempotencyKey.findOrCreate({
+    where: { scope, key },
+    defaults: { requestHash, expiresAt: new Date(now.getTime() + TTL_MS), requestId },
+  });
+
+  if (created) {
+    return { state: "new", record };
+  }
+  if (record.requestHash !== requestHash) {
+    return { state: "mismatch", record };
+  }
+  if (record.responseStatus !== null) {
+    return { state: "replay", record };
+  }
+
+  if (now.getTime() - record.updatedAt.getTime() > ABANDONED_AFTER_MS) {
+    // Only one retry can take over: the update matches the row as it was read
+    const [taken] = await db.IdempotencyKey.update(
+      { requestId, updatedAt: now },
+      { where: { id: record.id, responseStatus: null, updatedAt: record.updatedAt } }
+    );
+    if (taken === 1) {
+      logger.warn("Took over an abandoned idempotency key", { scope, key });
+      return { state: "new", record };
+    }
+  }
+  return { state: "in_progress", record };
+}
+
+/**
+ * Store the response of the request that claimed a key
+ * Server errors are not stored: the key is released so the client can retry
+ * @param {object} record Record from beginIdempotentRequest
+ * @param {number} status Response status
+ * @param {*} body Response body
+ */
+async function completeIdempotentRequest(record, status, body) {
+  if (status >= 500 || body === undefined) {
+    await releaseIdempotencyKey(record);
+    return;
+  }
+  await db.IdempotencyKey.update(
+    { responseStatus: status, responseBody: body },
+    { where: { id: record.id } }
+  );
+}
+
+/**
+ * Free a key whose request did not finish, so a retry is handled again
+ * @param {object} record Record from beginIdempotentRequest
+ */
+async function releaseIdempotencyKey(record) {
+  await db.IdempotencyKey.destroy({ where: { id: record.id, responseStatus: null } });
+}
+
+module.exports = {
+  hashRequest,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotencyKey,
+  pruneIdempotencyKeys,
+};
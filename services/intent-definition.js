@@ -0,0 +1,147 @@
+/**
+ * @file intent-definition.js
+ * @description IntentDefinition encoding shared by the intent API and the intent processor
+ *
+ * Mirrors SyndicateIntentResolver: the intentId is keccak256(abi.encode(intent, user)), so an
+ * intent stored by the API and the IntentSubmitted event of its transaction share the same ID.
+ */
+
+const { ethers } = require("ethers");
+const SyndicateIntentResolverABI = require("../contracts/intent/abi/SyndicateIntentResolver.json");
+
+const resolverInterface = new ethers.Interface(SyndicateIntentResolverABI);
+
+// The IntentDefinition tuple, in the order the contract declares its fields
+const INTENT_DEFINITION_TYPE = resolverInterface.getFunction("submitIntent").inputs[0];
+
+// Resolver functions that submit an intent, directly or signed for the user
+const SUBMIT_FUNCTIONS = ["submitIntent", "submitIntentFor"];
+
+/**
+ * Build an IntentDefinition from intent fields (API body or stored intent)
+ * @param {object} fields Intent fields
+ * @returns {object} IntentDefinition with bigint amounts and the metadata bytes
+ */
+function toIntentDefinition(fields) {
+  return {
+    intentType: Number(fields.intentType),
+    syndicateAddress: ethers.getAddress(fields.syndicateAddress),
+    amount: BigInt(fields.amount),
+    tokenAddress: ethers.getAddress(fields.tokenAddress),
+    sourceChainId: Number(fields.sourceChainId),
+    destinationChainId: Number(fields.destinationChainId),
+    ticketId: BigInt(fields.ticketId ?? 0),
+    useOptimalRoute: fields.useOptimalRoute ?? true,
+    maxFeePercentage: BigInt(fields.maxFeePercentage ?? 0),
+    deadline: BigInt(fields.deadline),
+    metadata: fields.encodedData ?? "0x",
+  };
+}
+
+/**
+ * Turn a decoded IntentDefinition back into intent fields for the database
+ * @param {object} definition IntentDefinition (e.g. decoded from submitIntent calldata)
+ * @returns {object} Intent fields
+ */
+function fromIntentDefinition(definition) {
+  return {
+    intentType: Number(definition.intentType),
+    syndicateAddress: definition.syndicateAddress,
+    amount: definition.amount.toString(),
+    tokenAddress: definition.tokenAddress,
+    sourceChainId: Number(definition.sourceChainId),
+    destinationChainId: Number(definition.destinationChainId),
+    ticketId: definition.ticketId.toString(),
+    useOptimalRoute: definition.useOptimalRoute,
+    maxFeePercentage: Number(definition.maxFeePercentage),
+    deadline: definition.deadline.toString(),
+    encodedData: definition.metadata,
+  };
+}
+
+/**
+ * Compute the intentId as SyndicateIntentResolver.createIntentId does
+ * @param {object} definition IntentDefinition
+ * @param {string} user Address submitting the intent (msg.sender of submitIntent)
+ * @returns {string} bytes32 intentId
+ */
+function computeIntentId(definition, user) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      [INTENT_DEFINITION_TYPE, "address"],
+      [definition, user]
+    )
+  );
+}
+
+/**
+ * Encode a submitIntent call
+ * @param {object} definition IntentDefinition
+ * @returns {string} Calldata
+ */
+function encodeSubmitIntent(definition) {
+  return resolverInterface.encodeFunctionData("submitIntent", [definition]);
+}
+
+/**
+ * Encode a submitIntentFor call, which submits an intent the user signed as EIP-712 typed data
+ * @param {object} definition IntentDefinition
+ * @param {string} user Address that signed the intent
+ * @param {number} nonce Signed relay nonce
+ * @param {string} signature User's EIP-712 signature of the RelayedIntent
+ * @returns {string} Calldata
+ */
+function encodeSubmitIntentFor(definition, user, nonce, signature) {
+  return resolverInterface.encodeFunctionData("submitIntentFor", [
+    definition,
+    user,
+    nonce,
+    signature,
+  ]);
+}
+
+/**
+ * Decode submitIntent or submitIntentFor calldata
+ * @param {string} data Transaction input
+ * @returns {object|null} The IntentDefinition, or null when the data is not a submitIntent or
+ *   submitIntentFor call
+ */
+function decodeSubmitIntent(data) {
+  const call = resolverInterface.parseTransaction({ data });
+  if (!call || !SUBMIT_FUNCTIONS.includes(call.name)) {
+    return null;
+  }
+  return call.args[0];
+}
+
+/**
+ * Find the IntentExecuted event of an intent among a transaction's logs
+ * @param {object[]} logs Receipt logs (ethers or viem; only address, topics and data are read)
+ * @param {string} intentId bytes32 intentId
+ * @param {string} resolverAddress SyndicateIntentResolver that must have emitted it
+ * @returns {{ success: boolean }|null} The execution outcome, or null when it was not executed
+ */
+function findIntentExecution(logs, intentId, resolverAddress) {
+  for (const log of logs) {
+    if (log.address.toLowerCase() !== resolverAddress.toLowerCase()) {
+      continue;
+    }
+
+    const parsed = resolverInterface.parseLog({ topics: log.topics, data: log.data });
+    if (parsed?.name === "IntentExecuted" && parsed.args.intentId === intentId.toLowerCase()) {
+      return { success: parsed.args.success };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  INTENT_DEFINITION_TYPE,
+  toIntentDefinition,
+  fromIntentDefinition,
+  computeIntentId,
+  encodeSubmitIntent,
+  encodeSubmitIntentFor,
+  decodeSubmitIntent,
+  findIntentExecution,
+};
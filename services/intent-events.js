@@ -0,0 +1,199 @@
+/**
+ * @file intent-events.js
+ * @description Intent events published through Postgres LISTEN/NOTIFY
+ *
+ * The API, its expiry sweeper and the intent processor run in different processes and replicas;
+ * they all publish with pg_notify on one channel, and every API replica listens on it and relays
+ * the events to its own socket.io clients. A notification only names the status event or
+ * transaction record it is about, as pg_notify refuses payloads over 8000 bytes; listeners load
+ * the record to build the event. Events are not queued: a listener that is reconnecting misses
+ * them, and clients reload the intent after reconnecting.
+ */
+
+const { Client } = require("pg");
+const db = require("../database");
+const dbConfig = require("../database/config")[process.env.NODE_ENV || "development"];
+const { createLogger } = require("./logger");
+
+const logger = createLogger("intent-events");
+
+const CHANNEL = "intent_events";
+const RECONNECT_MS = 5000;
+
+// Event names, as sent to socket.io clients
+const INTENT_EVENTS = {
+  STATUS_CHANGE: "status_change",
+  TRANSACTION_SUBMITTED: "transaction_submitted",
+  TRANSACTION_CONFIRMED: "transaction_confirmed",
+  INTENT_COMPLETED: "intent_completed",
+  INTENT_FAILED: "intent_failed",
+};
+
+// Events about an IntentStatusEvent record; the others are about a Transaction record
+const STATUS_EVENTS = [
+  INTENT_EVENTS.STATUS_CHANGE,
+  INTENT_EVENTS.INTENT_COMPLETED,
+  INTENT_EVENTS.INTENT_FAILED,
+];
+
+/**
+ * Publish an event about an intent
+ *
+ * Inside a database transaction the event is only delivered once it commits, and a failure is
+ * thrown so the transaction rolls back; outside of one, failures are logged and the caller goes on.
+ *
+ * @param {string} type One of INTENT_EVENTS
+ * @param {object} intent Intent the event is about
+ * @param {object} record The IntentStatusEvent of a status event, or the Transaction of a
+ *   transaction event
+ * @param {object} [options]
+ * @param {object} [options.transaction] Sequelize transaction to publish in
+ */
+async function publishIntentEvent(type, intent, record, { transaction } = {}) {
+  const payload = JSON.stringify({
+    type,
+    intentId: intent.intentId,
+    id: record.id,
+    timestamp: new Date().toISOString(),
+  });
+
+  try {
+    await db.sequelize.query("SELECT pg_notify(:channel, :payload)", {
+      replacements: { channel: CHANNEL, payload },
+      transaction,
+    });
+  } catch (error) {
+    if (transaction) {
+      throw error;
+    }
+    logger.error("Failed to publish intent event", { error, type, intentId: intent.intentId });
+  }
+}
+
+/**
+ * Publish the events of a newly recorded transaction
+ * @param {object} intent Intent the transaction belongs to
+ * @param {object} transaction Transaction record
+ */
+async function publishTransactionRecorded(intent, transaction) {
+  await publishIntentEvent(INTENT_EVENTS.TRANSACTION_SUBMITTED, intent, transaction);
+  if (transaction.status === "CONFIRMED") {
+    await publishIntentEvent(INTENT_EVENTS.TRANSACTION_CONFIRMED, intent, transaction);
+  }
+}
+
+/**
+ * Build the event a notification refers to from its record
+ * @param {object} notification Parsed pg_notify payload
+ * @returns {Promise<object|null>} The event, or null when its record no longer exists
+ */
+async function loadIntentEvent({ type, id, timestamp }) {
+  if (STATUS_EVENTS.includes(type)) {
+    const event = await db.IntentStatusEvent.findByPk(id, {
+      include: [{ model: db.Intent, as: "intent" }],
+    });
+    return (
+      event && {
+        type,
+        intentId: event.intent.intentId,
+        user: event.intent.user.toLowerCase(),
+        from: event.fromStatus,
+        to: event.toStatus,
+        actor: event.actor,
+        reason: event.reason ?? null,
+        timestamp,
+      }
+    );
+  }
+
+  const record = await db.Transaction.findByPk(id, {
+    include: [{ model: db.Intent, as: "intent" }],
+  });
+  return (
+    record && {
+      type,
+      intentId: record.intent.intentId,
+      user: record.intent.user.toLowerCase(),
+      chainId: record.chainId,
+      txHash: record.txHash,
+      transactionType: record.type,
+      status: record.status,
+      timestamp,
+    }
+  );
+}
+
+/**
+ * Listen to intent events on a dedicated connection, reconnecting when it drops
+ * @param {function} listener Called with each event
+ * @returns {function} Stops listening; resolves once the connection is closed
+ */
+function subscribeToIntentEvents(listener) {
+  let client = null;
+  let timer = null;
+  let stopped = false;
+  // Records are loaded one notification at a time so events keep their order
+  let delivery = Promise.resolve();
+
+  const connect = async () => {
+    const current = new Client({
+      connectionString: dbConfig.url,
+      ssl: dbConfig.dialectOptions?.ssl,
+    });
+    client = current;
+
+    const retry = (error) => {
+      if (client !== current || stopped) {
+        return;
+      }
+      client = null;
+      logger.error("Intent event listener disconnected, reconnecting", { error });
+      current.end().catch(() => {});
+      timer = setTimeout(connect, RECONNECT_MS);
+    };
+
+    current.on("error", retry);
+    current.on("end", () => retry(new Error("Connection ended")));
+    current.on("notification", ({ channel, payload }) => {
+      if (channel !== CHANNEL) {
+        return;
+      }
+      delivery = delivery
+        .then(async () => {
+          const event = await loadIntentEvent(JSON.parse(payload));
+          if (event) {
+            listener(event);
+          }
+        })
+        .catch((error) => logger.error("Failed to handle intent event", { error, payload }));
+    });
+
+    try {
+      await current.connect();
+      await current.query(`LISTEN ${CHANNEL}`);
+      logger.info("Listening to intent events");
+    } catch (error) {
+      retry(error);
+    }
+  };
+
+  connect();
+
+  return async () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (client) {
+      const current = client;
+      client = null;
+      await current.end().catch(() => {});
+    }
+  };
+}
+
+module.exports = {
+  INTENT_EVENTS,
+  publishIntentEvent,
+  publishTransactionRecorded,
+  loadIntentEvent,
+  subscribeToIntentEvents,
+};
@@ -0,0 +1,435 @@
+/**
+ * @file intent-lifecycle.js
+ * @description Intent state machine, status history, expiry and cancellation
+ *
+ * Statuses only change through transitionIntent, which enforces INTENT_TRANSITIONS and writes one
+ * intent_status_events row per change with its actor, reason and transaction, publishes it to
+ * socket.io clients once the change is committed and queues it for webhook subscriptions in the
+ * same transaction. PENDING intents whose deadline has passed are expired by a background
+ * sweeper; their users can cancel them before that, as long as the intent has not been submitted
+ * on-chain. The chain has the last word: a submission sent before the intent was cancelled or
+ * expired, but mined after, reinstates it. Every terminal status is stored with the reason it was
+ * reached.
+ */
+
+const { Op } = require("sequelize");
+const db = require("../database");
+const { settings } = require("../config");
+const { createLogger } = require("./logger");
+const { getRequestId } = require("./request-context");
+const { INTENT_EVENTS, publishIntentEvent } = require("./intent-events");
+const { WEBHOOK_EVENTS, describeIntent, enqueueWebhookEvent } = require("./webhooks");
+
+const logger = createLogger("intent-lifecycle");
+
+const INTENT_STATUS = {
+  PENDING: "PENDING",
+  EXECUTING: "EXECUTING",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+  EXPIRED: "EXPIRED",
+  CANCELLED: "CANCELLED",
+};
+
+// Statuses that end an intent. Only a mined submission takes an intent out of EXPIRED or
+// CANCELLED again (reinstateSubmittedIntent); COMPLETED and FAILED are never left.
+const TERMINAL_STATUSES = [
+  INTENT_STATUS.COMPLETED,
+  INTENT_STATUS.FAILED,
+  INTENT_STATUS.EXPIRED,
+  INTENT_STATUS.CANCELLED,
+];
+
+/**
+ * Allowed transitions by current status
+ * PENDING intents on one chain complete directly when the resolver executes them, through
+ * settleIntentExecution once the processor or the relayer sees their IntentExecuted event; only
+ * PENDING intents can expire or be cancelled, and only intents with a submission go back to
+ * PENDING from there
+ */
+const INTENT_TRANSITIONS = {
+  [INTENT_STATUS.PENDING]: [
+    INTENT_STATUS.EXECUTING,
+    INTENT_STATUS.COMPLETED,
+    INTENT_STATUS.FAILED,
+    INTENT_STATUS.EXPIRED,
+    INTENT_STATUS.CANCELLED,
+  ],
+  [INTENT_STATUS.EXECUTING]: [INTENT_STATUS.COMPLETED, INTENT_STATUS.FAILED],
+  [INTENT_STATUS.COMPLETED]: [],
+  [INTENT_STATUS.FAILED]: [],
+  [INTENT_STATUS.EXPIRED]: [INTENT_STATUS.PENDING],
+  [INTENT_STATUS.CANCELLED]: [INTENT_STATUS.PENDING],
+};
+
+// Actors that are not a wallet or an API key
+const ACTORS = {
+  PROCESSOR: "processor",
+  EXPIRY_SWEEPER: "expiry-sweeper",
+  RELAYER: "relayer",
+};
+
+// Transactions that hand an intent to the resolver. Once one exists the intent is never
+// cancelled or expired, and a cancelled or expired intent is reinstated: the resolver may already
+// hold or have spent its funds.
+const SUBMISSION_TRANSACTION_TYPES = ["INTENT_SUBMISSION", "RELAY"];
+const SUBMITTED_INTENTS_QUERY = `(SELECT intent_id FROM transactions
+  WHERE type IN (${SUBMISSION_TRANSACTION_TYPES.map((type) => `'${type}'`).join(", ")}))`;
+
+const SWEEP_INTERVAL_MS = settings.INTENT_EXPIRY_SWEEP_SECONDS * 1000;
+const SWEEP_BATCH_SIZE = 500;
+
+/**
+ * Error thrown when a status change is not in INTENT_TRANSITIONS
+ */
+class IntentTransitionError extends Error {
+  constructor(intentId, from, to) {
+    super(`Intent ${intentId} cannot move from ${from} to ${to}`);
+    this.name = "IntentTransitionError";
+    this.from = from;
+    this.to = to;
+    this.allowed = INTENT_TRANSITIONS[from] || [];
+  }
+}
+
+/**
+ * Error thrown when cancelling or expiring an intent that has been submitted on-chain
+ */
+class IntentSubmittedError extends IntentTransitionError {
+  constructor(intentId, from, to) {
+    super(intentId, from, to);
+    this.message = `Intent ${intentId} has been submitted on-chain and cannot move to ${to}`;
+    this.name = "IntentSubmittedError";
+    this.allowed = this.allowed.filter((status) => !isWithdrawal(status));
+  }
+}
+
+/**
+ * Whether a status takes an intent back from the resolver (cancelled or expired)
+ * @param {string} status Status
+ * @returns {boolean} True for EXPIRED and CANCELLED
+ */
+function isWithdrawal(status) {
+  return status === INTENT_STATUS.EXPIRED || status === INTENT_STATUS.CANCELLED;
+}
+
+/**
+ * Whether an intent has a submitIntent or relayed submitIntentFor transaction
+ * @param {object} intent Intent
+ * @param {object} [options]
+ * @param {object} [options.transaction] Database transaction to read in
+ * @returns {Promise<boolean>} True once the intent was handed to the resolver
+ */
+async function hasSubmission(intent, { transaction } = {}) {
+  const count = await db.Transaction.count({
+    where: { intentId: intent.id, type: SUBMISSION_TRANSACTION_TYPES },
+    transaction,
+  });
+  return count > 0;
+}
+
+/**
+ * Whether the state machine allows a transition
+ * @param {string} from Current status
+ * @param {string} to Requested status
+ * @returns {boolean} Whether the transition is allowed
+ */
+function canTransition(from, to) {
+  return (INTENT_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Record the creation of an intent as the first event of its history
+ * @param {object} intent Newly created intent
+ * @param {object} options
+ * @param {string} options.actor Who created it
+ * @param {number} [options.transactionId] Transaction it was created from
+ * @returns {Promise<object>} The status event
+ */
+async function recordIntentCreated(intent, { actor, transactionId = null }) {
+  const event = await db.IntentStatusEvent.create({
+    intentId: intent.id,
+    fromStatus: null,
+    toStatus: intent.status,
+    actor,
+    transactionId,
+    requestId: getRequestId() ?? null,
+  });
+
+  const data = { from: null, to: intent.status, actor, reason: null };
+  await publishIntentEvent(INTENT_EVENTS.STATUS_CHANGE, intent, event);
+  await enqueueWebhookEvent(
+    WEBHOOK_EVENTS.INTENT_STATUS_CHANGED,
+    { intent: describeIntent(intent), ...data },
+    { user: intent.user, syndicateAddress: intent.syndicateAddress }
+  );
+  return event;
+}
+
+/**
+ * Move an intent to a new status and record the transition
+ *
+ * The intent row is locked for the transition, so concurrent changes (a cancellation racing the
+ * processor, two sweepers) are checked against the latest status.
+ *
+ * @param {object} intent Intent instance; reloaded with the new status
+ * @param {string} to Requested status
+ * @param {object} options
+ * @param {string} options.actor Who makes the change (wallet, api-key:<id>, or one of ACTORS)
+ * @param {string} [options.reason] Why; stored as the intent's statusReason for terminal statuses
+ * @param {number} [options.transactionId] Transaction that caused the change
+ * @returns {Promise<object>} The status event
+ * @throws {IntentTransitionError} When the transition is not allowed, or reinstates an intent
+ *   without a submission
+ * @throws {IntentSubmittedError} When cancelling or expiring an intent submitted on-chain
+ */
+async function transitionIntent(intent, to, { actor, reason = null, transactionId = null }) {
+  return db.sequelize.transaction(async (transaction) => {
+    await intent.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+    const from = intent.status;
+    if (!canTransition(from, to)) {
+      throw new IntentTransitionError(intent.intentId, from, to);
+    }
+    if (isWithdrawal(to) && (await hasSubmission(intent, { transaction }))) {
+      throw new IntentSubmittedError(intent.intentId, from, to);
+    }
+    if (isWithdrawal(from) && !(await hasSubmission(intent, { transaction }))) {
+      throw new IntentTransitionError(intent.intentId, from, to);
+    }
+
+    await intent.update(
+      { status: to, statusReason: TERMINAL_STATUSES.includes(to) ? reason : null },
+      { transaction }
+    );
+
+    const event = await db.IntentStatusEvent.create(
+      {
+        intentId: intent.id,
+        fromStatus: from,
+        toStatus: to,
+        actor,
+        reason,
+        transactionId,
+        requestId: getRequestId() ?? null,
+      },
+      { transaction }
+    );
+
+    // Notifications are delivered on commit, so a rolled back transition is never announced
+    await publishIntentEvent(INTENT_EVENTS.STATUS_CHANGE, intent, event, { transaction });
+    if (to === INTENT_STATUS.COMPLETED) {
+      await publishIntentEvent(INTENT_EVENTS.INTENT_COMPLETED, intent, event, { transaction });
+    } else if (to === INTENT_STATUS.FAILED) {
+      await publishIntentEvent(INTENT_EVENTS.INTENT_FAILED, intent, event, { transaction });
+    }
+
+    const data = { from, to, actor, reason };
+    await enqueueWebhookEvent(
+      WEBHOOK_EVENTS.INTENT_STATUS_CHANGED,
+      { intent: describeIntent(intent), ...data },
+      { user: intent.user, syndicateAddress: intent.syndicateAddress, transaction }
+    );
+    return event;
+  });
+}
+
+/**
+ * Move an intent on once the resolver has executed it (its IntentExecuted event)
+ *
+ * Intents on one chain are done once executed, so they complete; cross-chain intents start
+ * executing and complete when their bridge transfer does. A failed execution fails either kind.
+ * Safe to call more than once for the same execution.
+ *
+ * @param {object} intent Intent instance
+ * @param {object} options
+ * @param {boolean} options.success `success` of the IntentExecuted event
+ * @param {string} options.actor Who observed the execution (one of ACTORS)
+ * @param {number} [options.transactionId] Transaction the intent was executed in
+ * @returns {Promise<boolean>} Whether the status changed
+ */
+async function settleIntentExecution(intent, { success, actor, transactionId = null }) {
+  let to = INTENT_STATUS.FAILED;
+  let reason = "The resolver could not execute the intent";
+  if (success && intent.sourceChainId === intent.destinationChainId) {
+    to = INTENT_STATUS.COMPLETED;
+    reason = "Executed by the resolver";
+  } else if (success) {
+    to = INTENT_STATUS.EXECUTING;
+    reason = "Cross-chain operation started";
+  }
+
+  try {
+    await transitionIntent(intent, to, { actor, reason, transactionId });
+    return true;
+  } catch (error) {
+    // Already settled by another observer of the same execution, or moved on meanwhile
+    if (error instanceof IntentTransitionError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Take a cancelled or expired intent back to PENDING once its submission is recorded
+ *
+ * The user can still send the submitIntent calldata they were given after cancelling, and a
+ * submission mined just before the deadline can be seen after the sweeper expired the intent. The
+ * resolver holds the funds either way, so the intent is processed like any other submission.
+ *
+ * @param {object} intent Intent instance
+ * @param {object} options
+ * @param {string} options.actor Who observed the submission (one of ACTORS)
+ * @param {number} [options.transactionId] The recorded submission
+ * @returns {Promise<boolean>} Whether the intent was reinstated
+ */
+async function reinstateSubmittedIntent(intent, { actor, transactionId = null }) {
+  if (!isWithdrawal(intent.status)) {
+    return false;
+  }
+
+  try {
+    await transitionIntent(intent, INTENT_STATUS.PENDING, {
+      actor,
+      reason: `Submitted on-chain after it was ${intent.status.toLowerCase()}`,
+      transactionId,
+    });
+    return true;
+  } catch (error) {
+    // Reinstated by another observer of the same submission
+    if (error instanceof IntentTransitionError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether an intent's deadline has passed
+ * @param {object} intent Intent
+ * @param {number} [now] Current Unix time in seconds
+ * @returns {boolean} True once the deadline is reached
+ */
+function isPastDeadline(intent, now = Math.floor(Date.now() / 1000)) {
+  return Number(intent.deadline) <= now;
+}
+
+/**
+ * Whether the processor may still act on an intent
+ * @param {object} intent Intent
+ * @param {object} [options]
+ * @param {boolean} [options.submitted=false] Whether its submission was mined; the contract
+ *   checked the deadline then, so a submitted intent is acted on even past its deadline
+ * @returns {boolean} False for expired and cancelled intents, and pending ones past their deadline
+ */
+function isActionable(intent, { submitted = false } = {}) {
+  if (isWithdrawal(intent.status)) {
+    return false;
+  }
+  return submitted || !(intent.status === INTENT_STATUS.PENDING && isPastDeadline(intent));
+}
+
+/**
+ * Expire every PENDING intent whose deadline has passed
+ * Intents already submitted on-chain are left to the processor and the relayer, even while
+ * PENDING: their deadline was met when they were submitted
+ * @param {number} [now] Current Unix time in seconds
+ * @returns {Promise<number>} Number of intents expired
+ */
+async function expireIntents(now = Math.floor(Date.now() / 1000)) {
+  let count = 0;
+
+  for (;;) {
+    const intents = await db.Intent.findAll({
+      where: {
+        status: INTENT_STATUS.PENDING,
+        deadline: { [Op.lte]: now },
+        id: { [Op.notIn]: db.sequelize.literal(SUBMITTED_INTENTS_QUERY) },
+      },
+      order: [["deadline", "ASC"]],
+      limit: SWEEP_BATCH_SIZE,
+    });
+
+    for (const intent of intents) {
+      try {
+        await transitionIntent(intent, INTENT_STATUS.EXPIRED, {
+          actor: ACTORS.EXPIRY_SWEEPER,
+          reason: "Deadline passed before the intent was executed",
+        });
+        count++;
+      } catch (error) {
+        // Another replica, the processor or the user changed it first, or it was just submitted
+        if (!(error instanceof IntentTransitionError)) {
+          throw error;
+        }
+      }
+    }
+
+    if (intents.length < SWEEP_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (count > 0) {
+    logger.info("Expired intents", { count });
+  }
+  return count;
+}
+
+/**
+ * Cancel a PENDING intent that has not been submitted on-chain
+ * @param {object} intent Intent to cancel
+ * @param {object} options
+ * @param {string} options.actor Who cancels it
+ * @param {string} [options.reason] Why the user cancelled it
+ * @returns {Promise<boolean>} Whether the intent was cancelled (false once it left PENDING)
+ * @throws {IntentSubmittedError} When its submitIntent or relay transaction exists
+ */
+async function cancelIntent(intent, { actor, reason }) {
+  try {
+    await transitionIntent(intent, INTENT_STATUS.CANCELLED, {
+      actor,
+      reason: reason ? `Cancelled by user: ${reason}` : "Cancelled by user",
+    });
+    return true;
+  } catch (error) {
+    if (error instanceof IntentTransitionError && !(error instanceof IntentSubmittedError)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run expireIntents every INTENT_EXPIRY_SWEEP_SECONDS (default 60)
+ * Safe to run on every replica: an intent is only expired once
+ * @returns {function} Stops the sweeper
+ */
+function startExpirySweeper() {
+  const timer = setInterval(() => {
+    expireIntents().catch((error) => logger.error("Failed to expire intents", { error }));
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  INTENT_STATUS,
+  TERMINAL_STATUSES,
+  INTENT_TRANSITIONS,
+  ACTORS,
+  IntentTransitionError,
+  IntentSubmittedError,
+  canTransition,
+  recordIntentCreated,
+  transitionIntent,
+  hasSubmission,
+  settleIntentExecution,
+  reinstateSubmittedIntent,
+  isPastDeadline,
+  isActionable,
+  expireIntents,
+  cancelIntent,
+  startExpirySweeper,
+};
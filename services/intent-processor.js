@@ -6,27 +6,79 @@
 
 const { ethers } = require("ethers");
 const { SdkV2: Across } = require("@across-protocol/sdk-v2");
-const winston = require("winston");
 const db = require("../database");
+const { createLogger } = require("./logger");
+const { generateRequestId, getRequestId, runWithRequestContext } = require("./request-context");
+const {
+  bridgeMonitorRetriesTotal,
+  processorEventLagBlocks,
+  processorLastEventTimestamp,
+  recordRpcCall,
+} = require("./metrics");
+const {
+  computeIntentId,
+  decodeSubmitIntent,
+  findIntentExecution,
+  fromIntentDefinition,
+} = require("./intent-definition");
+const {
+  ACTORS,
+  INTENT_STATUS,
+  isActionable,
+  recordIntentCreated,
+  reinstateSubmittedIntent,
+  settleIntentExecution,
+  transitionIntent,
+} = require("./intent-lifecycle");
+const {
+  INTENT_EVENTS,
+  publishIntentEvent,
+  publishTransactionRecorded,
+} = require("./intent-events");
+const { WEBHOOK_EVENTS, describeIntent, enqueueWebhookEvent } = require("./webhooks");
+
+const logger = createLogger("intent-processor", { file: "intent-processor.log" });
+
+// Minimum interval between checkpoint writes per chain; /ready treats a stale checkpoint as a
+// stalled processor
+const CHECKPOINT_INTERVAL_MS = 15000;
 
-// Configure logger
-const logger = winston.createLogger({
-  level: "info",
-  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
-  defaultMeta: { service: "intent-processor" },
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.simple(),
-    }),
-    new winston.transports.File({ filename: "intent-processor.log" }),
-  ],
-});
+/**
+ * JSON-RPC provider that records the latency and errors of its calls
+ */
+class MeteredJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(url, chainId) {
+    super(url);
+    this.metricsChainId = chainId;
+  }
+
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const startedAt = process.hrtime.bigint();
+    const record = (results) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      payloads.forEach((call) => {
+        const failed = !results || results.some((result) => result.id === call.id && result.error);
+        recordRpcCall(this.metricsChainId, call.method, seconds, failed);
+      });
+    };
+
+    try {
+      const results = await super._send(payload);
+      record(results);
+      return results;
+    } catch (error) {
+      record(null);
+      throw error;
+    }
+  }
+}
 
 class IntentProcessor {
   constructor(config) {
     this.config = config;
-    this.lensProvider = new ethers.JsonRpcProvider(config.lensRpcUrl);
-    this.baseProvider = new ethers.JsonRpcProvider(config.baseRpcUrl);
+    this.lensProvider = new MeteredJsonRpcProvider(config.lensRpcUrl, config.lensChainId);
+    this.baseProvider = new MeteredJsonRpcProvider(config.baseRpcUrl, config.baseChainId);
 
     // Initialize wallet
     this.wallet = new ethers.Wallet(config.privateKey);
@@ -44,6 +96,9 @@ class IntentProcessor {
 
     // Track active listeners
     this.activeListeners = [];
+    this.blockListeners = [];
+    this.latestBlock = {};
+    this.lastCheckpointAt = {};
     this.isRunning = false;
   }
 
@@ -53,10 +108,10 @@ class IntentProcessor {
   initializeContracts() {
     try {
       // Load contract ABIs
-      const SyndicateIntentResolverABI = require("../abis/SyndicateIntentResolver.json");
-      const BaseChainIntentResolverABI = require("../abis/BaseChainIntentResolver.json");
-      const CrossChainResolverABI = require("../abis/CrossChainResolver.json");
-      const TicketRegistryABI = require("../abis/TicketRegistry.json");
+      const SyndicateIntentResolverABI = require("../contracts/intent/abi/SyndicateIntentResolver.json");
+      const BaseChainIntentResolverABI = require("../contracts/intent/abi/BaseChainIntentResolver.json");
+      const CrossChainResolverABI = require("../contracts/intent/abi/CrossChainResolver.json");
+      const TicketRegistryABI = require("../contracts/intent/abi/TicketRegistry.json");
 
       // Lens Chain contracts
       this.intentResolver = new ethers.Contract(
@@ -105,43 +160,71 @@ class IntentProcessor {
 
     try {
       // Listen for intent submission events on Lens Chain
-      this.intentResolver.on("IntentSubmitted", async (intentId, user, intentType, event) => {
-        logger.info(`New intent submitted: ${intentId} by ${user}`);
-        try {
-          await this.processLensChainIntent(intentId, user, intentType);
-        } catch (error) {
-          logger.error(`Error processing intent ${intentId}:`, { error: error.message });
-        }
-      });
+      this.intentResolver.on("IntentSubmitted", (intentId, user, intentType, event) =>
+        this.runInIntentContext(intentId, async () => {
+          this.recordEvent(this.config.lensChainId, event);
+          logger.info(`New intent submitted: ${intentId} by ${user}`);
+          try {
+            await this.processLensChainIntent(intentId, user, intentType, event);
+          } catch (error) {
+            logger.error(`Error processing intent ${intentId}:`, { error: error.message });
+          }
+        })
+      );
       this.activeListeners.push("IntentSubmitted");
 
-      // Listen for cross-chain operations
-      this.intentResolver.on(
-        "CrossChainOperationInitiated",
-        async (intentId, sourceChain, destinationChain, event) => {
-          logger.info(`Cross-chain operation initiated: ${intentId}`);
+      // Listen for executions, e.g. through resolveIntent after the submission
+      this.intentResolver.on("IntentExecuted", (intentId, success, event) =>
+        this.runInIntentContext(intentId, async () => {
+          this.recordEvent(this.config.lensChainId, event);
+          logger.info(`Intent executed: ${intentId} (success: ${success})`);
           try {
-            await this.monitorCrossChainOperation(intentId, sourceChain, destinationChain);
+            await this.processIntentExecution(intentId, success, event);
           } catch (error) {
-            logger.error(`Error monitoring cross-chain operation ${intentId}:`, {
+            logger.error(`Error processing execution of intent ${intentId}:`, {
               error: error.message,
             });
           }
-        }
+        })
+      );
+      this.activeListeners.push("IntentExecuted");
+
+      // Listen for cross-chain operations
+      this.intentResolver.on(
+        "CrossChainOperationInitiated",
+        (intentId, sourceChain, destinationChain, event) =>
+          this.runInIntentContext(intentId, async () => {
+            this.recordEvent(this.config.lensChainId, event);
+            logger.info(`Cross-chain operation initiated: ${intentId}`);
+            try {
+              await this.monitorCrossChainOperation(intentId, sourceChain, destinationChain);
+            } catch (error) {
+              logger.error(`Error monitoring cross-chain operation ${intentId}:`, {
+                error: error.message,
+              });
+            }
+          })
       );
       this.activeListeners.push("CrossChainOperationInitiated");
 
       // Listen for winning events on Base Chain
-      this.crossChainResolver.on("WinningTicketDetected", async (ticketId, amount, event) => {
-        logger.info(`Winning ticket detected: ${ticketId} with amount ${amount}`);
-        try {
-          await this.processWinningTicket(ticketId, amount);
-        } catch (error) {
-          logger.error(`Error processing winning ticket ${ticketId}:`, { error: error.message });
-        }
-      });
+      this.crossChainResolver.on("WinningTicketDetected", (ticketId, amount, event) =>
+        runWithRequestContext({ requestId: generateRequestId() }, async () => {
+          this.recordEvent(this.config.baseChainId, event);
+          logger.info(`Winning ticket detected: ${ticketId} with amount ${amount}`);
+          try {
+            await this.processWinningTicket(ticketId, amount);
+          } catch (error) {
+            logger.error(`Error processing winning ticket ${ticketId}:`, { error: error.message });
+          }
+        })
+      );
       this.activeListeners.push("WinningTicketDetected");
 
+      // Heartbeat: record the latest block seen on each chain
+      this.followBlocks(this.lensProvider, this.config.lensChainId);
+      this.followBlocks(this.baseProvider, this.config.baseChainId);
+
       logger.info("Event listeners initialized successfully");
     } catch (error) {
       this.isRunning = false;
@@ -150,53 +233,146 @@ class IntentProcessor {
     }
   }
 
+  /**
+   * Checkpoint the latest block of a chain as new blocks arrive
+   * @param {object} provider ethers provider of the chain
+   * @param {number} chainId The chain ID
+   */
+  followBlocks(provider, chainId) {
+    const listener = (blockNumber) => {
+      this.latestBlock[chainId] = blockNumber;
+      const now = Date.now();
+      if (now - (this.lastCheckpointAt[chainId] || 0) < CHECKPOINT_INTERVAL_MS) {
+        return;
+      }
+      this.lastCheckpointAt[chainId] = now;
+      this.saveCheckpoint(chainId, { blockNumber });
+    };
+
+    provider.on("block", listener);
+    this.blockListeners.push({ provider, listener });
+  }
+
+  /**
+   * Record the block of a handled event in the chain's checkpoint and the lag metrics
+   * @param {number} chainId The chain ID
+   * @param {object} event ethers event payload
+   */
+  recordEvent(chainId, event) {
+    const blockNumber = event?.log?.blockNumber;
+    if (blockNumber === undefined) {
+      return;
+    }
+    const head = Math.max(blockNumber, this.latestBlock[chainId] || 0);
+    processorEventLagBlocks.set({ chain: String(chainId) }, head - blockNumber);
+    processorLastEventTimestamp.set(
+      { chain: String(chainId), event: event.eventName || "unknown" },
+      Date.now() / 1000
+    );
+
+    this.saveCheckpoint(chainId, {
+      blockNumber: head,
+      lastEventBlock: blockNumber,
+      lastEventAt: new Date(),
+    });
+  }
+
+  /**
+   * Upsert a chain's checkpoint; failures are logged and never interrupt event handling
+   * @param {number} chainId The chain ID
+   * @param {object} fields Checkpoint fields to write
+   */
+  async saveCheckpoint(chainId, fields) {
+    try {
+      await db.ProcessorCheckpoint.upsert({ chainId, ...fields });
+    } catch (error) {
+      logger.error(`Failed to save checkpoint for chain ${chainId}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Run an event handler under the request ID of the API request that submitted the intent, so
+   * the processor's logs and writes can be traced back to it; intents submitted directly on-chain
+   * get a new ID
+   * @param {string} intentId The ID of the intent
+   * @param {function} handler Event handler
+   * @returns {Promise} The handler's result
+   */
+  async runInIntentContext(intentId, handler) {
+    let requestId = null;
+    try {
+      const intent = await db.Intent.findOne({ where: { intentId }, attributes: ["requestId"] });
+      requestId = intent?.requestId;
+    } catch (error) {
+      logger.error(`Failed to look up request ID of intent ${intentId}`, { error: error.message });
+    }
+
+    return runWithRequestContext({ requestId: requestId || generateRequestId() }, handler);
+  }
+
   /**
    * Process an intent submitted on Lens Chain
+   *
+   * Intents submitted through the API are already stored under the same intentId; intents
+   * submitted directly on-chain are stored from the submitIntent calldata of their transaction.
+   *
    * @param {string} intentId The ID of the submitted intent
    * @param {string} user The address of the user who submitted the intent
    * @param {number} intentType The type of the intent
+   * @param {object} event ethers event payload of IntentSubmitted
    */
-  async processLensChainIntent(intentId, user, intentType) {
+  async processLensChainIntent(intentId, user, intentType, event) {
     logger.info(`Processing intent ${intentId} of type ${intentType}`);
 
     try {
-      // Check if the intent is already being executed
-      const isExecuted = await this.intentResolver.executedIntents(intentId);
-      if (isExecuted) {
-        logger.info(`Intent ${intentId} is already being executed`);
+      const dbIntent =
+        (await db.Intent.findOne({ where: { intentId } })) ||
+        (await this.storeOnChainIntent(intentId, user, event));
+      if (!dbIntent) {
         return;
       }
 
-      // Fetch intent details from the contract
-      const intentDetails = await this.intentResolver.getIntent(intentId);
+      const submission = await this.recordSubmission(dbIntent, event);
 
-      // Store the intent in the database
-      const dbIntent = await db.Intent.create({
-        intentId,
-        user,
-        intentType,
-        syndicateAddress: intentDetails.syndicateAddress,
-        amount: intentDetails.amount.toString(),
-        tokenAddress: intentDetails.tokenAddress,
-        sourceChainId: intentDetails.sourceChain,
-        destinationChainId: intentDetails.destinationChain,
-        useOptimalRoute: intentDetails.useOptimalRoute,
-        maxFeePercentage: intentDetails.maxFeePercentage,
-        deadline: intentDetails.deadline.toString(),
-        status: "PENDING",
-        metadata: {
-          gasPrice: intentDetails.gasPrice?.toString(),
-          encodedData: intentDetails.encodedData,
-        },
+      // The resolver took the funds, so a submission mined after the intent was cancelled or
+      // expired in the database reinstates it. The submission itself met the deadline, so a
+      // pending intent past it is still processed.
+      await reinstateSubmittedIntent(dbIntent, {
+        actor: ACTORS.PROCESSOR,
+        transactionId: submission.id,
       });
+      if (!isActionable(dbIntent, { submitted: true })) {
+        logger.warn(`Intent ${intentId} is expired or cancelled, not processing it`, {
+          status: dbIntent.status,
+        });
+        return;
+      }
 
-      logger.info(`Stored intent ${intentId} in database with ID ${dbIntent.id}`);
+      if (dbIntent.status !== INTENT_STATUS.PENDING) {
+        logger.info(`Intent ${intentId} is already ${dbIntent.status}`);
+        return;
+      }
 
-      // For intents that can be executed immediately, the contract handles them
-      // For cross-chain intents, we need to monitor their progress
-      if (intentDetails.sourceChain !== intentDetails.destinationChain) {
-        // Update status to EXECUTING
-        await dbIntent.update({ status: "EXECUTING" });
+      // The contract executes some intents (JOIN_SYNDICATE on Lens) in the submission itself;
+      // those complete or fail here. Cross-chain intents are monitored until they are bridged.
+      const receipt = await event.log.getTransactionReceipt();
+      const execution = findIntentExecution(
+        receipt.logs,
+        intentId,
+        this.config.lensContracts.intentResolver
+      );
+      if (execution) {
+        await settleIntentExecution(dbIntent, {
+          success: execution.success,
+          actor: ACTORS.PROCESSOR,
+          transactionId: submission.id,
+        });
+      } else if (dbIntent.sourceChainId !== dbIntent.destinationChainId) {
+        await transitionIntent(dbIntent, INTENT_STATUS.EXECUTING, {
+          actor: ACTORS.PROCESSOR,
+          reason: "Cross-chain operation started",
+          transactionId: submission.id,
+        });
 
         // The cross-chain initiation will trigger the CrossChainOperationInitiated event
         // which we are listening to separately
@@ -209,6 +385,110 @@ class IntentProcessor {
     }
   }
 
+  /**
+   * Process an IntentExecuted event
+   * Executions in the submission transaction are also settled by processLensChainIntent, which
+   * stores intents the API does not know yet; settling twice is harmless
+   * @param {string} intentId The ID of the executed intent
+   * @param {boolean} success Whether the resolver executed it successfully
+   * @param {object} event ethers event payload of IntentExecuted
+   */
+  async processIntentExecution(intentId, success, event) {
+    const dbIntent = await db.Intent.findOne({ where: { intentId } });
+    if (!dbIntent) {
+      logger.info(`Intent ${intentId} is not stored yet, leaving it to its submission`);
+      return;
+    }
+
+    const transaction = await db.Transaction.findOne({
+      where: { intentId: dbIntent.id, txHash: event.log.transactionHash },
+    });
+    await settleIntentExecution(dbIntent, {
+      success,
+      actor: ACTORS.PROCESSOR,
+      transactionId: transaction ? transaction.id : null,
+    });
+  }
+
+  /**
+   * Store an intent that was submitted without the API, from its transaction's calldata
+   * @param {string} intentId The ID of the submitted intent
+   * @param {string} user The address of the user who submitted the intent
+   * @param {object} event ethers event payload of IntentSubmitted
+   * @returns {Promise<object|null>} The stored intent, or null when the calldata is not a direct
+   *   submitIntent or submitIntentFor call (e.g. through a smart account)
+   */
+  async storeOnChainIntent(intentId, user, event) {
+    const transaction = await event.log.getTransaction();
+
+    let definition = null;
+    try {
+      definition = decodeSubmitIntent(transaction.data);
+    } catch (error) {
+      logger.warn(`Could not decode the transaction of intent ${intentId}`, {
+        error: error.message,
+      });
+    }
+
+    if (!definition || computeIntentId(definition, user) !== intentId) {
+      logger.warn(`Intent ${intentId} was not submitted by a direct submitIntent call`, {
+        txHash: event.log.transactionHash,
+      });
+      return null;
+    }
+
+    // The API may store the same intent concurrently; the unique intentId settles it
+    const [dbIntent, created] = await db.Intent.findOrCreate({
+      where: { intentId },
+      defaults: {
+        ...fromIntentDefinition(definition),
+        user,
+        status: INTENT_STATUS.PENDING,
+        metadata: {},
+        requestId: getRequestId(),
+      },
+    });
+
+    if (created) {
+      const submission = await this.recordSubmission(dbIntent, event);
+      await recordIntentCreated(dbIntent, {
+        actor: ACTORS.PROCESSOR,
+        transactionId: submission.id,
+      });
+      logger.info(`Stored intent ${intentId} in database with ID ${dbIntent.id}`);
+    }
+    return dbIntent;
+  }
+
+  /**
+   * Record the transaction that submitted an intent, once
+   * Relayed submissions are already recorded by the API as RELAY transactions
+   * @param {object} dbIntent The stored intent
+   * @param {object} event ethers event payload of IntentSubmitted
+   * @returns {Promise<object>} The INTENT_SUBMISSION or RELAY transaction
+   */
+  async recordSubmission(dbIntent, event) {
+    const relay = await db.Transaction.findOne({
+      where: { txHash: event.log.transactionHash, type: "RELAY" },
+    });
+    if (relay) {
+      return relay;
+    }
+
+    const [submission, created] = await db.Transaction.findOrCreate({
+      where: { txHash: event.log.transactionHash, type: "INTENT_SUBMISSION" },
+      defaults: {
+        intentId: dbIntent.id,
+        chainId: this.config.lensChainId,
+        status: "CONFIRMED",
+      },
+    });
+    if (created) {
+      await publishTransactionRecorded(dbIntent, submission);
+    }
+    return submission;
+  }
+
   /**
    * Monitor a cross-chain operation for completion
    * @param {string} intentId The ID of the intent
@@ -229,14 +509,25 @@ class IntentProcessor {
         return;
       }
 
-      // Record the transaction initiation
-      await db.Transaction.create({
-        intentId: intent.id,
-        chainId: sourceChain,
-        txHash: "0x" + intentId, // Placeholder until we get the real tx hash
-        type: "BRIDGE",
-        status: "PENDING",
+      if (!isActionable(intent)) {
+        logger.warn(`Intent ${intentId} is expired or cancelled, not monitoring it`, {
+          status: intent.status,
+        });
+        return;
+      }
+
+      // Record the transaction initiation; retries find the same row
+      const [bridge, created] = await db.Transaction.findOrCreate({
+        where: { intentId: intent.id, type: "BRIDGE" },
+        defaults: {
+          chainId: sourceChain,
+          txHash: "0x" + intentId, // Placeholder until we get the real tx hash
+          status: "PENDING",
+        },
       });
+      if (created) {
+        await publishTransactionRecorded(intent, bridge);
+      }
 
       // This would normally involve querying the Across Protocol API
       // to track the status of the deposit
@@ -247,17 +538,26 @@ class IntentProcessor {
 
         if (depositStatus === "RELAYED") {
           logger.info(`Cross-chain operation for intent ${intentId} completed`);
-          // Update the transaction status
-          await db.Transaction.update(
-            { status: "CONFIRMED" },
-            { where: { intentId: intent.id, type: "BRIDGE" } }
+          await bridge.update({ status: "CONFIRMED" });
+          await publishIntentEvent(INTENT_EVENTS.TRANSACTION_CONFIRMED, intent, bridge);
+          await enqueueWebhookEvent(
+            WEBHOOK_EVENTS.INTENT_BRIDGE_CONFIRMED,
+            {
+              intent: describeIntent(intent),
+              transaction: { chainId: bridge.chainId, txHash: bridge.txHash },
+            },
+            { user: intent.user, syndicateAddress: intent.syndicateAddress }
           );
 
-          // Update the intent status
-          await intent.update({ status: "COMPLETED" });
+          await transitionIntent(intent, INTENT_STATUS.COMPLETED, {
+            actor: ACTORS.PROCESSOR,
+            reason: "Bridge deposit relayed",
+            transactionId: bridge.id,
+          });
         } else {
           // Retry later
           logger.info(`Cross-chain operation for intent ${intentId} still in progress`);
+          bridgeMonitorRetriesTotal.inc({ reason: "in_progress" });
           setTimeout(
             () => this.monitorCrossChainOperation(intentId, sourceChain, destinationChain),
             60000
@@ -268,6 +568,7 @@ class IntentProcessor {
           error: error.message,
         });
         // Retry with backoff
+        bridgeMonitorRetriesTotal.inc({ reason: "error" });
         setTimeout(
           () => this.monitorCrossChainOperation(intentId, sourceChain, destinationChain),
           300000
@@ -289,6 +590,7 @@ class IntentProcessor {
   async processWinningTicket(ticketId, amount) {
     logger.info(`Processing winning ticket ${ticketId} with amount ${amount}`);
 
+    const ticket = { ticketId: ticketId.toString(), amount: amount.toString() };
     try {
       // Get the syndicate address associated with the ticket
       const syndicateAddress = await this.ticketRegistry.ticketToSyndicate(ticketId);
@@ -296,8 +598,14 @@ class IntentProcessor {
 
       if (syndicateAddress === ethers.ZeroAddress) {
         logger.info(`No syndicate associated with ticket ${ticketId}`);
+        await enqueueWebhookEvent(WEBHOOK_EVENTS.TICKET_WINNINGS_PROCESSED, {
+          ...ticket,
+          syndicateAddress: null,
+          outcome: "NO_SYNDICATE",
+        });
         return;
       }
+      ticket.syndicateAddress = syndicateAddress;
 
       // The CrossChainResolver contract should already be handling
       // the bridging of funds back to Lens Chain
@@ -305,9 +613,19 @@ class IntentProcessor {
       // We can add additional monitoring here to ensure the funds
       // are properly bridged back
 
+      await enqueueWebhookEvent(
+        WEBHOOK_EVENTS.TICKET_WINNINGS_PROCESSED,
+        { ...ticket, outcome: "PROCESSED" },
+        { syndicateAddress }
+      );
       logger.info(`Winning ticket ${ticketId} processed successfully`);
     } catch (error) {
       logger.error(`Error processing winning ticket ${ticketId}:`, { error: error.message });
+      await enqueueWebhookEvent(
+        WEBHOOK_EVENTS.TICKET_WINNINGS_PROCESSED,
+        { syndicateAddress: null, ...ticket, outcome: "FAILED", error: error.message },
+        { syndicateAddress: ticket.syndicateAddress }
+      );
       throw error;
     }
   }
@@ -330,6 +648,8 @@ class IntentProcessor {
         this.crossChainResolver.removeAllListeners(event);
       });
       this.activeListeners = [];
+      this.blockListeners.forEach(({ provider, listener }) => provider.off("block", listener));
+      this.blockListeners = [];
       this.isRunning = false;
       logger.info("Intent processor stopped successfully");
     } catch (error) {
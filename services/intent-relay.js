@@ -0,0 +1,328 @@
+/**
+ * @file intent-relay.js
+ * @description Gasless intents: EIP-712 signed IntentDefinitions relayed through submitIntentFor
+ *
+ * Users sign a RelayedIntent (their IntentDefinition and a nonce) instead of sending submitIntent
+ * themselves. The relayer (PRIVATE_KEY) sends it to the resolver's submitIntentFor and pays the
+ * gas; the resolver checks the signature, marks the nonce used and takes the user's GHO as
+ * submitIntent does. Each user's nonces count up from 0 and are stored on the intents they signed.
+ * The call is recorded as a RELAY transaction and confirmed in the background.
+ */
+
+const { ethers } = require("ethers");
+const { parseAbi } = require("viem");
+const db = require("../database");
+const { settings } = require("../config");
+const lensChain = require("./lens-chain-service");
+const { createLogger } = require("./logger");
+const {
+  INTENT_DEFINITION_TYPE,
+  encodeSubmitIntentFor,
+  findIntentExecution,
+} = require("./intent-definition");
+const {
+  ACTORS,
+  INTENT_STATUS,
+  IntentTransitionError,
+  reinstateSubmittedIntent,
+  settleIntentExecution,
+  transitionIntent,
+} = require("./intent-lifecycle");
+const {
+  INTENT_EVENTS,
+  publishIntentEvent,
+  publishTransactionRecorded,
+} = require("./intent-events");
+
+const logger = createLogger("intent-relay");
+
+// EIP-712 domain name and version; chainId and verifyingContract are the resolver's
+const DOMAIN_NAME = "SyndicateIntentResolver";
+const DOMAIN_VERSION = "1";
+
+const PRIMARY_TYPE = "RelayedIntent";
+const RELAY_TYPES = {
+  [PRIMARY_TYPE]: [
+    { name: "intent", type: "IntentDefinition" },
+    { name: "nonce", type: "uint256" },
+  ],
+  IntentDefinition: INTENT_DEFINITION_TYPE.components.map(({ name, type }) => ({ name, type })),
+};
+
+// The resolver's GHO token and the ERC-20 reads of the user's funds
+const FUNDS_ABI = parseAbi([
+  "function ghoToken() view returns (address)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+]);
+
+const RECEIPT_TIMEOUT_MS = 120000;
+const RECEIPT_RETRY_MS = 60000;
+
+/**
+ * Whether the API relays signed intents: INTENT_RELAY_ENABLED, with a relayer key and resolver
+ * @returns {boolean} Whether relaying is available
+ */
+function isRelayEnabled() {
+  return Boolean(
+    settings.INTENT_RELAY_ENABLED && lensChain.walletClient && settings.LENS_INTENT_RESOLVER
+  );
+}
+
+/**
+ * The EIP-712 typed data users sign, without the message
+ * @returns {{ domain: object, types: object, primaryType: string }} Typed data definition
+ */
+function getRelayTypedData() {
+  return {
+    domain: {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: lensChain.activeChain.id,
+      verifyingContract: ethers.getAddress(settings.LENS_INTENT_RESOLVER),
+    },
+    types: RELAY_TYPES,
+    primaryType: PRIMARY_TYPE,
+  };
+}
+
+/**
+ * Recover the address that signed a RelayedIntent
+ * @param {object} definition IntentDefinition
+ * @param {number} nonce Signed nonce
+ * @param {string} signature EIP-712 signature
+ * @returns {string|null} Checksummed signer, or null when the signature is malformed
+ */
+function recoverRelaySigner(definition, nonce, signature) {
+  const { domain, types } = getRelayTypedData();
+  try {
+    return ethers.verifyTypedData(domain, types, { intent: definition, nonce }, signature);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The nonce a user's next signed intent must carry
+ * @param {string} user Checksummed address
+ * @returns {Promise<number>} 0 for the first relayed intent, then one more than the last
+ */
+async function getNextRelayNonce(user) {
+  const last = await db.Intent.max("relayNonce", { where: { user } });
+  return last === null || last === undefined ? 0 : Number(last) + 1;
+}
+
+/**
+ * Check that a user holds the GHO an intent spends and has approved the resolver for it
+ * @param {object} definition IntentDefinition
+ * @param {string} user Checksummed address the intent is for
+ * @returns {Promise<{ reason: string, detail: string }|null>} Why the funds fall short, or null
+ */
+async function checkRelayFunds(definition, user) {
+  const { publicClient } = lensChain;
+  const resolver = ethers.getAddress(settings.LENS_INTENT_RESOLVER);
+
+  const gho = await publicClient.readContract({
+    address: resolver,
+    abi: FUNDS_ABI,
+    functionName: "ghoToken",
+  });
+  const [balance, allowance] = await Promise.all([
+    publicClient.readContract({
+      address: gho,
+      abi: FUNDS_ABI,
+      functionName: "balanceOf",
+      args: [user],
+    }),
+    publicClient.readContract({
+      address: gho,
+      abi: FUNDS_ABI,
+      functionName: "allowance",
+      args: [user, resolver],
+    }),
+  ]);
+
+  if (balance < definition.amount) {
+    return {
+      reason: "INSUFFICIENT_BALANCE",
+      detail: `GHO balance ${balance} is below the intent amount ${definition.amount}`,
+    };
+  }
+  if (allowance < definition.amount) {
+    return {
+      reason: "INSUFFICIENT_ALLOWANCE",
+      detail: `Resolver allowance ${allowance} is below the intent amount ${definition.amount}`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Build the relayer's submitIntentFor transaction and check the resolver would accept it
+ * The user's funds are checked first, so a shortfall is reported as such rather than as a revert
+ * @param {object} definition IntentDefinition
+ * @param {string} user Checksummed address that signed the intent
+ * @param {object} relayed The signed relay
+ * @param {number} relayed.nonce Signed nonce
+ * @param {string} relayed.signature User's EIP-712 signature
+ * @returns {Promise<{ call?: object, reason?: string, detail?: string }>} { to, data }, or why the
+ *   relay is refused: INSUFFICIENT_BALANCE, INSUFFICIENT_ALLOWANCE or RELAY_REVERTED
+ */
+async function prepareRelay(definition, user, { nonce, signature }) {
+  const shortfall = await checkRelayFunds(definition, user);
+  if (shortfall) {
+    return shortfall;
+  }
+
+  const { walletClient, publicClient } = lensChain;
+  const call = {
+    to: ethers.getAddress(settings.LENS_INTENT_RESOLVER),
+    data: encodeSubmitIntentFor(definition, user, nonce, signature),
+  };
+
+  try {
+    await publicClient.call({ account: walletClient.account, ...call });
+  } catch (error) {
+    return { reason: "RELAY_REVERTED", detail: error.shortMessage || error.message };
+  }
+  return { call };
+}
+
+/**
+ * Send a prepared submitIntentFor call and record it as the intent's RELAY transaction
+ * The receipt is awaited in the background by confirmRelay
+ * @param {object} intent Stored intent
+ * @param {object} call { to, data } from prepareRelay
+ * @param {object} details Stored with the transaction
+ * @param {number} details.nonce Signed nonce
+ * @param {string} details.signature User's EIP-712 signature
+ * @returns {Promise<object>} The RELAY transaction
+ */
+async function sendRelay(intent, call, { nonce, signature }) {
+  const txHash = await lensChain.walletClient.sendTransaction(call);
+
+  const relay = await db.Transaction.create({
+    intentId: intent.id,
+    chainId: lensChain.activeChain.id,
+    txHash,
+    type: "RELAY",
+    status: "PENDING",
+    data: { relayer: lensChain.walletClient.account.address, nonce, signature },
+  });
+  await publishTransactionRecorded(intent, relay);
+  logger.info(`Relayed intent ${intent.intentId}`, { txHash });
+
+  confirmRelay(relay);
+  return relay;
+}
+
+/**
+ * Move a relayed intent on once its transaction is mined, as the intent processor does for
+ * submissions: an IntentExecuted event in the receipt completes (or fails) the intent, otherwise a
+ * cross-chain intent starts executing. A reverted relay fails the intent.
+ * @param {object} intent Stored intent
+ * @param {object} relay Its RELAY transaction
+ * @param {object} receipt viem transaction receipt
+ */
+async function advanceRelayedIntent(intent, relay, receipt) {
+  const succeeded = receipt.status === "success";
+  if (succeeded) {
+    const execution = findIntentExecution(
+      receipt.logs,
+      intent.intentId,
+      settings.LENS_INTENT_RESOLVER
+    );
+    if (execution) {
+      await settleIntentExecution(intent, {
+        success: execution.success,
+        actor: ACTORS.RELAYER,
+        transactionId: relay.id,
+      });
+      return;
+    }
+    if (intent.sourceChainId === intent.destinationChainId) {
+      return;
+    }
+  }
+
+  try {
+    await transitionIntent(intent, succeeded ? INTENT_STATUS.EXECUTING : INTENT_STATUS.FAILED, {
+      actor: ACTORS.RELAYER,
+      reason: succeeded ? "Cross-chain operation started" : "Relay transaction reverted",
+      transactionId: relay.id,
+    });
+  } catch (error) {
+    // The processor or the user moved the intent on meanwhile
+    if (!(error instanceof IntentTransitionError)) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Wait for a RELAY transaction's receipt and record its outcome; retried while it is not mined
+ * Failures are logged, never thrown
+ * @param {object} relay RELAY transaction
+ */
+async function confirmRelay(relay) {
+  try {
+    let receipt;
+    try {
+      receipt = await lensChain.publicClient.waitForTransactionReceipt({
+        hash: relay.txHash,
+        timeout: RECEIPT_TIMEOUT_MS,
+      });
+    } catch (error) {
+      logger.warn(`Relay ${relay.txHash} not mined yet, checking again later`, {
+        error: error.shortMessage || error.message,
+      });
+      setTimeout(() => confirmRelay(relay), RECEIPT_RETRY_MS).unref();
+      return;
+    }
+
+    const success = receipt.status === "success";
+    await relay.update({
+      status: success ? "CONFIRMED" : "FAILED",
+      blockNumber: Number(receipt.blockNumber),
+      gasUsed: receipt.gasUsed.toString(),
+      gasFee: (receipt.gasUsed * receipt.effectiveGasPrice).toString(),
+    });
+
+    const intent = await db.Intent.findByPk(relay.intentId);
+    if (success) {
+      // Cancelled between being stored and the RELAY transaction being recorded
+      await reinstateSubmittedIntent(intent, { actor: ACTORS.RELAYER, transactionId: relay.id });
+      await publishIntentEvent(INTENT_EVENTS.TRANSACTION_CONFIRMED, intent, relay);
+    } else {
+      logger.warn(`Relay ${relay.txHash} of intent ${intent.intentId} reverted`);
+    }
+    await advanceRelayedIntent(intent, relay, receipt);
+  } catch (error) {
+    logger.error(`Failed to confirm relay ${relay.txHash}`, { error });
+  }
+}
+
+/**
+ * Resume confirming the RELAY transactions still pending, e.g. after a restart
+ * @returns {Promise<number>} Number of transactions resumed
+ */
+async function resumePendingRelays() {
+  try {
+    const relays = await db.Transaction.findAll({ where: { type: "RELAY", status: "PENDING" } });
+    relays.forEach((relay) => confirmRelay(relay));
+    return relays.length;
+  } catch (error) {
+    logger.error("Failed to resume pending relays", { error });
+    return 0;
+  }
+}
+
+module.exports = {
+  isRelayEnabled,
+  getRelayTypedData,
+  recoverRelaySigner,
+  getNextRelayNonce,
+  prepareRelay,
+  sendRelay,
+  resumePendingRelays,
+};
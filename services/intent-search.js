@@ -0,0 +1,153 @@
+/**
+ * @file intent-search.js
+ * @description Filters, sorting and cursor pagination for GET /api/intents
+ *
+ * Pages are keyset-paginated on (sort column, id): the cursor carries the last row's values, so
+ * pages stay stable while intents are added and each one is an index range scan.
+ */
+
+const { Op } = require("sequelize");
+const { ethers } = require("ethers");
+
+// sort query value -> [attribute, direction]
+const SORTS = {
+  createdAt: ["createdAt", "ASC"],
+  "-createdAt": ["createdAt", "DESC"],
+  deadline: ["deadline", "ASC"],
+  "-deadline": ["deadline", "DESC"],
+};
+
+const DEFAULT_SORT = "-createdAt";
+
+/**
+ * Error for a cursor that was not issued by this API or belongs to another sort
+ */
+class InvalidCursorError extends Error {
+  constructor(message = "is not a valid cursor") {
+    super(message);
+    this.name = "InvalidCursorError";
+  }
+}
+
+/**
+ * Encode the position after a row
+ * @param {string} sort Sort the page was built with
+ * @param {object} intent Last intent of the page
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(sort, intent) {
+  const [attribute] = SORTS[sort];
+  const value =
+    intent[attribute] instanceof Date ? intent[attribute].toISOString() : intent[attribute];
+  return Buffer.from(JSON.stringify({ s: sort, v: String(value), id: intent.id })).toString(
+    "base64url"
+  );
+}
+
+/**
+ * Decode a cursor issued by encodeCursor
+ * @param {string} cursor Cursor from the previous page
+ * @param {string} sort Sort of the current request
+ * @returns {{ value: string, id: number }} Position to continue after
+ * @throws {InvalidCursorError} When the cursor is malformed or was issued for another sort
+ */
+function decodeCursor(cursor, sort) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new InvalidCursorError();
+  }
+  if (!position || typeof position.v !== "string" || !Number.isInteger(position.id)) {
+    throw new InvalidCursorError();
+  }
+  if (position.s !== sort) {
+    throw new InvalidCursorError(`was issued for sort=${position.s}`);
+  }
+  return { value: position.v, id: position.id };
+}
+
+/**
+ * Normalize an address filter to the checksummed form intents are stored in
+ * @param {string} address Address in any case
+ * @returns {string} Checksummed address
+ */
+function normalizeAddress(address) {
+  return ethers.getAddress(String(address).toLowerCase());
+}
+
+/**
+ * Build the query for one page of a search
+ *
+ * @param {object} query Validated query string (user, syndicateAddress, tokenAddress, intentType,
+ *   status, sourceChainId, destinationChainId, from, to, sort, cursor, limit)
+ * @returns {{ where: object, order: Array[], limit: number, sort: string }} findAll options and
+ *   the sort in use; limit is one more than the page size, to tell whether another page follows
+ * @throws {InvalidCursorError} When the cursor is invalid
+ */
+function buildIntentSearch(query) {
+  const where = {};
+
+  for (const field of ["user", "syndicateAddress", "tokenAddress"]) {
+    if (query[field]) {
+      where[field] = normalizeAddress(query[field]);
+    }
+  }
+  for (const field of ["intentType", "status"]) {
+    if (query[field] !== undefined) {
+      where[field] = { [Op.in]: [].concat(query[field]) };
+    }
+  }
+  for (const field of ["sourceChainId", "destinationChainId"]) {
+    if (query[field] !== undefined) {
+      where[field] = Number(query[field]);
+    }
+  }
+  if (query.from || query.to) {
+    where.createdAt = {};
+    if (query.from) {
+      where.createdAt[Op.gte] = new Date(query.from);
+    }
+    if (query.to) {
+      where.createdAt[Op.lt] = new Date(query.to);
+    }
+  }
+
+  const sort = query.sort || DEFAULT_SORT;
+  const [attribute, direction] = SORTS[sort];
+  const after = direction === "ASC" ? Op.gt : Op.lt;
+
+  const conditions = [where];
+  if (query.cursor) {
+    const { value, id } = decodeCursor(query.cursor, sort);
+    const position = attribute === "createdAt" ? new Date(value) : value;
+    if (attribute === "createdAt" ? isNaN(position) : !/^[0-9]+$/.test(position)) {
+      throw new InvalidCursorError();
+    }
+    conditions.push({
+      [Op.or]: [
+        { [attribute]: { [after]: position } },
+        { [attribute]: position, id: { [after]: id } },
+      ],
+    });
+  }
+
+  return {
+    where: { [Op.and]: conditions },
+    order: [
+      [attribute, direction],
+      ["id", direction],
+    ],
+    limit: (parseInt(query.limit) || 20) + 1,
+    sort,
+  };
+}
+
+module.exports = {
+  SORTS,
+  DEFAULT_SORT,
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  buildIntentSearch,
+};
@@ -0,0 +1,205 @@
+/**
+ * @file intent-socket.js
+ * @description socket.io server for real-time intent updates
+ *
+ * Clients connect to the /intents namespace at path /ws with a session token, the session cookie
+ * or an API key with intents:read, and receive the events of intent-events.js for the rooms they
+ * are in: one room per intent and one per user address. Signed-in wallets join their own user
+ * room on connect and may only subscribe to their own intents.
+ */
+
+const { Server } = require("socket.io");
+const cookieParser = require("cookie-parser");
+const { ethers } = require("ethers");
+const db = require("../database");
+const { resolveCredentials, getScopes } = require("../middleware/auth");
+const { ALLOWED_ORIGINS, getRequestOrigin } = require("../csrf");
+const { SESSION_COOKIE } = require("./session-tokens");
+const { subscribeToIntentEvents } = require("./intent-events");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("intent-socket");
+
+const SOCKET_PATH = "/ws";
+const NAMESPACE = "/intents";
+
+const intentRoom = (intentId) => `intent:${intentId.toLowerCase()}`;
+const userRoom = (address) => `user:${address.toLowerCase()}`;
+
+/**
+ * Error passed to a rejected handshake; clients read it from connect_error
+ * @param {string} message Error message
+ * @param {string} reason Machine-readable reason
+ * @returns {Error} The error
+ */
+function handshakeError(message, reason) {
+  const error = new Error(message);
+  error.data = { reason };
+  return error;
+}
+
+/**
+ * Namespace middleware authenticating the handshake like the authenticate HTTP middleware
+ * The token is read from the `auth.token` handshake option, the Authorization header or the
+ * session cookie; cookie handshakes must come from an allowed origin, since browsers send the
+ * cookie with cross-site WebSocket connections too.
+ * @param {object} socket socket.io socket
+ * @param {function} next Continues or rejects the handshake
+ */
+async function authenticateSocket(socket, next) {
+  const { auth, headers } = socket.handshake;
+  const header = headers["authorization"];
+  const bearer = auth?.token || (header?.startsWith("Bearer ") ? header.split(" ")[1] : undefined);
+  const token = bearer || socket.request.cookies?.[SESSION_COOKIE];
+
+  if (!token) {
+    return next(handshakeError("Missing credentials", "UNAUTHORIZED"));
+  }
+  if (!bearer && !ALLOWED_ORIGINS.includes(getRequestOrigin(socket.request))) {
+    return next(handshakeError("Origin not allowed", "CSRF_ORIGIN_NOT_ALLOWED"));
+  }
+
+  try {
+    const { user, apiKey, error } = await resolveCredentials(token, { allowApiKey: !!bearer });
+    if (error) {
+      return next(handshakeError(error, "UNAUTHORIZED"));
+    }
+    if (!getScopes({ user, apiKey }).includes("intents:read")) {
+      return next(handshakeError("Forbidden", "MISSING_SCOPE"));
+    }
+
+    socket.data.user = user;
+    socket.data.apiKey = apiKey;
+    next();
+  } catch (error) {
+    logger.error("Socket authentication error", { error });
+    next(handshakeError("Authentication failed", "UNAUTHORIZED"));
+  }
+}
+
+/**
+ * Join the room of an intent or a user
+ * @param {object} socket socket.io socket
+ * @param {object} target { intentId } or { user }
+ * @returns {Promise<{room?: string, error?: string}>} The joined room, or why it was refused
+ */
+async function subscribe(socket, { intentId, user } = {}) {
+  const wallet = socket.data.user?.address.toLowerCase();
+
+  if (intentId !== undefined) {
+    if (!ethers.isHexString(intentId, 32)) {
+      return { error: "INVALID_INTENT_ID" };
+    }
+    const intent = await db.Intent.findOne({ where: { intentId }, attributes: ["user"] });
+    if (!intent) {
+      return { error: "INTENT_NOT_FOUND" };
+    }
+    if (wallet && intent.user.toLowerCase() !== wallet) {
+      return { error: "NOT_INTENT_OWNER" };
+    }
+    socket.join(intentRoom(intentId));
+    return { room: intentRoom(intentId) };
+  }
+
+  if (user !== undefined) {
+    if (!ethers.isHexString(user, 20)) {
+      return { error: "INVALID_ADDRESS" };
+    }
+    if (wallet && user.toLowerCase() !== wallet) {
+      return { error: "NOT_INTENT_OWNER" };
+    }
+    socket.join(userRoom(user));
+    return { room: userRoom(user) };
+  }
+
+  return { error: "INVALID_REQUEST" };
+}
+
+/**
+ * Handle a connected socket: join the default rooms and serve subscribe/unsubscribe
+ * @param {object} socket socket.io socket
+ */
+async function onConnection(socket) {
+  const reply = (ack, result) => typeof ack === "function" && ack(result);
+
+  socket.on("subscribe", async (target, ack) => {
+    try {
+      reply(ack, await subscribe(socket, target));
+    } catch (error) {
+      logger.error("Socket subscription failed", { error });
+      reply(ack, { error: "SUBSCRIBE_FAILED" });
+    }
+  });
+
+  socket.on("unsubscribe", (target = {}, ack) => {
+    const room = target.intentId
+      ? intentRoom(String(target.intentId))
+      : target.user
+        ? userRoom(String(target.user))
+        : null;
+    if (room) {
+      socket.leave(room);
+    }
+    reply(ack, { room });
+  });
+
+  if (socket.data.user) {
+    socket.join(userRoom(socket.data.user.address));
+  }
+
+  // io("/intents?intentId=0x...", { path: "/ws" }) subscribes at connection time
+  const { intentId } = socket.handshake.query;
+  if (typeof intentId === "string") {
+    try {
+      const result = await subscribe(socket, { intentId });
+      if (result.error) {
+        socket.emit("subscribe_error", { intentId, error: result.error });
+      }
+    } catch (error) {
+      logger.error("Socket subscription failed", { error });
+    }
+  }
+}
+
+/**
+ * Attach the socket.io server to the HTTP server and relay intent events to it
+ *
+ * @param {object} httpServer Server returned by app.listen
+ * @returns {{ io: object, close: function }} The server, and a function that stops it and the
+ *   event listener
+ */
+function attachIntentSocket(httpServer) {
+  const io = new Server(httpServer, {
+    path: SOCKET_PATH,
+    serveClient: false,
+    cors: { origin: ALLOWED_ORIGINS, credentials: true },
+  });
+
+  // Session cookies for the handshake, as on the HTTP API
+  io.engine.use(cookieParser());
+
+  const intents = io.of(NAMESPACE);
+  intents.use(authenticateSocket);
+  intents.on("connection", onConnection);
+
+  // Each event goes to the intent's room and its user's room; a socket in both gets it once
+  const stopListening = subscribeToIntentEvents((event) => {
+    intents.to(intentRoom(event.intentId)).to(userRoom(event.user)).emit(event.type, event);
+  });
+
+  return {
+    io,
+    close: async () => {
+      await stopListening();
+      await new Promise((resolve) => io.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  SOCKET_PATH,
+  NAMESPACE,
+  authenticateSocket,
+  subscribe,
+  attachIntentSocket,
+};
@@ -0,0 +1,143 @@
+/**
+ * @file intent-validation.js
+ * @description Per-type rules for submitted intents
+ *
+ * The request schema only checks shapes; these rules check what SyndicateIntentResolver would
+ * reject or what cannot be executed: address checksums, the deadline window, amount bounds, the
+ * intent types the resolver executes, the chain route each type may take, and whether it refers
+ * to a ticket.
+ */
+
+const { ethers } = require("ethers");
+const { settings } = require("../config");
+
+// Intent type identifiers, as declared in SyndicateIntentResolver
+const INTENT_TYPES = {
+  JOIN_SYNDICATE: 1,
+  BUY_TICKET: 2,
+  CLAIM_WINNINGS: 3,
+  WITHDRAW_FUNDS: 4,
+};
+
+// Chain IDs in intent routes, as the LENS_CHAIN_ID and BASE_CHAIN_ID constants of
+// SyndicateIntentResolver; the contract compares routes against them on testnet deployments too
+const LENS = 232;
+const BASE = 8453;
+
+const MIN_DEADLINE_SECONDS = settings.INTENT_MIN_DEADLINE_SECONDS;
+const MAX_DEADLINE_SECONDS = settings.INTENT_MAX_DEADLINE_SECONDS;
+const MIN_AMOUNT = BigInt(settings.INTENT_MIN_AMOUNT);
+const MAX_AMOUNT = BigInt(settings.INTENT_MAX_AMOUNT);
+
+/**
+ * Rules by intent type
+ * `route` is the only allowed [source, destination] chain ID pair; `ticket` says whether ticketId
+ * must be set or left at 0
+ */
+const INTENT_RULES = {
+  [INTENT_TYPES.JOIN_SYNDICATE]: {
+    name: "JOIN_SYNDICATE",
+    route: [LENS, LENS],
+    ticket: false,
+  },
+  [INTENT_TYPES.BUY_TICKET]: {
+    name: "BUY_TICKET",
+    route: [LENS, BASE],
+    ticket: false,
+  },
+};
+
+// Declared by SyndicateIntentResolver, which reverts them as not implemented yet
+const UNSUPPORTED_INTENT_TYPES = {
+  [INTENT_TYPES.CLAIM_WINNINGS]: "CLAIM_WINNINGS",
+  [INTENT_TYPES.WITHDRAW_FUNDS]: "WITHDRAW_FUNDS",
+};
+
+/**
+ * Check an address and its EIP-55 checksum
+ * All-lowercase and all-uppercase addresses carry no checksum and are accepted
+ * @param {string} value Address
+ * @returns {string|null} Why the address is invalid, or null
+ */
+function checkAddress(value) {
+  if (value === undefined || value === null) {
+    return "is required";
+  }
+  if (!ethers.isHexString(value, 20)) {
+    return "must be a 20-byte address";
+  }
+  if (!ethers.isAddress(value)) {
+    return `has an invalid checksum (expected ${ethers.getAddress(value.toLowerCase())})`;
+  }
+  if (ethers.getAddress(value) === ethers.ZeroAddress) {
+    return "must not be the zero address";
+  }
+  return null;
+}
+
+/**
+ * Validate a submitted intent against the rules of its type
+ *
+ * @param {object} intent Intent fields from the request body, with `user` resolved
+ * @param {object} [options]
+ * @param {number} [options.now] Current Unix time in seconds
+ * @returns {object[]} { in, path, message } per problem, empty when the intent is valid
+ */
+function validateIntent(intent, { now = Math.floor(Date.now() / 1000) } = {}) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ in: "body", path: `/${field}`, message });
+
+  for (const field of ["user", "syndicateAddress", "tokenAddress"]) {
+    const problem = checkAddress(intent[field]);
+    if (problem) {
+      fail(field, problem);
+    }
+  }
+
+  const deadline = Number(intent.deadline);
+  if (deadline < now + MIN_DEADLINE_SECONDS) {
+    fail("deadline", `must be at least ${MIN_DEADLINE_SECONDS} seconds in the future`);
+  } else if (deadline > now + MAX_DEADLINE_SECONDS) {
+    fail("deadline", `must be at most ${MAX_DEADLINE_SECONDS} seconds in the future`);
+  }
+
+  const amount = BigInt(intent.amount);
+  if (amount < MIN_AMOUNT || amount > MAX_AMOUNT) {
+    fail("amount", `must be between ${MIN_AMOUNT} and ${MAX_AMOUNT}`);
+  }
+
+  const unsupported = UNSUPPORTED_INTENT_TYPES[intent.intentType];
+  if (unsupported) {
+    fail("intentType", `${unsupported} is not supported by SyndicateIntentResolver yet`);
+    return errors;
+  }
+
+  const rules = INTENT_RULES[intent.intentType];
+  if (!rules) {
+    fail("intentType", `must be one of ${Object.keys(INTENT_RULES).join(", ")}`);
+    return errors;
+  }
+
+  const [source, destination] = rules.route;
+  if (Number(intent.sourceChainId) !== source) {
+    fail("sourceChainId", `must be ${source} for ${rules.name}`);
+  }
+  if (Number(intent.destinationChainId) !== destination) {
+    fail("destinationChainId", `must be ${destination} for ${rules.name}`);
+  }
+
+  const hasTicket = BigInt(intent.ticketId ?? 0) > 0n;
+  if (rules.ticket && !hasTicket) {
+    fail("ticketId", `is required for ${rules.name}`);
+  } else if (!rules.ticket && hasTicket) {
+    fail("ticketId", `must be 0 for ${rules.name}`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  INTENT_TYPES,
+  INTENT_RULES,
+  validateIntent,
+};
@@ -0,0 +1,172 @@
+/**
+ * @file lens-account-verifier.js
+ * @description On-chain check that a wallet controls a Lens account
+ * Reads the account contract on the active Lens chain and caches the answer for a short time
+ */
+
+const {
+  parseAbi,
+  BaseError,
+  ContractFunctionRevertedError,
+  ContractFunctionZeroDataError,
+} = require("viem");
+const { settings } = require("../config");
+const lensChain = require("./lens-chain-service");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("authorize");
+
+const LENS_ACCOUNT_ABI = parseAbi([
+  "function owner() view returns (address)",
+  "function canExecuteTransactions(address executor) view returns (bool)",
+]);
+
+// Only these roles act on an existing account; onboarding users and builders have none yet
+const ACCOUNT_ROLES = ["accountOwner", "accountManager"];
+
+const OWNERSHIP_CACHE_TTL_MS = settings.LENS_OWNERSHIP_CACHE_TTL_SECONDS * 1000;
+const OWNERSHIP_RPC_TIMEOUT_MS = settings.LENS_OWNERSHIP_RPC_TIMEOUT_MS;
+const MAX_CACHE_ENTRIES = 10000;
+
+// Machine-readable reasons for a failed ownership check
+const OWNERSHIP_REASONS = {
+  NOT_LENS_ACCOUNT: "NOT_LENS_ACCOUNT",
+  NOT_ACCOUNT_OWNER: "NOT_ACCOUNT_OWNER",
+  NOT_ACCOUNT_MANAGER: "NOT_ACCOUNT_MANAGER",
+  OWNERSHIP_CHECK_UNAVAILABLE: "OWNERSHIP_CHECK_UNAVAILABLE",
+};
+
+// `${chainId}:${account}:${signedBy}:${role}` -> { result, expiresAt }
+const cache = new Map();
+
+/**
+ * Reject after the RPC timeout so a slow node cannot stall /authorize
+ * @param {Promise} promise Pending RPC call
+ * @returns {Promise} The call, or a timeout error
+ */
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Lens RPC did not answer within ${OWNERSHIP_RPC_TIMEOUT_MS}ms`)),
+      OWNERSHIP_RPC_TIMEOUT_MS
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Whether a read failed because the address is not a Lens account (as opposed to RPC trouble)
+ * @param {Error} error Error thrown by readContract
+ * @returns {boolean} True when the contract reverted or returned nothing
+ */
+function isNotAnAccount(error) {
+  return (
+    error instanceof BaseError &&
+    Boolean(
+      error.walk(
+        (cause) =>
+          cause instanceof ContractFunctionRevertedError ||
+          cause instanceof ContractFunctionZeroDataError
+      )
+    )
+  );
+}
+
+/**
+ * Read the account contract for the role being claimed
+ * @param {object} request Normalized request
+ * @returns {Promise<{verified: boolean, reason?: string}>} The result
+ */
+async function readAccountControl({ account, signedBy, role }) {
+  const { publicClient } = lensChain;
+
+  if (role === "accountOwner") {
+    const owner = await withTimeout(
+      publicClient.readContract({ address: account, abi: LENS_ACCOUNT_ABI, functionName: "owner" })
+    );
+    return owner.toLowerCase() === signedBy
+      ? { verified: true }
+      : { verified: false, reason: OWNERSHIP_REASONS.NOT_ACCOUNT_OWNER };
+  }
+
+  const canExecute = await withTimeout(
+    publicClient.readContract({
+      address: account,
+      abi: LENS_ACCOUNT_ABI,
+      functionName: "canExecuteTransactions",
+      args: [signedBy],
+    })
+  );
+  return canExecute
+    ? { verified: true }
+    : { verified: false, reason: OWNERSHIP_REASONS.NOT_ACCOUNT_MANAGER };
+}
+
+/**
+ * Drop expired entries once the cache grows past its limit
+ * @param {number} now Current time in ms
+ */
+function pruneCache(now) {
+  if (cache.size < MAX_CACHE_ENTRIES) {
+    return;
+  }
+  for (const [key, entry] of cache) {
+    if (entry.expiresAt <= now) {
+      cache.delete(key);
+    }
+  }
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.clear();
+  }
+}
+
+/**
+ * Verify that `signedBy` owns (accountOwner) or may manage (accountManager) `account`
+ *
+ * Other roles are not tied to an existing account and always pass. RPC failures are never cached
+ * and are reported as OWNERSHIP_CHECK_UNAVAILABLE so the caller can deny instead of guessing.
+ *
+ * @param {object} request Authorization request with lowercased addresses
+ * @param {string} request.account Lens account address
+ * @param {string} request.signedBy Wallet that signed the login challenge
+ * @param {string} request.role Lens role
+ * @returns {Promise<{verified: boolean, reason?: string, cached?: boolean}>} The result
+ */
+async function verifyAccountControl({ account, signedBy, role }) {
+  if (!ACCOUNT_ROLES.includes(role)) {
+    return { verified: true };
+  }
+
+  const now = Date.now();
+  const key = `${lensChain.activeChain.id}:${account}:${signedBy}:${role}`;
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > now) {
+    return { ...entry.result, cached: true };
+  }
+
+  let result;
+  try {
+    result = await readAccountControl({ account, signedBy, role });
+  } catch (error) {
+    if (!isNotAnAccount(error)) {
+      logger.error("Lens ownership check failed", {
+        account,
+        error: error.shortMessage || error.message,
+      });
+      return { verified: false, reason: OWNERSHIP_REASONS.OWNERSHIP_CHECK_UNAVAILABLE };
+    }
+    result = { verified: false, reason: OWNERSHIP_REASONS.NOT_LENS_ACCOUNT };
+  }
+
+  pruneCache(now);
+  cache.set(key, { result, expiresAt: now + OWNERSHIP_CACHE_TTL_MS });
+
+  return result;
+}
+
+module.exports = {
+  ACCOUNT_ROLES,
+  OWNERSHIP_REASONS,
+  verifyAccountControl,
+};
@@ -2,6 +2,10 @@ const { createPublicClient, createWalletClient, http } = require("viem");
 const { privateKeyToAccount } = require("viem/accounts");
 const { chains } = require("@lens-chain/sdk/viem");
 const config = require("../config");
+const { meteredFetch } = require("./metrics");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("lens-chain");
 
 // Import isMainnetEnvironment from config
 const { CHAIN, LENS_CHAIN_DETAILS, ACTIVE_CHAIN_DETAILS, CHAIN_IDS } = require("../config");
@@ -16,32 +20,39 @@ const isMainnetEnvironment = (env) => {
 let activeChain = config.CHAIN;
 let activeRpcUrl = config.ACTIVE_CHAIN_DETAILS.rpcUrl;
 
-console.log(`Initializing Lens Chain service with default chain ID: ${activeChain.id}`);
-console.log(`Default RPC URL: ${activeRpcUrl}`);
+// Only the host of RPC URLs is logged, as providers put API keys in the path
+logger.info("Initializing Lens Chain service", {
+  chainId: activeChain.id,
+  rpcHost: new URL(activeRpcUrl).host,
+});
 
 // Clients for specific chains (always available)
 const mainnetPublicClient = createPublicClient({
   chain: chains.mainnet,
-  transport: http(config.LENS_CHAIN_DETAILS.mainnet.rpcUrl),
+  transport: http(config.LENS_CHAIN_DETAILS.mainnet.rpcUrl, {
+    fetchFn: meteredFetch(chains.mainnet.id),
+  }),
 });
 
 const testnetPublicClient = createPublicClient({
   chain: chains.testnet,
-  transport: http(config.LENS_CHAIN_DETAILS.testnet.rpcUrl),
+  transport: http(config.LENS_CHAIN_DETAILS.testnet.rpcUrl, {
+    fetchFn: meteredFetch(chains.testnet.id),
+  }),
 });
 
 // Create a dynamic public client that will use the active chain
 const getDynamicPublicClient = () => {
   return createPublicClient({
     chain: activeChain,
-    transport: http(activeRpcUrl),
+    transport: http(activeRpcUrl, { fetchFn: meteredFetch(activeChain.id) }),
   });
 };
 
 // Create a dynamic wallet client that will use the active chain
 const getDynamicWalletClient = () => {
   if (!config.PRIVATE_KEY) {
-    console.error("No private key available for wallet client");
+    logger.error("No private key available for wallet client");
     return null;
   }
 
@@ -49,11 +60,11 @@ const getDynamicWalletClient = () => {
     const account = privateKeyToAccount(config.PRIVATE_KEY);
     return createWalletClient({
       chain: activeChain,
-      transport: http(activeRpcUrl),
+      transport: http(activeRpcUrl, { fetchFn: meteredFetch(activeChain.id) }),
       account,
     });
   } catch (error) {
-    console.error("Failed to create wallet client:", error.message);
+    logger.error("Failed to create wallet client", { error });
     return null;
   }
 };
@@ -69,7 +80,7 @@ let walletClient = getDynamicWalletClient();
  */
 function switchChain(environment) {
   if (!["mainnet", "production", "testnet"].includes(environment.toLowerCase())) {
-    console.error(
+    logger.error(
       `Invalid environment: ${environment}. Must be 'mainnet', 'production', or 'testnet'`
     );
     return false;
@@ -85,8 +96,10 @@ function switchChain(environment) {
   publicClient = getDynamicPublicClient();
   walletClient = getDynamicWalletClient();
 
-  console.log(`Switched to ${isMainnet ? "mainnet" : "testnet"} (Chain ID: ${activeChain.id})`);
-  console.log(`Using RPC URL: ${activeRpcUrl}`);
+  logger.info(`Switched to ${isMainnet ? "mainnet" : "testnet"}`, {
+    chainId: activeChain.id,
+    rpcHost: new URL(activeRpcUrl).host,
+  });
 
   return true;
 }
@@ -115,11 +128,11 @@ function createWalletClientWithAccount(privateKey, environment) {
 
     return createWalletClient({
       chain,
-      transport: http(rpcUrl),
+      transport: http(rpcUrl, { fetchFn: meteredFetch(chain.id) }),
       account,
     });
   } catch (error) {
-    console.error("Failed to create wallet client:", error.message);
+    logger.error("Failed to create wallet client", { error });
     throw error;
   }
 }
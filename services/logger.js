@@ -0,0 +1,166 @@
+/**
+ * @file logger.js
+ * @description Structured winston logging with request IDs and secret redaction
+ *
+ * Every entry carries the service name and, inside a request or processor event, its request ID.
+ * Values are redacted before they reach a transport: fields whose name is in the redaction list
+ * (matched case-insensitively, ignoring "-" and "_") are replaced wherever they are nested, and
+ * strings are scrubbed of Bearer tokens and API keys. Extend the list with LOG_REDACT_KEYS.
+ */
+
+const winston = require("winston");
+const { settings } = require("../config");
+const { getRequestId } = require("./request-context");
+
+const REDACTED = "[REDACTED]";
+
+// Field names that always hold credentials or key material
+const DEFAULT_REDACT_KEYS = [
+  "authorization",
+  "cookie",
+  "set-cookie",
+  "x-api-key",
+  "x-csrf-token",
+  "apiKey",
+  "secret",
+  "sharedSecret",
+  "password",
+  "privateKey",
+  "signingKey",
+  "keystore",
+  "signature",
+  "token",
+  "accessToken",
+  "refreshToken",
+  "csrfToken",
+];
+
+// Credentials that can end up inside free-form strings (messages, URLs, error text)
+const REDACT_PATTERNS = [
+  { pattern: /(Bearer\s+)[^\s"',]+/gi, replacement: `$1${REDACTED}` },
+  { pattern: /\bsk_[0-9a-f]{8}_[A-Za-z0-9_-]+/g, replacement: REDACTED },
+];
+
+// Objects nested deeper than this are not logged
+const MAX_DEPTH = 8;
+
+/**
+ * Normalize a field name for matching
+ * @param {string} key Field name
+ * @returns {string} Lowercased name without separators
+ */
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[-_]/g, "");
+}
+
+const redactKeys = new Set(DEFAULT_REDACT_KEYS.concat(settings.LOG_REDACT_KEYS).map(normalizeKey));
+
+/**
+ * Scrub credentials from a string
+ * @param {string} value String to scrub
+ * @returns {string} The string with credentials replaced
+ */
+function redactString(value) {
+  return REDACT_PATTERNS.reduce(
+    (result, { pattern, replacement }) => result.replace(pattern, replacement),
+    value
+  );
+}
+
+/**
+ * Redact a value for logging without modifying it
+ * @param {*} value Value to redact
+ * @param {number} [depth=0] Nesting depth
+ * @param {WeakSet} [seen] Objects already visited, to cut cycles
+ * @returns {*} Redacted copy
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[Truncated]";
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return redact(
+      { name: value.name, message: value.message, code: value.code, stack: value.stack },
+      depth + 1,
+      seen
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+
+  const source = typeof value.toJSON === "function" ? value.toJSON() : value;
+  const copy = {};
+  for (const [key, item] of Object.entries(source)) {
+    copy[key] = redactKeys.has(normalizeKey(key)) ? REDACTED : redact(item, depth + 1, seen);
+  }
+  return copy;
+}
+
+// Adds the request ID and redacts the entry in place (winston keeps its metadata in symbols)
+const redactFormat = winston.format((info) => {
+  if (info.requestId === undefined) {
+    const requestId = getRequestId();
+    if (requestId) {
+      info.requestId = requestId;
+    }
+  }
+
+  for (const key of Object.keys(info)) {
+    info[key] = redactKeys.has(normalizeKey(key)) ? REDACTED : redact(info[key]);
+  }
+  return info;
+});
+
+/**
+ * Create a logger for a service
+ *
+ * @param {string} service Service name added to every entry
+ * @param {object} [options]
+ * @param {string} [options.file] Also write JSON entries to this file
+ * @returns {object} winston logger
+ */
+function createLogger(service, options = {}) {
+  const consoleFormat =
+    settings.LOG_FORMAT === "simple" ? winston.format.simple() : winston.format.json();
+
+  const transports = [new winston.transports.Console({ format: consoleFormat })];
+  if (options.file) {
+    transports.push(new winston.transports.File({ filename: options.file }));
+  }
+
+  return winston.createLogger({
+    level: settings.LOG_LEVEL,
+    format: winston.format.combine(
+      winston.format.timestamp(),
+      redactFormat(),
+      winston.format.json()
+    ),
+    defaultMeta: { service },
+    transports,
+  });
+}
+
+module.exports = {
+  REDACTED,
+  DEFAULT_REDACT_KEYS,
+  redact,
+  createLogger,
+};
@@ -0,0 +1,222 @@
+/**
+ * @file metrics.js
+ * @description Prometheus metrics shared by the API and the intent processor
+ *
+ * Both processes register the same metrics in their own registry and serve it at /metrics: the
+ * API through the Express app, the processor through a small HTTP server on METRICS_PORT.
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const client = require("prom-client");
+
+const PREFIX = "syndicate_";
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+const httpRequestsTotal = new client.Counter({
+  name: `${PREFIX}http_requests_total`,
+  help: "HTTP requests by route and status",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: "HTTP request latency by route and status",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+const authorizeDecisionsTotal = new client.Counter({
+  name: `${PREFIX}authorize_decisions_total`,
+  help: "/authorize outcomes: deny, allow, or sponsor (allowed with a sponsored transaction)",
+  labelNames: ["outcome"],
+  registers: [registry],
+});
+
+const intentsSubmittedTotal = new client.Counter({
+  name: `${PREFIX}intents_submitted_total`,
+  help: "Intents submitted through the API, by type",
+  labelNames: ["type"],
+  registers: [registry],
+});
+
+const bridgeMonitorRetriesTotal = new client.Counter({
+  name: `${PREFIX}bridge_monitor_retries_total`,
+  help: "Rescheduled checks of cross-chain operations: in_progress or error",
+  labelNames: ["reason"],
+  registers: [registry],
+});
+
+const webhookDeliveriesTotal = new client.Counter({
+  name: `${PREFIX}webhook_deliveries_total`,
+  help: "Webhook delivery attempts: success, retry (failed, will retry) or failed (gave up)",
+  labelNames: ["outcome"],
+  registers: [registry],
+});
+
+const rpcRequestDuration = new client.Histogram({
+  name: `${PREFIX}rpc_request_duration_seconds`,
+  help: "JSON-RPC call latency by chain and method",
+  labelNames: ["chain", "method"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+  registers: [registry],
+});
+
+const rpcErrorsTotal = new client.Counter({
+  name: `${PREFIX}rpc_errors_total`,
+  help: "Failed JSON-RPC calls by chain and method",
+  labelNames: ["chain", "method"],
+  registers: [registry],
+});
+
+const processorEventLagBlocks = new client.Gauge({
+  name: `${PREFIX}processor_event_lag_blocks`,
+  help: "Blocks between the chain head and the last event the intent processor handled",
+  labelNames: ["chain"],
+  registers: [registry],
+});
+
+const processorLastEventTimestamp = new client.Gauge({
+  name: `${PREFIX}processor_last_event_timestamp_seconds`,
+  help: "Unix time at which the intent processor last handled an event",
+  labelNames: ["chain", "event"],
+  registers: [registry],
+});
+
+/**
+ * Report the current number of intents by status and type from the database on every scrape
+ * Only the database-backed API calls this; repeated calls (several apps in one process) are no-ops
+ * @param {object} db Database module
+ */
+function trackIntentCounts(db) {
+  if (registry.getSingleMetric(`${PREFIX}intents`)) {
+    return;
+  }
+
+  new client.Gauge({
+    name: `${PREFIX}intents`,
+    help: "Stored intents by status and type",
+    labelNames: ["status", "type"],
+    registers: [registry],
+    async collect() {
+      let rows;
+      try {
+        rows = await db.Intent.findAll({
+          attributes: ["status", "intentType", [db.sequelize.fn("COUNT", "*"), "count"]],
+          group: ["status", "intentType"],
+          raw: true,
+        });
+      } catch {
+        // Keep the last counts while the database is down; /ready reports the outage
+        return;
+      }
+      this.reset();
+      for (const row of rows) {
+        this.set({ status: row.status, type: String(row.intentType) }, Number(row.count));
+      }
+    },
+  });
+}
+
+/**
+ * Record one JSON-RPC call
+ * @param {string|number} chain Chain ID
+ * @param {string} method JSON-RPC method
+ * @param {number} seconds Latency
+ * @param {boolean} failed Whether the call failed
+ */
+function recordRpcCall(chain, method, seconds, failed) {
+  const labels = { chain: String(chain), method };
+  rpcRequestDuration.observe(labels, seconds);
+  if (failed) {
+    rpcErrorsTotal.inc(labels);
+  }
+}
+
+/**
+ * fetch for viem's http transport that records each call's latency and failures
+ * A batch is recorded once per method it contains
+ * @param {string|number} chain Chain ID
+ * @returns {function} fetch-compatible function
+ */
+function meteredFetch(chain) {
+  return async (input, init) => {
+    let methods = ["unknown"];
+    try {
+      const body = JSON.parse(init.body);
+      methods = (Array.isArray(body) ? body : [body]).map((payload) => payload.method);
+    } catch {
+      // Not a JSON-RPC body, record it as unknown
+    }
+
+    const startedAt = process.hrtime.bigint();
+    let failed = true;
+    try {
+      const response = await fetch(input, init);
+      failed = !response.ok;
+      return response;
+    } finally {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      methods.forEach((method) => recordRpcCall(chain, method, seconds, failed));
+    }
+  };
+}
+
+/**
+ * Serve the registry at /metrics on its own port, for processes without an Express app
+ *
+ * Like the API's /metrics, it requires the token as a Bearer token when one is given. Without a
+ * token it only listens on localhost, so the metrics are never open to the network.
+ *
+ * @param {number} port Port to listen on
+ * @param {object} [options]
+ * @param {string} [options.token] Bearer token scrapers must send (METRICS_TOKEN)
+ * @returns {object} The HTTP server
+ */
+function startMetricsServer(port, { token } = {}) {
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  const expected = token ? digest(token) : null;
+
+  const server = http.createServer(async (req, res) => {
+    if (req.url !== "/metrics") {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (expected) {
+      const [scheme, presented] = (req.headers["authorization"] || "").split(" ");
+      if (scheme !== "Bearer" || !crypto.timingSafeEqual(digest(presented || ""), expected)) {
+        res.writeHead(401).end();
+        return;
+      }
+    }
+
+    try {
+      const body = await registry.metrics();
+      res.writeHead(200, { "Content-Type": registry.contentType }).end(body);
+    } catch (error) {
+      res.writeHead(500).end(error.message);
+    }
+  });
+  return expected ? server.listen(port) : server.listen(port, "127.0.0.1");
+}
+
+module.exports = {
+  registry,
+  httpRequestsTotal,
+  httpRequestDuration,
+  authorizeDecisionsTotal,
+  intentsSubmittedTotal,
+  bridgeMonitorRetriesTotal,
+  webhookDeliveriesTotal,
+  processorEventLagBlocks,
+  processorLastEventTimestamp,
+  trackIntentCounts,
+  recordRpcCall,
+  meteredFetch,
+  startMetricsServer,
+};
@@ -0,0 +1,332 @@
+/**
+ * @file rate-limiter.js
+ * @description Token bucket rate limiting with temporary bans for repeat offenders
+ * Buckets are kept in memory (single instance) or in Postgres (shared by all replicas), selected
+ * by RATE_LIMIT_STORE
+ */
+
+const db = require("../database");
+const { settings } = require("../config");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("rate-limit");
+
+// "<requests>/<seconds>" (or "off") per route and identity, from RATE_LIMIT_<ROUTE>_<IDENTITY>.
+// /authorize has no IP limit: Lens calls it server-to-server, so every login would share the
+// bucket (and the bans) of Lens's egress IP.
+const ROUTE_LIMITS = {
+  authorize: {
+    account: settings.RATE_LIMIT_AUTHORIZE_ACCOUNT,
+    apiKey: settings.RATE_LIMIT_AUTHORIZE_API_KEY,
+  },
+  intents: {
+    ip: settings.RATE_LIMIT_INTENTS_IP,
+    account: settings.RATE_LIMIT_INTENTS_ACCOUNT,
+    apiKey: settings.RATE_LIMIT_INTENTS_API_KEY,
+  },
+};
+
+// Identities that hit BAN_THRESHOLD limits within BAN_WINDOW_SECONDS are banned for BAN_SECONDS
+const BAN_THRESHOLD = settings.RATE_LIMIT_BAN_THRESHOLD;
+const BAN_WINDOW_SECONDS = settings.RATE_LIMIT_BAN_WINDOW_SECONDS;
+const BAN_SECONDS = settings.RATE_LIMIT_BAN_SECONDS;
+
+// Buckets untouched for this long are full again and can be dropped
+const PRUNE_AFTER_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Parse a "<requests>/<seconds>" limit
+ * @param {string} value Limit from the config
+ * @returns {{capacity: number, refillPerSecond: number}|null} The limit, or null when disabled
+ */
+function parseLimit(value) {
+  if (!value || value === "off" || value === "0") {
+    return null;
+  }
+
+  const [requests, seconds] = value.split("/").map((part) => parseInt(part));
+  if (!(requests > 0) || !(seconds > 0)) {
+    throw new Error(`Invalid rate limit '${value}', expected <requests>/<seconds>`);
+  }
+  return { capacity: requests, refillPerSecond: requests / seconds };
+}
+
+/**
+ * Limits for a route
+ * @param {string} route Route name in ROUTE_LIMITS
+ * @returns {object} Limit per identity type (null when disabled)
+ */
+function getRouteLimits(route) {
+  const limits = {};
+  for (const [identity, value] of Object.entries(ROUTE_LIMITS[route])) {
+    limits[identity] = parseLimit(value);
+  }
+  return limits;
+}
+
+/**
+ * Refill a bucket and take one token if there is one
+ * @param {number} tokens Tokens at refilledAt
+ * @param {number} refilledAt Time of the last refill in ms
+ * @param {number} now Current time in ms
+ * @param {object} limit Limit from parseLimit
+ * @returns {{allowed: boolean, tokens: number}} Whether a token was taken and what is left
+ */
+function takeToken(tokens, refilledAt, now, { capacity, refillPerSecond }) {
+  const elapsedSeconds = Math.max(0, now - refilledAt) / 1000;
+  const available = Math.min(capacity, tokens + elapsedSeconds * refillPerSecond);
+
+  if (available < 1) {
+    return { allowed: false, tokens: available };
+  }
+  return { allowed: true, tokens: available - 1 };
+}
+
+/**
+ * Buckets kept in process memory; each replica limits on its own
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+    this.bans = new Map();
+
+    setInterval(() => this.prune(), PRUNE_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Take a token from a bucket
+   * @param {string} key Bucket key
+   * @param {object} limit Limit from parseLimit
+   * @returns {Promise<{allowed: boolean, tokens: number}>} The result
+   */
+  async take(key, limit) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: limit.capacity, refilledAt: now };
+    const result = takeToken(bucket.tokens, bucket.refilledAt, now, limit);
+
+    this.buckets.set(key, { tokens: result.tokens, refilledAt: now });
+    return result;
+  }
+
+  /**
+   * When the ban on an identity ends
+   * @param {string} key Ban key
+   * @returns {Promise<Date|null>} End of an active ban
+   */
+  async getBannedUntil(key) {
+    const until = this.bans.get(key);
+    return until && until > new Date() ? until : null;
+  }
+
+  /**
+   * Ban an identity
+   * @param {string} key Ban key
+   * @param {Date} until End of the ban
+   */
+  async ban(key, until) {
+    this.bans.set(key, until);
+  }
+
+  /**
+   * Drop idle buckets and expired bans
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.refilledAt > PRUNE_AFTER_MS) {
+        this.buckets.delete(key);
+      }
+    }
+    for (const [key, until] of this.bans) {
+      if (until.getTime() <= now) {
+        this.bans.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Buckets kept in the rate_limit_buckets table, shared by every replica
+ */
+class PostgresRateLimitStore {
+  constructor() {
+    setInterval(() => {
+      this.prune().catch((error) => logger.error("Failed to prune rate limit buckets", { error }));
+    }, PRUNE_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Take a token from a bucket, locking its row so concurrent replicas cannot overspend it
+   * @param {string} key Bucket key
+   * @param {object} limit Limit from parseLimit
+   * @returns {Promise<{allowed: boolean, tokens: number}>} The result
+   */
+  async take(key, limit) {
+    return db.sequelize.transaction(async (transaction) => {
+      const now = new Date();
+
+      await db.RateLimitBucket.bulkCreate([{ key, tokens: limit.capacity, refilledAt: now }], {
+        ignoreDuplicates: true,
+        transaction,
+      });
+
+      const bucket = await db.RateLimitBucket.findByPk(key, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+
+      const result = takeToken(bucket.tokens, bucket.refilledAt.getTime(), now.getTime(), limit);
+      await bucket.update({ tokens: result.tokens, refilledAt: now }, { transaction });
+
+      return result;
+    });
+  }
+
+  /**
+   * When the ban on an identity ends
+   * @param {string} key Ban key
+   * @returns {Promise<Date|null>} End of an active ban
+   */
+  async getBannedUntil(key) {
+    const bucket = await db.RateLimitBucket.findByPk(key);
+    return bucket && bucket.bannedUntil > new Date() ? bucket.bannedUntil : null;
+  }
+
+  /**
+   * Ban an identity
+   * @param {string} key Ban key
+   * @param {Date} until End of the ban
+   */
+  async ban(key, until) {
+    await db.RateLimitBucket.upsert({ key, tokens: 0, refilledAt: new Date(), bannedUntil: until });
+  }
+
+  /**
+   * Drop idle buckets and expired bans
+   */
+  async prune() {
+    const { Op } = db.Sequelize;
+    await db.RateLimitBucket.destroy({
+      where: {
+        updatedAt: { [Op.lt]: new Date(Date.now() - PRUNE_AFTER_MS) },
+        [Op.or]: [{ bannedUntil: null }, { bannedUntil: { [Op.lt]: new Date() } }],
+      },
+    });
+  }
+}
+
+let store;
+
+/**
+ * The configured store (RATE_LIMIT_STORE=memory|postgres, default memory)
+ * @returns {MemoryRateLimitStore|PostgresRateLimitStore} The store
+ */
+function getStore() {
+  if (!store) {
+    const type = settings.RATE_LIMIT_STORE;
+    if (type === "postgres") {
+      store = new PostgresRateLimitStore();
+    } else if (type === "memory") {
+      store = new MemoryRateLimitStore();
+    } else {
+      throw new Error(`Unknown RATE_LIMIT_STORE '${type}', expected memory or postgres`);
+    }
+  }
+  return store;
+}
+
+/**
+ * Count a rejected request against an identity and ban it once it keeps hitting the limits
+ * @param {string} identityKey `${type}:${value}`
+ * @returns {Promise<Date|null>} End of the new ban, if one was issued
+ */
+async function recordViolation(identityKey) {
+  const strikes = {
+    capacity: BAN_THRESHOLD,
+    refillPerSecond: BAN_THRESHOLD / BAN_WINDOW_SECONDS,
+  };
+
+  const { allowed } = await getStore().take(`strikes:${identityKey}`, strikes);
+  if (allowed) {
+    return null;
+  }
+
+  const until = new Date(Date.now() + BAN_SECONDS * 1000);
+  await getStore().ban(`ban:${identityKey}`, until);
+  logger.warn("Rate limit ban issued", { identity: identityKey, until: until.toISOString() });
+  return until;
+}
+
+/**
+ * Check a request against the limits of a route
+ *
+ * One token is taken from the bucket of every identity (IP, account, API key). The request is
+ * rejected when any identity is banned or any bucket is empty; the most restrictive bucket is
+ * reported.
+ *
+ * @param {string} route Route name in ROUTE_LIMITS
+ * @param {object} identities Identity values by type, e.g. { ip, account, apiKey }
+ * @returns {Promise<{allowed: boolean, banned?: boolean, identity?: string, limit?: number,
+ *   remaining?: number, resetSeconds?: number, retryAfterSeconds?: number}>} The result
+ */
+async function checkRateLimit(route, identities) {
+  const limits = getRouteLimits(route);
+  const checks = Object.entries(identities).filter(
+    ([type, value]) => value !== undefined && value !== null && limits[type]
+  );
+
+  for (const [type, value] of checks) {
+    const bannedUntil = await getStore().getBannedUntil(`ban:${type}:${value}`);
+    if (bannedUntil) {
+      return {
+        allowed: false,
+        banned: true,
+        identity: type,
+        retryAfterSeconds: Math.ceil((bannedUntil.getTime() - Date.now()) / 1000),
+      };
+    }
+  }
+
+  let reported = { allowed: true };
+  for (const [type, value] of checks) {
+    const limit = limits[type];
+    const { allowed, tokens } = await getStore().take(`${route}:${type}:${value}`, limit);
+
+    const result = {
+      allowed,
+      identity: type,
+      limit: limit.capacity,
+      remaining: Math.floor(tokens),
+      resetSeconds: Math.ceil((limit.capacity - tokens) / limit.refillPerSecond),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - tokens) / limit.refillPerSecond),
+    };
+
+    if (!allowed) {
+      const bannedUntil = await recordViolation(`${type}:${value}`);
+      if (bannedUntil) {
+        return {
+          ...result,
+          banned: true,
+          retryAfterSeconds: Math.ceil((bannedUntil.getTime() - Date.now()) / 1000),
+        };
+      }
+      return result;
+    }
+
+    if (reported.remaining === undefined || result.remaining < reported.remaining) {
+      reported = result;
+    }
+  }
+
+  return reported;
+}
+
+module.exports = {
+  ROUTE_LIMITS,
+  MemoryRateLimitStore,
+  PostgresRateLimitStore,
+  parseLimit,
+  getRouteLimits,
+  checkRateLimit,
+};
@@ -0,0 +1,179 @@
+/**
+ * @file readiness.js
+ * @description Readiness checks of the dependencies the API and the intent processor rely on
+ * Each check reports its status and latency; the server is unavailable when a critical one fails
+ */
+
+const { createPublicClient, http } = require("viem");
+const { base } = require("viem/chains");
+const db = require("../database");
+const { settings } = require("../config");
+const lensChain = require("./lens-chain-service");
+const { meteredFetch } = require("./metrics");
+
+const CHECK_TIMEOUT_MS = settings.READY_CHECK_TIMEOUT_MS;
+const MAX_PROCESSOR_LAG_BLOCKS = settings.READY_MAX_PROCESSOR_LAG_BLOCKS;
+const MAX_PROCESSOR_SILENCE_SECONDS = settings.READY_MAX_PROCESSOR_SILENCE_SECONDS;
+
+// Checks whose failure makes the server unavailable
+const CRITICAL_CHECKS = settings.READY_CRITICAL_CHECKS;
+
+const CHECK_STATUS = {
+  OK: "ok",
+  FAIL: "fail",
+  SKIPPED: "skipped",
+};
+
+let baseClient;
+
+/**
+ * Client for BASE_RPC_URL
+ * @returns {object|null} viem public client, or null when BASE_RPC_URL is not set
+ */
+function getBaseClient() {
+  if (!baseClient && settings.BASE_RPC_URL) {
+    baseClient = createPublicClient({
+      chain: base,
+      transport: http(settings.BASE_RPC_URL, { fetchFn: meteredFetch(base.id) }),
+    });
+  }
+  return baseClient || null;
+}
+
+/**
+ * Reject after the check timeout so one slow dependency cannot stall the probe
+ * @param {Promise} promise Pending check
+ * @param {string} name Check name
+ * @returns {Promise} The check, or a timeout error
+ */
+function withTimeout(promise, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`${name} did not answer within ${CHECK_TIMEOUT_MS}ms`)),
+      CHECK_TIMEOUT_MS
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a check and time it
+ * @param {string} name Check name
+ * @param {function} check Async function resolving to extra fields for the result (a `status`
+ *   field overrides "ok")
+ * @returns {Promise<object>} { status, latencyMs, ...fields } or { status, latencyMs, error }
+ */
+async function timed(name, check) {
+  const startedAt = Date.now();
+  try {
+    const fields = await withTimeout(check(), name);
+    return { status: CHECK_STATUS.OK, latencyMs: Date.now() - startedAt, ...fields };
+  } catch (error) {
+    return {
+      status: CHECK_STATUS.FAIL,
+      latencyMs: Date.now() - startedAt,
+      error: error.shortMessage || error.message,
+    };
+  }
+}
+
+/**
+ * Current block height through a viem client
+ * @param {object} client viem public client
+ * @returns {Promise<object>} { chainId, blockNumber }
+ */
+async function readBlockHeight(client) {
+  const blockNumber = await client.getBlockNumber();
+  return { chainId: client.chain.id, blockNumber: Number(blockNumber) };
+}
+
+/**
+ * Compare the processor's checkpoints with the chain heads
+ * @param {object} heads Block height by chain ID, from the RPC checks
+ * @returns {Promise<object>} Check result with one entry per followed chain
+ */
+async function checkProcessor(heads) {
+  const checkpoints = await db.ProcessorCheckpoint.findAll({ order: [["chainId", "ASC"]] });
+  if (checkpoints.length === 0) {
+    return { status: CHECK_STATUS.SKIPPED, reason: "The intent processor has not reported yet" };
+  }
+
+  const chains = checkpoints.map((checkpoint) => {
+    const blockNumber = Number(checkpoint.blockNumber);
+    const head = heads[checkpoint.chainId];
+    const lagBlocks = head === undefined ? null : Math.max(0, head - blockNumber);
+    const silenceSeconds = Math.round((Date.now() - checkpoint.updatedAt.getTime()) / 1000);
+
+    const healthy =
+      silenceSeconds <= MAX_PROCESSOR_SILENCE_SECONDS &&
+      (lagBlocks === null || lagBlocks <= MAX_PROCESSOR_LAG_BLOCKS);
+
+    return {
+      chainId: checkpoint.chainId,
+      status: healthy ? CHECK_STATUS.OK : CHECK_STATUS.FAIL,
+      blockNumber,
+      lagBlocks,
+      silenceSeconds,
+      lastEventBlock: checkpoint.lastEventBlock === null ? null : Number(checkpoint.lastEventBlock),
+      lastEventAt: checkpoint.lastEventAt,
+    };
+  });
+
+  const failed = chains.some((chain) => chain.status === CHECK_STATUS.FAIL);
+  return { status: failed ? CHECK_STATUS.FAIL : CHECK_STATUS.OK, chains };
+}
+
+/**
+ * Check every dependency
+ *
+ * The database and both RPC endpoints are checked in parallel; the processor check then compares
+ * its checkpoints with the block heights just read. Checks that are not configured are skipped.
+ *
+ * @returns {Promise<{ready: boolean, status: string, checks: object}>} `ready` is false when a
+ *   critical check failed; `status` is "ready", "degraded" (a non-critical check failed) or
+ *   "unavailable"
+ */
+async function checkReadiness() {
+  const baseRpcClient = getBaseClient();
+
+  const [database, lensRpc, baseRpc] = await Promise.all([
+    timed("Database", () => db.testConnection().then(() => ({}))),
+    timed("Lens RPC", () => readBlockHeight(lensChain.publicClient)),
+    baseRpcClient
+      ? timed("Base RPC", () => readBlockHeight(baseRpcClient))
+      : { status: CHECK_STATUS.SKIPPED, reason: "BASE_RPC_URL is not set" },
+  ]);
+
+  const heads = {};
+  for (const rpc of [lensRpc, baseRpc]) {
+    if (rpc.status === CHECK_STATUS.OK) {
+      heads[rpc.chainId] = rpc.blockNumber;
+    }
+  }
+
+  const processor =
+    database.status === CHECK_STATUS.OK
+      ? await timed("Processor checkpoints", () => checkProcessor(heads))
+      : { status: CHECK_STATUS.SKIPPED, reason: "The database is unavailable" };
+
+  const checks = { database, lensRpc, baseRpc, processor };
+  for (const [name, check] of Object.entries(checks)) {
+    check.critical = CRITICAL_CHECKS.includes(name);
+  }
+
+  const failed = Object.values(checks).filter((check) => check.status === CHECK_STATUS.FAIL);
+  const ready = !failed.some((check) => check.critical);
+
+  return {
+    ready,
+    status: !ready ? "unavailable" : failed.length > 0 ? "degraded" : "ready",
+    checks,
+  };
+}
+
+module.exports = {
+  CHECK_STATUS,
+  CRITICAL_CHECKS,
+  checkReadiness,
+};
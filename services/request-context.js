@@ -0,0 +1,53 @@
+/**
+ * @file request-context.js
+ * @description Per-request context (the request ID) that follows a request through every await
+ * Code running outside a request, such as processor event handlers, can open its own context with
+ * runWithRequestContext so its logs and database writes are correlated the same way
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Generate a request ID
+ * @returns {string} Random UUID
+ */
+function generateRequestId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Run a function inside a request context
+ * @param {object} context
+ * @param {string} context.requestId Request ID
+ * @param {function} fn Function to run; everything it awaits sees the context
+ * @returns {*} The function's return value
+ */
+function runWithRequestContext(context, fn) {
+  return storage.run(Object.freeze({ ...context }), fn);
+}
+
+/**
+ * Context of the request being handled
+ * @returns {object|undefined} The context, or undefined outside a request
+ */
+function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * ID of the request being handled
+ * @returns {string|null} The request ID, or null outside a request
+ */
+function getRequestId() {
+  return storage.getStore()?.requestId ?? null;
+}
+
+module.exports = {
+  generateRequestId,
+  runWithRequestContext,
+  getRequestContext,
+  getRequestId,
+};
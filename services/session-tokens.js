@@ -0,0 +1,123 @@
+/**
+ * @file session-tokens.js
+ * @description Signed, short-lived session tokens (HS256 JWTs) issued after Sign-In with Ethereum
+ */
+
+const crypto = require("crypto");
+const { settings } = require("../config");
+
+// Cookies used by browser clients; API clients send the access token as a Bearer token instead
+const SESSION_COOKIE = "syndicate_session";
+const REFRESH_COOKIE = "syndicate_refresh";
+
+const { ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_SECONDS } = settings;
+
+/**
+ * Secret used to sign session tokens
+ * @returns {string} The secret
+ */
+function getSessionSecret() {
+  const secret = settings.SESSION_SECRET;
+  if (!secret) {
+    throw new Error("SESSION_SECRET environment variable is required");
+  }
+  return secret;
+}
+
+/**
+ * Encode a value as base64url JSON
+ * @param {object} value Value to encode
+ * @returns {string} Encoded value
+ */
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+/**
+ * Sign the header and payload segments of a token
+ * @param {string} unsigned `${header}.${payload}`
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+function sign(unsigned) {
+  return crypto.createHmac("sha256", getSessionSecret()).update(unsigned).digest("base64url");
+}
+
+/**
+ * Issue an access token for a session
+ * @param {object} session
+ * @param {string} session.address Verified wallet address
+ * @param {string} session.sessionId Session ID
+ * @returns {{ token: string, expiresAt: Date }} The token and its expiry
+ */
+function signAccessToken({ address, sessionId }) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + ACCESS_TOKEN_TTL_SECONDS;
+  const unsigned = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({
+    sub: address,
+    sid: sessionId,
+    iat: now,
+    exp,
+  })}`;
+
+  return { token: `${unsigned}.${sign(unsigned)}`, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * Verify an access token
+ * @param {string} token The token
+ * @returns {{ sub: string, sid: string, iat: number, exp: number }|null} The payload, or null
+ *   when the token is malformed, forged or expired
+ */
+function verifyAccessToken(token) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return payload;
+}
+
+/**
+ * Generate an opaque refresh token
+ * @returns {string} The refresh token
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} refreshToken The refresh token
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash("sha256").update(refreshToken).digest("hex");
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  REFRESH_COOKIE,
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+};
@@ -0,0 +1,192 @@
+/**
+ * @file siwe-auth.js
+ * @description Sign-In with Ethereum (EIP-4361) nonce/verify flow and wallet sessions
+ */
+
+const { Op } = require("sequelize");
+const { getAddress, verifyMessage } = require("viem");
+const { generateSiweNonce, parseSiweMessage, validateSiweMessage } = require("viem/siwe");
+const db = require("../database");
+const { settings } = require("../config");
+const {
+  REFRESH_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+} = require("./session-tokens");
+
+const NONCE_TTL_SECONDS = settings.SIWE_NONCE_TTL_SECONDS;
+
+// Domain the SIWE message must be bound to; defaults to the frontend host
+const SIWE_DOMAIN = settings.SIWE_DOMAIN || new URL(settings.FRONTEND_URL).host;
+
+/**
+ * Error raised when a sign-in or refresh attempt is rejected
+ */
+class SiweAuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "SiweAuthError";
+    this.code = code;
+  }
+}
+
+/**
+ * Issue a single-use nonce for a SIWE message
+ * @returns {Promise<{ nonce: string, expiresAt: Date }>} The nonce
+ */
+async function issueNonce() {
+  const nonce = generateSiweNonce();
+  const expiresAt = new Date(Date.now() + NONCE_TTL_SECONDS * 1000);
+
+  await db.AuthNonce.create({ nonce, expiresAt });
+
+  return { nonce, expiresAt };
+}
+
+/**
+ * Mark a nonce as used, failing if it is unknown, expired or already used
+ * @param {string} nonce The nonce from the SIWE message
+ * @returns {Promise<boolean>} Whether the nonce was consumed
+ */
+async function consumeNonce(nonce) {
+  const now = new Date();
+  const [updated] = await db.AuthNonce.update(
+    { consumedAt: now },
+    { where: { nonce, consumedAt: null, expiresAt: { [Op.gt]: now } } }
+  );
+  return updated === 1;
+}
+
+/**
+ * Create a session for a wallet and issue its tokens
+ * @param {string} address Verified wallet address
+ * @param {object} [context]
+ * @param {string} [context.userAgent] User agent of the client
+ * @returns {Promise<object>} Session tokens
+ */
+async function createSession(address, { userAgent } = {}) {
+  const refreshToken = generateRefreshToken();
+  const session = await db.AuthSession.create({
+    address,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+    userAgent,
+  });
+
+  const accessToken = signAccessToken({ address, sessionId: session.id });
+
+  return {
+    address,
+    sessionId: session.id,
+    accessToken: accessToken.token,
+    accessTokenExpiresAt: accessToken.expiresAt,
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Verify a signed SIWE message and start a session
+ * @param {object} params
+ * @param {string} params.message The EIP-4361 message that was signed
+ * @param {string} params.signature The wallet signature
+ * @param {string} [params.userAgent] User agent of the client
+ * @returns {Promise<object>} Session tokens
+ */
+async function signIn({ message, signature, userAgent }) {
+  let parsed;
+  try {
+    parsed = parseSiweMessage(message);
+  } catch (error) {
+    throw new SiweAuthError("INVALID_MESSAGE", "Malformed SIWE message");
+  }
+
+  if (!parsed.address || !parsed.nonce) {
+    throw new SiweAuthError("INVALID_MESSAGE", "SIWE message is missing address or nonce");
+  }
+
+  if (!validateSiweMessage({ message: parsed, domain: SIWE_DOMAIN })) {
+    throw new SiweAuthError("INVALID_MESSAGE", "SIWE message domain or validity window mismatch");
+  }
+
+  const valid = await verifyMessage({ address: parsed.address, message, signature }).catch(
+    () => false
+  );
+  if (!valid) {
+    throw new SiweAuthError("INVALID_SIGNATURE", "Signature does not match the SIWE message");
+  }
+
+  // Consume the nonce last so a bad signature cannot burn someone else's nonce
+  if (!(await consumeNonce(parsed.nonce))) {
+    throw new SiweAuthError("INVALID_NONCE", "Nonce is unknown, expired or already used");
+  }
+
+  return createSession(getAddress(parsed.address), { userAgent });
+}
+
+/**
+ * Exchange a refresh token for new tokens, rotating the refresh token
+ * @param {string} refreshToken The current refresh token
+ * @returns {Promise<object>} Session tokens
+ */
+async function refreshSession(refreshToken) {
+  const session = await db.AuthSession.findOne({
+    where: {
+      refreshTokenHash: hashRefreshToken(refreshToken || ""),
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() },
+    },
+  });
+
+  if (!session) {
+    throw new SiweAuthError("INVALID_REFRESH_TOKEN", "Refresh token is invalid or expired");
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  await session.update({
+    refreshTokenHash: hashRefreshToken(nextRefreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+  });
+
+  const accessToken = signAccessToken({ address: session.address, sessionId: session.id });
+
+  return {
+    address: session.address,
+    sessionId: session.id,
+    accessToken: accessToken.token,
+    accessTokenExpiresAt: accessToken.expiresAt,
+    refreshToken: nextRefreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Find an active session
+ * @param {string} sessionId Session ID
+ * @returns {Promise<object|null>} The session, or null if revoked or expired
+ */
+async function findActiveSession(sessionId) {
+  return db.AuthSession.findOne({
+    where: { id: sessionId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+  });
+}
+
+/**
+ * Revoke a session so its tokens stop working
+ * @param {string} sessionId Session ID
+ * @returns {Promise<void>}
+ */
+async function revokeSession(sessionId) {
+  await db.AuthSession.update({ revokedAt: new Date() }, { where: { id: sessionId } });
+}
+
+module.exports = {
+  SIWE_DOMAIN,
+  SiweAuthError,
+  issueNonce,
+  signIn,
+  refreshSession,
+  findActiveSession,
+  revokeSession,
+};
@@ -0,0 +1,238 @@
+/**
+ * @file sponsorship.js
+ * @description Sponsorship budgets and allowances for POST /authorize
+ * Picks an active program with remaining budget and records the spend in the usage ledger
+ */
+
+const { Op } = require("sequelize");
+const db = require("../database");
+const { settings } = require("../config");
+
+// Units all programs together may spend; unset for no global cap
+const GLOBAL_BUDGET_CAP = settings.SPONSORSHIP_GLOBAL_BUDGET_CAP;
+
+// Postgres advisory lock key serializing sponsored logins while the global cap is checked
+const GLOBAL_BUDGET_LOCK = 720001;
+
+// Machine-readable reasons for not sponsoring a user
+const NOT_SPONSORED_REASONS = {
+  NO_ACTIVE_PROGRAM: "NO_ACTIVE_PROGRAM",
+  GLOBAL_BUDGET_EXHAUSTED: "GLOBAL_BUDGET_EXHAUSTED",
+  BUDGET_EXHAUSTED: "BUDGET_EXHAUSTED",
+  ACCOUNT_DAILY_LIMIT: "ACCOUNT_DAILY_LIMIT",
+  ACCOUNT_MONTHLY_LIMIT: "ACCOUNT_MONTHLY_LIMIT",
+  APP_DAILY_LIMIT: "APP_DAILY_LIMIT",
+  APP_MONTHLY_LIMIT: "APP_MONTHLY_LIMIT",
+};
+
+/**
+ * Start of the current UTC day
+ * @param {Date} now Reference time
+ * @returns {Date} Midnight UTC
+ */
+function startOfDay(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Start of the current UTC month
+ * @param {Date} now Reference time
+ * @returns {Date} First day of the month, midnight UTC
+ */
+function startOfMonth(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * Sum the units spent by a program, optionally filtered
+ * @param {number} programId Program ID
+ * @param {object} where Extra filters
+ * @param {object} [transaction] Sequelize transaction
+ * @returns {Promise<number>} Units spent
+ */
+async function sumUnits(programId, where, transaction) {
+  const total = await db.SponsorshipUsage.sum("units", {
+    where: { programId, ...where },
+    transaction,
+  });
+  return total || 0;
+}
+
+/**
+ * Check every allowance of a program for a request
+ * @param {object} program SponsorshipProgram instance
+ * @param {object} request Normalized request (account, app)
+ * @param {object} transaction Sequelize transaction
+ * @returns {Promise<string|null>} The first exceeded allowance, or null if within budget
+ */
+async function findExceededAllowance(program, { account, app }, transaction) {
+  const now = new Date();
+  const today = { createdAt: { [Op.gte]: startOfDay(now) } };
+  const thisMonth = { createdAt: { [Op.gte]: startOfMonth(now) } };
+  const cost = program.unitCost;
+
+  const checks = [
+    [program.budgetCap, {}, NOT_SPONSORED_REASONS.BUDGET_EXHAUSTED],
+    [program.accountDailyLimit, { account, ...today }, NOT_SPONSORED_REASONS.ACCOUNT_DAILY_LIMIT],
+    [
+      program.accountMonthlyLimit,
+      { account, ...thisMonth },
+      NOT_SPONSORED_REASONS.ACCOUNT_MONTHLY_LIMIT,
+    ],
+  ];
+
+  if (app) {
+    checks.push(
+      [program.appDailyLimit, { app, ...today }, NOT_SPONSORED_REASONS.APP_DAILY_LIMIT],
+      [program.appMonthlyLimit, { app, ...thisMonth }, NOT_SPONSORED_REASONS.APP_MONTHLY_LIMIT]
+    );
+  }
+
+  for (const [limit, where, reason] of checks) {
+    if (limit === null || limit === undefined) {
+      continue;
+    }
+    const spent = await sumUnits(program.id, where, transaction);
+    if (spent + cost > limit) {
+      return reason;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Units spent by every program together, locking out concurrent logins until the transaction ends
+ * @param {object} transaction Sequelize transaction
+ * @returns {Promise<number>} Units spent
+ */
+async function lockGlobalSpend(transaction) {
+  await db.sequelize.query("SELECT pg_advisory_xact_lock(:key)", {
+    replacements: { key: GLOBAL_BUDGET_LOCK },
+    transaction,
+  });
+  const total = await db.SponsorshipUsage.sum("units", { transaction });
+  return total || 0;
+}
+
+/**
+ * Decide whether a login should be sponsored and record the spend if so
+ *
+ * App-specific programs are tried before global ones. The program row is locked while its
+ * allowances are checked so concurrent logins cannot overspend the budget, and
+ * SPONSORSHIP_GLOBAL_BUDGET_CAP is checked against the spend of every program.
+ *
+ * Pass the caller's transaction to charge the login only if the rest of the response succeeds:
+ * the usage row and the locks are then released when that transaction ends.
+ *
+ * @param {object} request The authorized request
+ * @param {string} request.account Lens account address
+ * @param {string} request.signedBy Wallet that signed the login challenge
+ * @param {string} [request.app] Lens app address
+ * @param {object} [options]
+ * @param {object} [options.transaction] Sequelize transaction to record the spend in
+ * @returns {Promise<{sponsored: boolean, programId?: number, reason?: string}>} The decision
+ */
+async function determineSponsorship({ account, signedBy, app }, { transaction } = {}) {
+  const request = {
+    account: account.toLowerCase(),
+    signedBy: signedBy.toLowerCase(),
+    app: app ? app.toLowerCase() : null,
+  };
+
+  const programs = await db.SponsorshipProgram.findAll({
+    where: {
+      active: true,
+      app: request.app ? { [Op.or]: [null, request.app] } : null,
+    },
+    order: [
+      ["app", "ASC NULLS LAST"],
+      ["id", "ASC"],
+    ],
+    transaction,
+  });
+
+  if (programs.length === 0) {
+    return { sponsored: false, reason: NOT_SPONSORED_REASONS.NO_ACTIVE_PROGRAM };
+  }
+
+  const sponsor = async (transaction) => {
+    // Taken before any program row so logins always lock in the same order
+    const globalSpend = GLOBAL_BUDGET_CAP === undefined ? null : await lockGlobalSpend(transaction);
+    let reason = NOT_SPONSORED_REASONS.NO_ACTIVE_PROGRAM;
+
+    for (const candidate of programs) {
+      const program = await db.SponsorshipProgram.findByPk(candidate.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!program || !program.active) {
+        reason = NOT_SPONSORED_REASONS.NO_ACTIVE_PROGRAM;
+        continue;
+      }
+
+      if (globalSpend !== null && globalSpend + program.unitCost > GLOBAL_BUDGET_CAP) {
+        reason = NOT_SPONSORED_REASONS.GLOBAL_BUDGET_EXHAUSTED;
+        continue;
+      }
+
+      const exceeded = await findExceededAllowance(program, request, transaction);
+      if (exceeded) {
+        reason = exceeded;
+        continue;
+      }
+
+      await db.SponsorshipUsage.create(
+        {
+          programId: program.id,
+          account: request.account,
+          signedBy: request.signedBy,
+          app: request.app,
+          units: program.unitCost,
+        },
+        { transaction }
+      );
+
+      return { sponsored: true, programId: program.id };
+    }
+
+    return { sponsored: false, reason };
+  };
+
+  return transaction ? sponsor(transaction) : db.sequelize.transaction(sponsor);
+}
+
+/**
+ * Summarize the spend of an account across programs
+ * @param {string} account Lens account address
+ * @returns {Promise<object[]>} Usage per program for today, this month and all time
+ */
+async function getAccountUsage(account) {
+  const now = new Date();
+  const normalized = account.toLowerCase();
+  const programs = await db.SponsorshipProgram.findAll({ order: [["id", "ASC"]] });
+
+  return Promise.all(
+    programs.map(async (program) => ({
+      programId: program.id,
+      programName: program.name,
+      today: await sumUnits(program.id, {
+        account: normalized,
+        createdAt: { [Op.gte]: startOfDay(now) },
+      }),
+      thisMonth: await sumUnits(program.id, {
+        account: normalized,
+        createdAt: { [Op.gte]: startOfMonth(now) },
+      }),
+      total: await sumUnits(program.id, { account: normalized }),
+      accountDailyLimit: program.accountDailyLimit,
+      accountMonthlyLimit: program.accountMonthlyLimit,
+    }))
+  );
+}
+
+module.exports = {
+  NOT_SPONSORED_REASONS,
+  determineSponsorship,
+  getAccountUsage,
+};
@@ -0,0 +1,473 @@
+/**
+ * @file webhooks.js
+ * @description Outbound webhooks: queued, HMAC-signed deliveries with exponential retry
+ *
+ * Events are queued as webhook_deliveries rows for every matching subscription, in the database
+ * transaction of the change they describe when there is one, so an event is never sent for a
+ * change that rolled back nor lost for one that committed. The API runs the dispatcher, which
+ * claims due deliveries (safely across replicas), POSTs them and reschedules failures until
+ * WEBHOOK_MAX_ATTEMPTS. Endpoints must resolve to public addresses, both when they are registered
+ * and on every attempt, and each attempt connects to the address that was checked, so a
+ * subscription cannot reach the API's own network even if its host is rebound in between.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const net = require("net");
+const { Op } = require("sequelize");
+const { Agent, fetch } = require("undici");
+const { ethers } = require("ethers");
+const db = require("../database");
+const { settings } = require("../config");
+const { createLogger } = require("./logger");
+const { webhookDeliveriesTotal } = require("./metrics");
+
+const logger = createLogger("webhooks");
+
+const WEBHOOK_EVENTS = {
+  INTENT_STATUS_CHANGED: "intent.status_changed",
+  INTENT_BRIDGE_CONFIRMED: "intent.bridge_confirmed",
+  TICKET_WINNINGS_PROCESSED: "ticket.winnings_processed",
+};
+
+const MAX_ATTEMPTS = settings.WEBHOOK_MAX_ATTEMPTS;
+const RETRY_BASE_MS = settings.WEBHOOK_RETRY_BASE_SECONDS * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = settings.WEBHOOK_TIMEOUT_MS;
+const POLL_INTERVAL_MS = settings.WEBHOOK_POLL_SECONDS * 1000;
+const ALLOW_HTTP = settings.WEBHOOK_ALLOW_HTTP;
+const BATCH_SIZE = 20;
+
+// Unspecified, loopback, private, shared (CGNAT), link-local, reserved and multicast ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges; NAT64 prefixes are blocked
+// outright, as they reach any IPv4 address through the gateway.
+const BLOCKED_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED_NETWORKS.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_NETWORKS.addSubnet(network, prefix, "ipv6");
+}
+
+// A claimed delivery is not picked up by another replica until its attempt has had time to finish
+const CLAIM_MS = TIMEOUT_MS + 30 * 1000;
+
+const SIGNATURE_HEADER = "X-Syndicate-Signature";
+
+/**
+ * Generate the signing secret of a new subscription
+ * @returns {string} Secret, shown to the integration once
+ */
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+/**
+ * Signature header value for a body: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`
+ * Receivers recompute v1 with their secret and reject old timestamps to stop replays
+ * @param {string} secret Subscription secret
+ * @param {number} timestamp Unix time in seconds
+ * @param {string} body Raw JSON body
+ * @returns {string} Header value
+ */
+function signPayload(secret, timestamp, body) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Whether an address is in one of the BLOCKED_NETWORKS
+ * @param {string} address IPv4 or IPv6 address
+ * @returns {boolean} True for addresses webhooks are never sent to
+ */
+function isBlockedAddress(address) {
+  return BLOCKED_NETWORKS.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+/**
+ * Check that a URL can receive webhooks and resolve the address to send them to
+ * Its host is resolved, and every address it resolves to must be public
+ * @param {string} url Endpoint URL
+ * @returns {Promise<{ error: string }|{ address: string, family: number }>} Why the URL is
+ *   refused, or the first address it resolves to
+ */
+async function resolveWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: "must be an absolute URL" };
+  }
+  if (parsed.protocol !== "https:" && !(ALLOW_HTTP && parsed.protocol === "http:")) {
+    return { error: ALLOW_HTTP ? "must use http or https" : "must use https" };
+  }
+  if (parsed.username || parsed.password) {
+    return { error: "must not contain credentials" };
+  }
+
+  let addresses;
+  try {
+    // IPv6 literals keep their brackets in the hostname
+    addresses = await dns.lookup(parsed.hostname.replace(/^\[(.*)\]$/, "$1"), { all: true });
+  } catch {
+    return { error: "must have a host that resolves" };
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { error: "must not resolve to a private, loopback or link-local address" };
+  }
+  return addresses[0];
+}
+
+/**
+ * Check that a URL can receive webhooks
+ * @param {string} url Endpoint URL
+ * @returns {Promise<string|null>} Why the URL is refused, or null
+ */
+async function checkWebhookUrl(url) {
+  const { error } = await resolveWebhookUrl(url);
+  return error ?? null;
+}
+
+/**
+ * A DNS lookup that always answers with an address already checked by resolveWebhookUrl, so the
+ * connection cannot go to whatever the host resolves to by then
+ * @param {{ address: string, family: number }} resolved Checked address
+ * @returns {function} lookup for net.connect and tls.connect
+ */
+function pinnedLookup({ address, family }) {
+  return (hostname, options, callback) => {
+    if (options.all) {
+      callback(null, [{ address, family }]);
+    } else {
+      callback(null, address, family);
+    }
+  };
+}
+
+/**
+ * Delay before the next attempt: RETRY_BASE_MS doubled per failed attempt, up to RETRY_MAX_MS,
+ * plus up to 10% jitter so the retries of one outage do not all arrive together
+ * @param {number} attempts Attempts made so far
+ * @returns {number} Delay in ms
+ */
+function retryDelayMs(attempts) {
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+  return Math.round(delay * (1 + Math.random() * 0.1));
+}
+
+/**
+ * Normalize an address to the checksummed form intents and subscriptions store
+ * @param {string|null} address Address in any case
+ * @returns {string|null} Checksummed address
+ */
+function normalizeAddress(address) {
+  return address ? ethers.getAddress(String(address).toLowerCase()) : null;
+}
+
+/**
+ * The intent fields included in webhook payloads
+ * @param {object} intent Intent
+ * @returns {object} Public intent fields
+ */
+function describeIntent(intent) {
+  return {
+    intentId: intent.intentId,
+    user: intent.user,
+    intentType: intent.intentType,
+    syndicateAddress: intent.syndicateAddress,
+    amount: intent.amount,
+    tokenAddress: intent.tokenAddress,
+    sourceChainId: intent.sourceChainId,
+    destinationChainId: intent.destinationChainId,
+    status: intent.status,
+    statusReason: intent.statusReason ?? null,
+  };
+}
+
+/**
+ * Queue an event for every active subscription it matches
+ *
+ * A subscription matches when it lists the event type and its user and syndicate filters are
+ * unset or equal to the event's. Inside a database transaction a failure is thrown, so the change
+ * rolls back with it; outside of one, failures are logged and the caller goes on.
+ *
+ * @param {string} type One of WEBHOOK_EVENTS
+ * @param {object} data Event data
+ * @param {object} [options]
+ * @param {string} [options.user] User the event is about, for the user filter
+ * @param {string} [options.syndicateAddress] Syndicate the event is about
+ * @param {object} [options.transaction] Sequelize transaction to queue in
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function enqueueWebhookEvent(type, data, { user, syndicateAddress, transaction } = {}) {
+  try {
+    const filter = (field, value) =>
+      value
+        ? { [Op.or]: [{ [field]: null }, { [field]: normalizeAddress(value) }] }
+        : { [field]: null };
+
+    const subscriptions = await db.WebhookSubscription.findAll({
+      where: {
+        [Op.and]: [
+          { active: true, events: { [Op.contains]: [type] } },
+          filter("user", user),
+          filter("syndicateAddress", syndicateAddress),
+        ],
+      },
+      attributes: ["id"],
+      transaction,
+    });
+    if (subscriptions.length === 0) {
+      return 0;
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = { id: eventId, type, createdAt: new Date().toISOString(), data };
+    const now = new Date();
+
+    await db.WebhookDelivery.bulkCreate(
+      subscriptions.map((subscription) => ({
+        subscriptionId: subscription.id,
+        eventId,
+        eventType: type,
+        payload,
+        nextAttemptAt: now,
+      })),
+      { transaction }
+    );
+    return subscriptions.length;
+  } catch (error) {
+    if (transaction) {
+      throw error;
+    }
+    logger.error("Failed to queue webhook event", { error, type });
+    return 0;
+  }
+}
+
+/**
+ * Queue a delivery again, e.g. after the integration fixed its endpoint
+ * The copy keeps the event ID and payload, so receivers can tell it is the same event
+ * @param {object} delivery Delivery to send again
+ * @returns {Promise<object>} The new delivery
+ */
+async function redeliver(delivery) {
+  return db.WebhookDelivery.create({
+    subscriptionId: delivery.subscriptionId,
+    eventId: delivery.eventId,
+    eventType: delivery.eventType,
+    payload: delivery.payload,
+    nextAttemptAt: new Date(),
+    redeliveryOf: delivery.id,
+  });
+}
+
+/**
+ * POST a delivery to its subscription and record the outcome
+ * @param {object} delivery Claimed delivery
+ * @param {object} [subscription] Its subscription, with the secret
+ */
+async function attemptDelivery(delivery, subscription) {
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+
+  if (!subscription || !subscription.active) {
+    webhookDeliveriesTotal.inc({ outcome: "failed" });
+    await delivery.update({
+      status: "FAILED",
+      nextAttemptAt: null,
+      error: "Subscription is disabled",
+    });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  let responseStatus = null;
+  let error = null;
+
+  let dispatcher;
+  try {
+    // Checked again on every attempt: the host may resolve elsewhere since it was registered
+    const resolved = await resolveWebhookUrl(subscription.url);
+    if (resolved.error) {
+      throw new Error(`Endpoint URL ${resolved.error}`);
+    }
+    dispatcher = new Agent({ connect: { lookup: pinnedLookup(resolved) } });
+
+    const response = await fetch(subscription.url, {
+      dispatcher,
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "syndicate-webhooks/1.0",
+        "X-Syndicate-Event": delivery.eventType,
+        "X-Syndicate-Event-Id": delivery.eventId,
+        "X-Syndicate-Delivery": String(delivery.id),
+        [SIGNATURE_HEADER]: signPayload(subscription.secret, Math.floor(now / 1000), body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      error = `Endpoint answered ${response.status}`;
+    }
+    // Only the status matters; do not wait for the body
+    await response.body?.cancel();
+  } catch (failure) {
+    error =
+      failure.name === "TimeoutError" ? `No response within ${TIMEOUT_MS} ms` : failure.message;
+  } finally {
+    dispatcher?.destroy();
+  }
+
+  if (!error) {
+    webhookDeliveriesTotal.inc({ outcome: "success" });
+    await delivery.update({
+      status: "SUCCEEDED",
+      attempts,
+      lastAttemptAt: now,
+      nextAttemptAt: null,
+      responseStatus,
+      error: null,
+    });
+    return;
+  }
+
+  const retry = attempts < MAX_ATTEMPTS;
+  webhookDeliveriesTotal.inc({ outcome: retry ? "retry" : "failed" });
+  await delivery.update({
+    status: retry ? "PENDING" : "FAILED",
+    attempts,
+    lastAttemptAt: now,
+    nextAttemptAt: retry ? new Date(now.getTime() + retryDelayMs(attempts)) : null,
+    responseStatus,
+    error,
+  });
+  if (!retry) {
+    logger.warn("Webhook delivery failed", { deliveryId: delivery.id, attempts, error });
+  }
+}
+
+/**
+ * Claim the deliveries that are due
+ * Rows locked by another replica are skipped, and claimed rows are pushed back by CLAIM_MS so
+ * nobody else sends them while this replica does
+ * @returns {Promise<object[]>} Claimed deliveries
+ */
+async function claimDueDeliveries() {
+  return db.sequelize.transaction(async (transaction) => {
+    const deliveries = await db.WebhookDelivery.findAll({
+      where: { status: "PENDING", nextAttemptAt: { [Op.lte]: new Date() } },
+      order: [["nextAttemptAt", "ASC"]],
+      limit: BATCH_SIZE,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction,
+    });
+
+    if (deliveries.length > 0) {
+      await db.WebhookDelivery.update(
+        { nextAttemptAt: new Date(Date.now() + CLAIM_MS) },
+        { where: { id: deliveries.map((delivery) => delivery.id) }, transaction }
+      );
+    }
+    return deliveries;
+  });
+}
+
+/**
+ * Send every delivery that is due, one batch at a time
+ * @returns {Promise<number>} Number of attempts made
+ */
+async function dispatchWebhooks() {
+  let count = 0;
+
+  for (;;) {
+    const deliveries = await claimDueDeliveries();
+    if (deliveries.length === 0) {
+      break;
+    }
+
+    const subscriptions = await db.WebhookSubscription.scope("withSecret").findAll({
+      where: { id: [...new Set(deliveries.map((delivery) => delivery.subscriptionId))] },
+    });
+    const byId = new Map(subscriptions.map((subscription) => [subscription.id, subscription]));
+
+    await Promise.all(
+      deliveries.map((delivery) =>
+        attemptDelivery(delivery, byId.get(delivery.subscriptionId)).catch((error) =>
+          logger.error("Failed to record webhook delivery", { error, deliveryId: delivery.id })
+        )
+      )
+    );
+    count += deliveries.length;
+
+    if (deliveries.length < BATCH_SIZE) {
+      break;
+    }
+  }
+  return count;
+}
+
+/**
+ * Run dispatchWebhooks every WEBHOOK_POLL_SECONDS (default 5)
+ * Safe to run on every replica: each delivery is claimed by one of them
+ * @returns {function} Stops the dispatcher
+ */
+function startWebhookDispatcher() {
+  let running = false;
+
+  const timer = setInterval(() => {
+    if (running) {
+      return;
+    }
+    running = true;
+    dispatchWebhooks()
+      .catch((error) => logger.error("Failed to dispatch webhooks", { error }))
+      .finally(() => {
+        running = false;
+      });
+  }, POLL_INTERVAL_MS).unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  SIGNATURE_HEADER,
+  generateWebhookSecret,
+  signPayload,
+  resolveWebhookUrl,
+  checkWebhookUrl,
+  pinnedLookup,
+  normalizeAddress,
+  describeIntent,
+  enqueueWebhookEvent,
+  redeliver,
+  dispatchWebhooks,
+  startWebhookDispatcher,
+};
@@ -0,0 +1,83 @@
+/**
+ * @file admin.test.js
+ * @description Unit tests for the adminOnly middleware and persisted admin roles
+ */
+
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+const { getActor } = require("../services/admin-roles");
+const { adminOnly } = require("../middleware/admin");
+
+const admin = "0xabcdefabcdefabcdefabcdefabcdefabcdefabcd";
+const mixedCase = "0xABCDEFabcdefABCDEFabcdefABCDEFabcdefABCD";
+
+/**
+ * Send a request through adminOnly
+ * @param {object} req Request with the user or apiKey set by authenticate
+ * @returns {Promise<{passed: boolean, status?: number, body?: object}>} Outcome
+ */
+async function check(req) {
+  const result = { passed: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+
+  await adminOnly(req, res, () => {
+    result.passed = true;
+  });
+  return result;
+}
+
+describe("adminOnly", () => {
+  beforeEach(() => {
+    mock.method(db.AdminRole, "findOne", async ({ where }) =>
+      where.address === admin && where.revokedAt === null ? { address: admin } : null
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("lets in wallets holding the admin role whatever the case of their address", async () => {
+    const req = { user: { address: mixedCase } };
+
+    assert.equal((await check(req)).passed, true);
+    assert.equal(req.user.isAdmin, true);
+  });
+
+  it("lets in API keys with the admin scope only", async () => {
+    assert.equal((await check({ apiKey: { id: 1, scopes: ["admin"] } })).passed, true);
+
+    const authorizeKey = await check({ apiKey: { id: 2, scopes: ["authorize"] } });
+    assert.equal(authorizeKey.status, 403);
+    assert.equal(authorizeKey.body.reason, "ADMIN_REQUIRED");
+  });
+
+  it("refuses other wallets and answers 500 when the role cannot be read", async () => {
+    const stranger = { user: { address: "0x2222222222222222222222222222222222222222" } };
+    assert.equal((await check(stranger)).status, 403);
+
+    mock.method(db.AdminRole, "findOne", async () => {
+      throw new Error("connection refused");
+    });
+    assert.equal((await check({ user: { address: admin } })).status, 500);
+  });
+});
+
+describe("getActor", () => {
+  it("names wallets by their lowercased address and API keys by their ID", () => {
+    assert.equal(getActor({ user: { address: mixedCase } }), admin);
+    assert.equal(getActor({ apiKey: { id: 7 } }), "api-key:7");
+    assert.equal(
+      getActor({ apiKey: { id: null, label: "legacy-shared-secret" } }),
+      "api-key:legacy-shared-secret"
+    );
+  });
+});
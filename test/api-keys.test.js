@@ -0,0 +1,75 @@
+/**
+ * @file api-keys.test.js
+ * @description Unit tests for scoped API keys and the legacy shared secret
+ */
+
+// Read by the config when the API key module loads
+process.env.SHARED_SECRET = "legacy-shared-secret-value";
+
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+const { createApiKey, resolveApiKey } = require("../services/api-keys");
+
+describe("resolveApiKey", () => {
+  let keys;
+
+  beforeEach(() => {
+    keys = [];
+    mock.method(db.ApiKey, "create", async (values) => {
+      const key = {
+        id: keys.length + 1,
+        lastUsedAt: null,
+        revokedAt: null,
+        ...values,
+        async update(changes) {
+          Object.assign(this, changes);
+        },
+        toJSON() {
+          return { ...values, id: this.id };
+        },
+      };
+      keys.push(key);
+      return key;
+    });
+    mock.method(db.ApiKey, "scope", () => ({
+      findOne: async ({ where }) => keys.find((key) => key.prefix === where.prefix) ?? null,
+    }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("resolves a created key to its scopes and stores only its hash", async () => {
+    const { key, apiKey } = await createApiKey({ label: "lens", scopes: ["authorize"] });
+
+    assert.match(key, /^sk_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/);
+    assert.equal(apiKey.keyHash, undefined);
+    assert.notEqual(keys[0].keyHash, key);
+    assert.deepEqual(await resolveApiKey(key), { id: 1, label: "lens", scopes: ["authorize"] });
+    assert.ok(keys[0].lastUsedAt instanceof Date);
+  });
+
+  it("refuses revoked, expired and guessed keys", async () => {
+    const { key } = await createApiKey({ label: "lens", scopes: ["authorize"] });
+    const [, prefix] = key.split("_");
+
+    assert.equal(await resolveApiKey(`sk_${prefix}_${"A".repeat(43)}`), null);
+    assert.equal(await resolveApiKey("sk_nothex00_short"), null);
+
+    keys[0].expiresAt = new Date(Date.now() - 1000);
+    assert.equal(await resolveApiKey(key), null);
+
+    keys[0].expiresAt = null;
+    keys[0].revokedAt = new Date();
+    assert.equal(await resolveApiKey(key), null);
+  });
+
+  it("accepts the shared secret with the authorize scope only", async () => {
+    assert.deepEqual(await resolveApiKey("legacy-shared-secret-value"), {
+      id: null,
+      label: "legacy-shared-secret",
+      scopes: ["authorize"],
+    });
+    assert.equal(await resolveApiKey("legacy-shared-secret-valuf"), null);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * @file app-signer-keys.test.js
+ * @description Unit tests for scheduled app-signer key rotations
+ */
+
+const { describe, it, mock, before, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Op } = require("sequelize");
+const { Wallet, encryptKeystoreJson } = require("ethers");
+const db = require("../database");
+const { scheduleKeyRotation } = require("../services/app-signer-keys");
+
+const PASSWORD_ENV = "TEST_SIGNER_KEYSTORE_PASSWORD";
+const HOUR = 3600 * 1000;
+
+/**
+ * Whether a stored key matches a where clause of plain values, Op.lte, Op.gt and Op.or
+ * @param {object} row Stored key
+ * @param {object} where Sequelize where clause
+ * @returns {boolean} True when every condition holds
+ */
+function matches(row, where) {
+  if (where[Op.or] && !where[Op.or].some((alternative) => matches(row, alternative))) {
+    return false;
+  }
+  return Object.entries(where).every(([field, condition]) => {
+    if (condition && condition[Op.lte]) {
+      return row[field] <= condition[Op.lte];
+    }
+    if (condition && condition[Op.gt]) {
+      return row[field] > condition[Op.gt];
+    }
+    return row[field] === condition;
+  });
+}
+
+describe("scheduleKeyRotation", () => {
+  let keystore;
+  let keys;
+
+  before(async () => {
+    process.env[PASSWORD_ENV] = "password";
+    const wallet = Wallet.createRandom();
+    // A cheap scrypt cost keeps the test fast
+    keystore = await encryptKeystoreJson(wallet, "password", { scrypt: { N: 1024 } });
+  });
+
+  beforeEach(() => {
+    keys = [];
+    const store = (values) => ({
+      ...values,
+      async update(changes) {
+        Object.assign(this, changes);
+      },
+      toJSON() {
+        const { update: _update, toJSON: _toJSON, ...fields } = this;
+        return fields;
+      },
+    });
+
+    mock.method(db.sequelize, "transaction", async (work) => work({ LOCK: { UPDATE: "UPDATE" } }));
+    mock.method(db.AppSignerKey, "findAll", async ({ where }) =>
+      keys.filter((key) => matches(key, where))
+    );
+    mock.method(db.AppSignerKey, "findOne", async ({ where }) =>
+      keys
+        .filter((key) => matches(key, where))
+        .sort((a, b) => a.activatesAt - b.activatesAt)
+        .at(0)
+    );
+    mock.method(db.AppSignerKey, "max", async () =>
+      keys.length ? Math.max(...keys.map((key) => key.version)) : null
+    );
+    mock.method(db.AppSignerKey, "create", async (values) => {
+      const key = store({ id: keys.length + 1, ...values });
+      keys.push(key);
+      return key;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const rotate = (activatesAt) =>
+    scheduleKeyRotation({ keystore, passwordEnv: PASSWORD_ENV, activatesAt, overlapSeconds: 60 });
+
+  it("retires the current version once the overlap after the new one ends", async () => {
+    const now = new Date();
+    await rotate(now);
+    const next = await rotate(new Date(now.getTime() + HOUR));
+
+    assert.equal(next.version, 2);
+    assert.equal(next.retiresAt, null);
+    assert.deepEqual(keys[0].retiresAt, new Date(now.getTime() + HOUR + 60 * 1000));
+  });
+
+  it("keeps versions scheduled to activate later and retires the new one before them", async () => {
+    const now = new Date();
+    await rotate(now);
+    await rotate(new Date(now.getTime() + 2 * HOUR));
+
+    const inserted = await rotate(new Date(now.getTime() + HOUR));
+
+    assert.equal(keys[1].retiresAt, null);
+    assert.deepEqual(keys[0].retiresAt, new Date(now.getTime() + HOUR + 60 * 1000));
+    assert.deepEqual(inserted.retiresAt, new Date(now.getTime() + 2 * HOUR + 60 * 1000));
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * @file app.test.js
+ * @description Unit tests for the app factory and its deployment modes
+ */
+
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createApp } = require("../app");
+
+const servers = [];
+
+/**
+ * Serve an app on a random local port
+ * @param {object} options createApp options
+ * @returns {Promise<string>} Base URL of the server
+ */
+async function serve(options) {
+  const app = createApp({ logRequests: false, ...options });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  servers.push(server);
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+describe("createApp", () => {
+  after(() => Promise.all(servers.map((server) => new Promise((r) => server.close(r)))));
+
+  it("serves only /authorize behind the shared secret in the lightweight mode", async () => {
+    const url = await serve({ lightweight: true, sharedSecret: "lightweight-secret-value" });
+
+    const health = await (await fetch(`${url}/health`)).json();
+    assert.equal(health.mode, "lightweight");
+
+    const { paths } = await (await fetch(`${url}/openapi.json`)).json();
+    assert.deepEqual(Object.keys(paths).sort(), [
+      "/",
+      "/authorize",
+      "/health",
+      "/metrics",
+      "/openapi.json",
+    ]);
+
+    assert.equal((await fetch(`${url}/authorize`, { method: "POST" })).status, 401);
+    assert.equal((await fetch(`${url}/auth/nonce`)).status, 404);
+  });
+
+  it("mounts sessions, admin and /authorize with API keys in the full mode", async () => {
+    const url = await serve({ intents: false });
+
+    const response = await fetch(`${url}/health`, { headers: { "X-Request-Id": "probe-0001" } });
+    assert.equal((await response.json()).mode, "full");
+    assert.equal(response.headers.get("X-Request-Id"), "probe-0001");
+
+    const { paths } = await (await fetch(`${url}/openapi.json`)).json();
+    assert.ok(paths["/auth/verify"]);
+    assert.ok(!Object.keys(paths).some((path) => path.startsWith("/api/intents")));
+
+    assert.equal((await fetch(`${url}/admin/api-keys`)).status, 401);
+    assert.equal((await fetch(`${url}/authorize`, { method: "POST" })).status, 401);
+    assert.equal((await fetch(`${url}/api/intents/search`)).status, 404);
+  });
+
+  it("refuses configurations it cannot serve", () => {
+    assert.throws(
+      () => createApp({ lightweight: true, sharedSecret: "" }),
+      /SHARED_SECRET is required/
+    );
+    assert.throws(
+      () => createApp({ lightweight: true, intents: true, sharedSecret: "lightweight-secret" }),
+      /cannot run in the lightweight mode/
+    );
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @file authorization-decisions.test.js
+ * @description Unit tests for the authorization decision log and its query API
+ */
+
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Op } = require("sequelize");
+const db = require("../database");
+const { recordAuthorizationDecision } = require("../services/authorization-decisions");
+const { listDecisions } = require("../controllers/authorization-decision-controller");
+
+const authorizeRequest = {
+  body: {
+    account: "0xABCDEFabcdefABCDEFabcdefABCDEFabcdefABCD",
+    signedBy: "0x1111111111111111111111111111111111111111",
+    app: "x".repeat(300),
+  },
+  apiKey: { id: 4, scopes: ["authorize"] },
+  ip: "203.0.113.7",
+  id: "request-1",
+};
+
+/**
+ * Call the controller with a query
+ * @param {object} query Query string values
+ * @returns {Promise<{status: number, body: object}>} The response
+ */
+async function list(query) {
+  const result = { status: 200 };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  await listDecisions({ query }, res);
+  return result;
+}
+
+describe("recordAuthorizationDecision", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("stores the request, the rule, the sponsorship and the key that decided it", async () => {
+    mock.method(db.AuthorizationDecision, "create", async (values) => values);
+
+    const stored = await recordAuthorizationDecision(authorizeRequest, {
+      allowed: true,
+      rule: { id: 9 },
+      sponsorship: { sponsored: false, programId: null, reason: "NO_ACTIVE_PROGRAM" },
+      signerKey: { keyId: "key-1", version: 2 },
+    });
+
+    assert.equal(stored.account, "0xabcdefabcdefabcdefabcdefabcdefabcdefabcd");
+    assert.equal(stored.app.length, 255);
+    assert.equal(stored.role, "accountOwner");
+    assert.equal(stored.reason, null);
+    assert.equal(stored.ruleId, 9);
+    assert.equal(stored.sponsored, false);
+    assert.equal(stored.sponsorshipReason, "NO_ACTIVE_PROGRAM");
+    assert.equal(stored.keyVersion, 2);
+    assert.equal(stored.apiKeyId, 4);
+    assert.equal(stored.requestId, "request-1");
+  });
+
+  it("never fails the login when the write fails", async () => {
+    mock.method(db.AuthorizationDecision, "create", async () => {
+      throw new Error("connection refused");
+    });
+
+    assert.equal(
+      await recordAuthorizationDecision(authorizeRequest, { allowed: false, reason: "DENIED" }),
+      null
+    );
+  });
+});
+
+describe("listDecisions", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("filters by lowercased addresses, outcome and time range", async () => {
+    mock.method(db.AuthorizationDecision, "findAndCountAll", async () => ({ count: 51, rows: [] }));
+
+    const { body } = await list({
+      account: "0xABCDEFabcdefABCDEFabcdefABCDEFabcdefABCD",
+      outcome: "denied",
+      from: "2026-01-01T00:00:00Z",
+      page: "2",
+    });
+
+    const [{ where, offset }] = db.AuthorizationDecision.findAndCountAll.mock.calls[0].arguments;
+    assert.equal(where.account, "0xabcdefabcdefabcdefabcdefabcdefabcdefabcd");
+    assert.equal(where.allowed, false);
+    assert.deepEqual(where.createdAt, { [Op.gte]: new Date("2026-01-01T00:00:00Z") });
+    assert.equal(offset, 50);
+    assert.equal(body.totalPages, 2);
+  });
+
+  it("refuses an unknown outcome", async () => {
+    mock.method(db.AuthorizationDecision, "findAndCountAll", async () => ({ count: 0, rows: [] }));
+
+    assert.equal((await list({ outcome: "maybe" })).status, 400);
+    assert.equal(db.AuthorizationDecision.findAndCountAll.mock.callCount(), 0);
+  });
+});
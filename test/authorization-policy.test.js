@@ -0,0 +1,155 @@
+/**
+ * @file authorization-policy.test.js
+ * @description Unit tests for the /authorize policy: roles, rule precedence and ownership checks
+ */
+
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const db = require("../database");
+const lensChain = require("../services/lens-chain-service");
+const { DENIAL_REASONS, evaluateAuthorization } = require("../services/authorization-policy");
+
+/**
+ * A request for a fresh account, so the ownership cache never answers for another test
+ * @param {object} [fields] Fields to override
+ * @returns {object} /authorize body
+ */
+function request(fields = {}) {
+  return {
+    account: ethers.Wallet.createRandom().address,
+    signedBy: ethers.Wallet.createRandom().address,
+    ...fields,
+  };
+}
+
+/**
+ * Answer the rule lookup with the given rules
+ * @param {object[]} rules Rules as { scope, effect }
+ */
+function useRules(rules) {
+  mock.method(db.AuthorizationRule, "findAll", async () => rules);
+}
+
+/**
+ * Answer the account contract reads: `owner()` returns owner, `canExecuteTransactions` manager
+ * @param {object} answers
+ * @param {string} [answers.owner] Owner of every account
+ * @param {boolean} [answers.manager] Whether the signer may manage the account
+ * @returns {object} The readContract mock
+ */
+function useAccount({ owner, manager = false }) {
+  return mock.method(lensChain.publicClient, "readContract", async ({ functionName }) =>
+    functionName === "owner" ? owner : manager
+  );
+}
+
+describe("evaluateAuthorization", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("treats a missing or null role as accountOwner", async () => {
+    useRules([]);
+    for (const role of [undefined, null]) {
+      const body = request({ role });
+      const readContract = useAccount({ owner: body.signedBy });
+
+      assert.deepEqual(await evaluateAuthorization(body), { allowed: true });
+      assert.equal(readContract.mock.calls[0].arguments[0].functionName, "owner");
+    }
+  });
+
+  it("denies roles Lens does not send", async () => {
+    const decision = await evaluateAuthorization(request({ role: "admin" }));
+    assert.deepEqual(decision, { allowed: false, reason: DENIAL_REASONS.UNSUPPORTED_ROLE });
+  });
+
+  it("denies malformed addresses", async () => {
+    const decision = await evaluateAuthorization(request({ app: "0x1234" }));
+    assert.deepEqual(decision, { allowed: false, reason: DENIAL_REASONS.INVALID_ADDRESS });
+  });
+
+  it("lets an account deny win over an app allow without reading the chain", async () => {
+    const deny = { scope: "ACCOUNT", effect: "DENY" };
+    useRules([{ scope: "APP", effect: "ALLOW" }, deny]);
+    const readContract = useAccount({});
+
+    const decision = await evaluateAuthorization(
+      request({ app: ethers.Wallet.createRandom().address })
+    );
+
+    assert.deepEqual(decision, {
+      allowed: false,
+      reason: DENIAL_REASONS.ACCOUNT_DENIED,
+      rule: deny,
+    });
+    assert.equal(readContract.mock.callCount(), 0);
+  });
+
+  it("reports an app deny when no account rule denies", async () => {
+    const deny = { scope: "APP", effect: "DENY" };
+    useRules([{ scope: "ACCOUNT", effect: "ALLOW" }, deny]);
+
+    const decision = await evaluateAuthorization(
+      request({ app: ethers.Wallet.createRandom().address })
+    );
+
+    assert.equal(decision.reason, DENIAL_REASONS.APP_DENIED);
+    assert.equal(decision.rule, deny);
+  });
+
+  it("applies the role default when no rule matches", async () => {
+    useRules([]);
+
+    assert.deepEqual(await evaluateAuthorization(request({ role: "builder" })), {
+      allowed: false,
+      reason: DENIAL_REASONS.ROLE_NOT_ALLOWED,
+    });
+    assert.deepEqual(await evaluateAuthorization(request({ role: "onboardingUser" })), {
+      allowed: true,
+    });
+  });
+
+  it("lets an allow rule override a denying role default", async () => {
+    const allow = { scope: "ACCOUNT", effect: "ALLOW" };
+    useRules([allow]);
+
+    const decision = await evaluateAuthorization(request({ role: "builder" }));
+
+    assert.deepEqual(decision, { allowed: true, rule: allow });
+  });
+
+  it("denies an allowed request when the signer does not own the account", async () => {
+    const allow = { scope: "ACCOUNT", effect: "ALLOW" };
+    useRules([allow]);
+    useAccount({ owner: ethers.Wallet.createRandom().address });
+
+    const decision = await evaluateAuthorization(request());
+
+    assert.deepEqual(decision, {
+      allowed: false,
+      reason: DENIAL_REASONS.NOT_ACCOUNT_OWNER,
+      rule: allow,
+    });
+  });
+
+  it("checks managers with canExecuteTransactions", async () => {
+    useRules([]);
+    useAccount({ manager: false });
+
+    const decision = await evaluateAuthorization(request({ role: "accountManager" }));
+
+    assert.equal(decision.reason, DENIAL_REASONS.NOT_ACCOUNT_MANAGER);
+  });
+
+  it("denies when the chain cannot be read", async () => {
+    useRules([]);
+    mock.method(lensChain.publicClient, "readContract", async () => {
+      throw new Error("connection refused");
+    });
+
+    const decision = await evaluateAuthorization(request());
+
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.reason, DENIAL_REASONS.OWNERSHIP_CHECK_UNAVAILABLE);
+  });
+});
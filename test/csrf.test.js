@@ -0,0 +1,99 @@
+/**
+ * @file csrf.test.js
+ * @description Unit tests for the CSRF policies of cookie-authenticated and sign-in requests
+ */
+
+// Read by the config when the CSRF module loads
+process.env.FRONTEND_URL = "https://app.example.com";
+process.env.SESSION_SECRET = "test-session-secret";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  CSRF_REASONS,
+  csrfProtection,
+  issueCsrfToken,
+} = require("../csrf");
+const { SESSION_COOKIE } = require("../services/session-tokens");
+
+const FRONTEND = "https://app.example.com";
+
+/**
+ * Run a CSRF middleware against a request
+ * @param {string} policy Policy name
+ * @param {object} req Request fields (method defaults to POST)
+ * @returns {{passed: boolean, status?: number, body?: object}} What the middleware did
+ */
+function run(policy, req) {
+  const result = { passed: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+
+  csrfProtection(policy)({ method: "POST", headers: {}, cookies: {}, ...req }, res, () => {
+    result.passed = true;
+  });
+  return result;
+}
+
+describe("csrfProtection", () => {
+  const session = { [SESSION_COOKIE]: "session-token" };
+
+  it("does not check requests without cookie credentials", () => {
+    assert.equal(run("strict", { headers: { origin: "https://evil.example" } }).passed, true);
+    assert.equal(
+      run("strict", {
+        headers: { origin: "https://evil.example", authorization: "Bearer token" },
+        cookies: session,
+      }).passed,
+      true
+    );
+  });
+
+  it("refuses cookie requests from other or unknown origins", () => {
+    assert.equal(
+      run("strict", { headers: { origin: "https://evil.example" }, cookies: session }).body.reason,
+      CSRF_REASONS.ORIGIN_NOT_ALLOWED
+    );
+    assert.equal(run("strict", { cookies: session }).body.reason, CSRF_REASONS.ORIGIN_MISSING);
+  });
+
+  it("requires the signed double-submit token under the strict policy", () => {
+    const cookies = {};
+    const token = issueCsrfToken({ cookies }, { cookie: (name, value) => (cookies[name] = value) });
+
+    assert.equal(
+      run("strict", { headers: { origin: FRONTEND }, cookies: { ...session, ...cookies } }).body
+        .reason,
+      CSRF_REASONS.TOKEN_INVALID
+    );
+    assert.equal(
+      run("strict", {
+        headers: { origin: FRONTEND, [CSRF_HEADER]: token },
+        cookies: { ...session, [CSRF_COOKIE]: token },
+      }).passed,
+      true
+    );
+  });
+
+  it("refuses sign-ins sent from another origin even without cookies", () => {
+    const result = run("signIn", { headers: { origin: "https://evil.example" } });
+
+    assert.equal(result.status, 403);
+    assert.equal(result.body.reason, CSRF_REASONS.ORIGIN_NOT_ALLOWED);
+    assert.equal(run("signIn", { headers: { referer: `${FRONTEND}/login` } }).passed, true);
+  });
+
+  it("lets sign-ins without an Origin through, as they do not come from a browser", () => {
+    assert.equal(run("signIn", {}).passed, true);
+  });
+});
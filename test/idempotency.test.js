@@ -0,0 +1,118 @@
+/**
+ * @file idempotency.test.js
+ * @description Unit tests for Idempotency-Key claims, replays and releases
+ */
+
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+const {
+  hashRequest,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+} = require("../services/idempotency");
+
+const { Op } = db.Sequelize;
+
+/**
+ * Whether a stored key matches a where clause
+ * @param {object} row Stored key
+ * @param {object} where Where clause
+ * @returns {boolean} Whether it matches
+ */
+function matches(row, where) {
+  return Object.entries(where).every(([field, condition]) =>
+    condition?.[Op.lte] ? row[field] <= condition[Op.lte] : row[field] === condition
+  );
+}
+
+describe("beginIdempotentRequest", () => {
+  let rows;
+  const request = { scope: "intents:0xabc", key: "retry-1", requestHash: "hash-a" };
+
+  beforeEach(() => {
+    rows = [];
+    mock.method(db.IdempotencyKey, "destroy", async ({ where }) => {
+      const before = rows.length;
+      rows = rows.filter((row) => !matches(row, where));
+      return before - rows.length;
+    });
+    mock.method(db.IdempotencyKey, "findOrCreate", async ({ where, defaults }) => {
+      const found = rows.find((row) => matches(row, where));
+      if (found) {
+        return [found, false];
+      }
+      const row = {
+        id: rows.length + 1,
+        responseStatus: null,
+        responseBody: null,
+        updatedAt: new Date(),
+        ...where,
+        ...defaults,
+      };
+      rows.push(row);
+      return [row, true];
+    });
+    mock.method(db.IdempotencyKey, "update", async (values, { where }) => {
+      const found = rows.filter((row) => matches(row, where));
+      found.forEach((row) => Object.assign(row, values));
+      return [found.length];
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("replays the stored response to a retry with the same body", async () => {
+    const first = await beginIdempotentRequest(request);
+    assert.equal(first.state, "new");
+    assert.equal((await beginIdempotentRequest(request)).state, "in_progress");
+
+    await completeIdempotentRequest(first.record, 201, { id: "intent-1" });
+
+    const retry = await beginIdempotentRequest(request);
+    assert.equal(retry.state, "replay");
+    assert.equal(retry.record.responseStatus, 201);
+    assert.deepEqual(retry.record.responseBody, { id: "intent-1" });
+  });
+
+  it("refuses the key for a different request", async () => {
+    await beginIdempotentRequest(request);
+
+    const other = await beginIdempotentRequest({ ...request, requestHash: "hash-b" });
+
+    assert.equal(other.state, "mismatch");
+  });
+
+  it("frees the key after a server error and once it expires", async () => {
+    const first = await beginIdempotentRequest(request);
+    await completeIdempotentRequest(first.record, 500, { error: "Internal Server Error" });
+    assert.equal((await beginIdempotentRequest(request)).state, "new");
+
+    rows[0].responseStatus = 200;
+    rows[0].expiresAt = new Date(Date.now() - 1000);
+    assert.equal((await beginIdempotentRequest(request)).state, "new");
+  });
+
+  it("lets one retry take over a key abandoned by its request", async () => {
+    await beginIdempotentRequest(request);
+    rows[0].updatedAt = new Date(Date.now() - 2 * 60 * 1000);
+
+    assert.equal((await beginIdempotentRequest(request)).state, "new");
+    assert.equal((await beginIdempotentRequest(request)).state, "in_progress");
+  });
+});
+
+describe("hashRequest", () => {
+  it("hashes bodies the same whatever their key order", () => {
+    const req = { method: "POST", baseUrl: "/api/intents", path: "/" };
+
+    assert.equal(
+      hashRequest({ ...req, body: { a: 1, b: { c: [1, 2], d: "x" } } }),
+      hashRequest({ ...req, body: { b: { d: "x", c: [1, 2] }, a: 1 } })
+    );
+    assert.notEqual(
+      hashRequest({ ...req, body: { a: 1 } }),
+      hashRequest({ ...req, path: "/other", body: { a: 1 } })
+    );
+  });
+});
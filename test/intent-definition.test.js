@@ -0,0 +1,95 @@
+/**
+ * @file intent-definition.test.js
+ * @description Unit tests for submitIntent calldata and intentIds matching the resolver
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const {
+  toIntentDefinition,
+  fromIntentDefinition,
+  computeIntentId,
+  encodeSubmitIntent,
+  encodeSubmitIntentFor,
+  decodeSubmitIntent,
+  findIntentExecution,
+} = require("../services/intent-definition");
+
+const resolver = "0x3333333333333333333333333333333333333333";
+const user = "0x4444444444444444444444444444444444444444";
+
+const fields = {
+  intentType: 1,
+  syndicateAddress: "0x5555555555555555555555555555555555555555",
+  amount: "1000000",
+  tokenAddress: "0x6666666666666666666666666666666666666666",
+  sourceChainId: 8453,
+  destinationChainId: 232,
+  ticketId: "0",
+  useOptimalRoute: true,
+  maxFeePercentage: 3,
+  deadline: "1900000000",
+  encodedData: "0x1234",
+};
+
+describe("computeIntentId", () => {
+  it("hashes the intent and its user as SyndicateIntentResolver.createIntentId does", () => {
+    const definition = toIntentDefinition(fields);
+    // struct IntentDefinition as declared by the contract
+    const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+      [
+        "tuple(uint8,address,uint256,address,uint32,uint32,uint256,bool,uint256,uint256,bytes)",
+        "address",
+      ],
+      [Object.values(definition), user]
+    );
+
+    assert.equal(computeIntentId(definition, user), ethers.keccak256(encoded));
+    assert.notEqual(computeIntentId(definition, resolver), computeIntentId(definition, user));
+  });
+});
+
+describe("encodeSubmitIntent", () => {
+  it("decodes back to the same intent and intentId", () => {
+    const definition = toIntentDefinition(fields);
+
+    for (const data of [
+      encodeSubmitIntent(definition),
+      encodeSubmitIntentFor(definition, user, 0, `0x${"00".repeat(65)}`),
+    ]) {
+      const decoded = decodeSubmitIntent(data);
+      assert.deepEqual(fromIntentDefinition(decoded), {
+        ...fields,
+        syndicateAddress: ethers.getAddress(fields.syndicateAddress),
+        tokenAddress: ethers.getAddress(fields.tokenAddress),
+      });
+      assert.equal(computeIntentId(decoded, user), computeIntentId(definition, user));
+    }
+  });
+
+  it("ignores calldata of other functions", () => {
+    const erc20 = new ethers.Interface(["function transfer(address to, uint256 amount)"]);
+
+    assert.equal(decodeSubmitIntent(erc20.encodeFunctionData("transfer", [user, 1n])), null);
+  });
+});
+
+describe("findIntentExecution", () => {
+  it("reads IntentExecuted from the resolver only", () => {
+    const definition = toIntentDefinition(fields);
+    const intentId = computeIntentId(definition, user);
+    const event = new ethers.Interface([
+      "event IntentExecuted(bytes32 indexed intentId, bool success)",
+    ]).encodeEventLog("IntentExecuted", [intentId, false]);
+
+    assert.deepEqual(findIntentExecution([{ address: resolver, ...event }], intentId, resolver), {
+      success: false,
+    });
+    assert.equal(findIntentExecution([{ address: user, ...event }], intentId, resolver), null);
+    assert.equal(
+      findIntentExecution([{ address: resolver, ...event }], ethers.ZeroHash, resolver),
+      null
+    );
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * @file intent-events.test.js
+ * @description Unit tests for intent event notifications and the events listeners build from them
+ */
+
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+const { INTENT_EVENTS, publishIntentEvent, loadIntentEvent } = require("../services/intent-events");
+
+const intent = {
+  id: 1,
+  intentId: `0x${"ab".repeat(32)}`,
+  user: "0x52908400098527886E0F7030069857D2E4169EE7",
+};
+
+describe("publishIntentEvent", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("notifies the record, never its fields, to stay under the pg_notify limit", async () => {
+    const notified = [];
+    mock.method(db.sequelize, "query", async (sql, { replacements, transaction }) =>
+      notified.push({ sql, ...replacements, transaction })
+    );
+    const transaction = {};
+    const event = { id: 12, reason: "x".repeat(10000) };
+
+    await publishIntentEvent(INTENT_EVENTS.INTENT_FAILED, intent, event, { transaction });
+
+    const [{ sql, channel, payload }] = notified;
+    assert.match(sql, /pg_notify/);
+    assert.equal(channel, "intent_events");
+    assert.equal(notified[0].transaction, transaction);
+    assert.ok(Buffer.byteLength(payload) < 8000);
+    assert.deepEqual(Object.keys(JSON.parse(payload)), ["type", "intentId", "id", "timestamp"]);
+  });
+
+  it("throws inside a transaction so it rolls back, and only logs outside of one", async () => {
+    mock.method(db.sequelize, "query", async () => {
+      throw new Error("payload string too long");
+    });
+
+    await assert.rejects(
+      publishIntentEvent(INTENT_EVENTS.STATUS_CHANGE, intent, { id: 1 }, { transaction: {} }),
+      /payload string too long/
+    );
+    await publishIntentEvent(INTENT_EVENTS.STATUS_CHANGE, intent, { id: 1 });
+  });
+});
+
+describe("loadIntentEvent", () => {
+  afterEach(() => mock.restoreAll());
+
+  const timestamp = "2026-03-01T12:00:00.000Z";
+
+  it("builds status events from the stored status event", async () => {
+    mock.method(db.IntentStatusEvent, "findByPk", async () => ({
+      fromStatus: "EXECUTING",
+      toStatus: "FAILED",
+      actor: "processor",
+      reason: "Bridge failed",
+      intent,
+    }));
+
+    assert.deepEqual(
+      await loadIntentEvent({ type: INTENT_EVENTS.INTENT_FAILED, id: 12, timestamp }),
+      {
+        type: INTENT_EVENTS.INTENT_FAILED,
+        intentId: intent.intentId,
+        user: intent.user.toLowerCase(),
+        from: "EXECUTING",
+        to: "FAILED",
+        actor: "processor",
+        reason: "Bridge failed",
+        timestamp,
+      }
+    );
+  });
+
+  it("builds transaction events from the stored transaction", async () => {
+    mock.method(db.Transaction, "findByPk", async () => ({
+      chainId: 232,
+      txHash: `0x${"cd".repeat(32)}`,
+      type: "RELAY",
+      status: "CONFIRMED",
+      intent,
+    }));
+
+    assert.deepEqual(
+      await loadIntentEvent({ type: INTENT_EVENTS.TRANSACTION_CONFIRMED, id: 3, timestamp }),
+      {
+        type: INTENT_EVENTS.TRANSACTION_CONFIRMED,
+        intentId: intent.intentId,
+        user: intent.user.toLowerCase(),
+        chainId: 232,
+        txHash: `0x${"cd".repeat(32)}`,
+        transactionType: "RELAY",
+        status: "CONFIRMED",
+        timestamp,
+      }
+    );
+  });
+
+  it("skips notifications whose record is gone", async () => {
+    mock.method(db.Transaction, "findByPk", async () => null);
+
+    assert.equal(
+      await loadIntentEvent({ type: INTENT_EVENTS.TRANSACTION_SUBMITTED, id: 3, timestamp }),
+      null
+    );
+  });
+});
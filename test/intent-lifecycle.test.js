@@ -0,0 +1,245 @@
+/**
+ * @file intent-lifecycle.test.js
+ * @description Unit tests for the intent state machine and its transitions
+ */
+
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+const {
+  INTENT_STATUS,
+  TERMINAL_STATUSES,
+  INTENT_TRANSITIONS,
+  ACTORS,
+  IntentTransitionError,
+  IntentSubmittedError,
+  canTransition,
+  transitionIntent,
+  settleIntentExecution,
+  reinstateSubmittedIntent,
+  cancelIntent,
+  isActionable,
+} = require("../services/intent-lifecycle");
+
+const LENS = 37111;
+const BASE = 8453;
+
+/**
+ * An intent instance that keeps its status in memory
+ * @param {object} [fields] Fields to override
+ * @returns {object} Intent with reload and update
+ */
+function fakeIntent(fields = {}) {
+  return {
+    id: 1,
+    intentId: `0x${"ab".repeat(32)}`,
+    user: "0x1111111111111111111111111111111111111111",
+    syndicateAddress: "0x2222222222222222222222222222222222222222",
+    status: INTENT_STATUS.PENDING,
+    statusReason: null,
+    sourceChainId: LENS,
+    destinationChainId: LENS,
+    deadline: String(Math.floor(Date.now() / 1000) + 3600),
+    async reload() {},
+    async update(values) {
+      Object.assign(this, values);
+    },
+    ...fields,
+  };
+}
+
+describe("INTENT_TRANSITIONS", () => {
+  it("declares every status", () => {
+    assert.deepEqual(Object.keys(INTENT_TRANSITIONS).sort(), Object.values(INTENT_STATUS).sort());
+  });
+
+  it("never leaves a completed or failed intent", () => {
+    for (const status of TERMINAL_STATUSES) {
+      const expected = [INTENT_STATUS.EXPIRED, INTENT_STATUS.CANCELLED].includes(status)
+        ? [INTENT_STATUS.PENDING]
+        : [];
+      assert.deepEqual(INTENT_TRANSITIONS[status], expected, status);
+    }
+  });
+
+  it("only expires or cancels pending intents", () => {
+    for (const to of [INTENT_STATUS.EXPIRED, INTENT_STATUS.CANCELLED]) {
+      const from = Object.keys(INTENT_TRANSITIONS).filter((status) => canTransition(status, to));
+      assert.deepEqual(from, [INTENT_STATUS.PENDING]);
+    }
+  });
+
+  it("completes pending and executing intents", () => {
+    assert.equal(canTransition(INTENT_STATUS.PENDING, INTENT_STATUS.COMPLETED), true);
+    assert.equal(canTransition(INTENT_STATUS.EXECUTING, INTENT_STATUS.COMPLETED), true);
+    assert.equal(canTransition(INTENT_STATUS.EXECUTING, INTENT_STATUS.PENDING), false);
+    assert.equal(canTransition("UNKNOWN", INTENT_STATUS.PENDING), false);
+  });
+});
+
+describe("transitionIntent", () => {
+  let events;
+  let submissions;
+
+  beforeEach(() => {
+    events = [];
+    submissions = 0;
+    mock.method(db.sequelize, "transaction", async (work) => work({ LOCK: { UPDATE: "UPDATE" } }));
+    mock.method(db.sequelize, "query", async () => []);
+    mock.method(db.IntentStatusEvent, "create", async (event) => {
+      events.push(event);
+      return event;
+    });
+    mock.method(db.Transaction, "count", async () => submissions);
+    mock.method(db.WebhookSubscription, "findAll", async () => []);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("changes the status and records the event", async () => {
+    const intent = fakeIntent();
+
+    await transitionIntent(intent, INTENT_STATUS.FAILED, {
+      actor: ACTORS.PROCESSOR,
+      reason: "Reverted",
+      transactionId: 7,
+    });
+
+    assert.equal(intent.status, INTENT_STATUS.FAILED);
+    assert.equal(intent.statusReason, "Reverted");
+    assert.equal(events.length, 1);
+    assert.equal(events[0].fromStatus, INTENT_STATUS.PENDING);
+    assert.equal(events[0].toStatus, INTENT_STATUS.FAILED);
+    assert.equal(events[0].actor, ACTORS.PROCESSOR);
+    assert.equal(events[0].transactionId, 7);
+  });
+
+  it("only keeps the reason of terminal statuses on the intent", async () => {
+    const intent = fakeIntent();
+
+    await transitionIntent(intent, INTENT_STATUS.EXECUTING, {
+      actor: ACTORS.PROCESSOR,
+      reason: "x",
+    });
+
+    assert.equal(intent.statusReason, null);
+    assert.equal(events[0].reason, "x");
+  });
+
+  it("refuses transitions the state machine does not allow", async () => {
+    const intent = fakeIntent({ status: INTENT_STATUS.COMPLETED });
+
+    await assert.rejects(
+      transitionIntent(intent, INTENT_STATUS.FAILED, { actor: ACTORS.PROCESSOR }),
+      (error) => {
+        assert.ok(error instanceof IntentTransitionError);
+        assert.equal(error.from, INTENT_STATUS.COMPLETED);
+        assert.equal(error.to, INTENT_STATUS.FAILED);
+        assert.deepEqual(error.allowed, []);
+        return true;
+      }
+    );
+    assert.equal(intent.status, INTENT_STATUS.COMPLETED);
+    assert.equal(events.length, 0);
+  });
+
+  it("refuses to cancel or expire an intent submitted on-chain", async () => {
+    submissions = 1;
+
+    for (const to of [INTENT_STATUS.CANCELLED, INTENT_STATUS.EXPIRED]) {
+      const intent = fakeIntent();
+      await assert.rejects(
+        transitionIntent(intent, to, { actor: ACTORS.EXPIRY_SWEEPER }),
+        IntentSubmittedError
+      );
+      assert.equal(intent.status, INTENT_STATUS.PENDING);
+    }
+    assert.equal(events.length, 0);
+  });
+
+  it("cancels pending intents until they are submitted", async () => {
+    const intent = fakeIntent();
+    assert.equal(
+      await cancelIntent(intent, { actor: intent.user, reason: "changed my mind" }),
+      true
+    );
+    assert.equal(intent.status, INTENT_STATUS.CANCELLED);
+    assert.equal(intent.statusReason, "Cancelled by user: changed my mind");
+
+    assert.equal(await cancelIntent(intent, { actor: intent.user }), false);
+
+    submissions = 1;
+    await assert.rejects(cancelIntent(fakeIntent(), { actor: intent.user }), IntentSubmittedError);
+  });
+
+  it("processes a submission mined after the intent was cancelled", async () => {
+    // The user cancels, but the submitIntent they had already sent is mined before the deadline
+    const intent = fakeIntent();
+    assert.equal(await cancelIntent(intent, { actor: intent.user }), true);
+    submissions = 1;
+
+    assert.equal(
+      await reinstateSubmittedIntent(intent, { actor: ACTORS.PROCESSOR, transactionId: 9 }),
+      true
+    );
+    assert.equal(intent.status, INTENT_STATUS.PENDING);
+    assert.equal(intent.statusReason, null);
+    assert.equal(events[1].fromStatus, INTENT_STATUS.CANCELLED);
+    assert.equal(events[1].reason, "Submitted on-chain after it was cancelled");
+    assert.equal(events[1].transactionId, 9);
+
+    await settleIntentExecution(intent, { success: true, actor: ACTORS.PROCESSOR });
+    assert.equal(intent.status, INTENT_STATUS.COMPLETED);
+  });
+
+  it("reinstates an expired intent once, and only with a submission", async () => {
+    const intent = fakeIntent({ status: INTENT_STATUS.EXPIRED });
+
+    assert.equal(await reinstateSubmittedIntent(intent, { actor: ACTORS.PROCESSOR }), false);
+    assert.equal(intent.status, INTENT_STATUS.EXPIRED);
+
+    submissions = 1;
+    assert.equal(await reinstateSubmittedIntent(intent, { actor: ACTORS.PROCESSOR }), true);
+    assert.equal(await reinstateSubmittedIntent(intent, { actor: ACTORS.PROCESSOR }), false);
+    assert.equal(intent.status, INTENT_STATUS.PENDING);
+    assert.equal(events.length, 1);
+  });
+
+  it("settles executions by route and outcome", async () => {
+    const sameChain = fakeIntent();
+    assert.equal(await settleIntentExecution(sameChain, { success: true, actor: "x" }), true);
+    assert.equal(sameChain.status, INTENT_STATUS.COMPLETED);
+
+    const crossChain = fakeIntent({ destinationChainId: BASE });
+    await settleIntentExecution(crossChain, { success: true, actor: "x" });
+    assert.equal(crossChain.status, INTENT_STATUS.EXECUTING);
+
+    const failed = fakeIntent();
+    await settleIntentExecution(failed, { success: false, actor: "x" });
+    assert.equal(failed.status, INTENT_STATUS.FAILED);
+
+    // A second observer of the same execution changes nothing
+    assert.equal(await settleIntentExecution(sameChain, { success: true, actor: "x" }), false);
+  });
+});
+
+describe("isActionable", () => {
+  const past = String(Math.floor(Date.now() / 1000) - 60);
+
+  it("ignores expired and cancelled intents", () => {
+    assert.equal(isActionable(fakeIntent({ status: INTENT_STATUS.EXPIRED })), false);
+    assert.equal(
+      isActionable(fakeIntent({ status: INTENT_STATUS.CANCELLED }), { submitted: true }),
+      false
+    );
+  });
+
+  it("ignores pending intents past their deadline unless they were submitted", () => {
+    assert.equal(isActionable(fakeIntent({ deadline: past })), false);
+    assert.equal(isActionable(fakeIntent({ deadline: past }), { submitted: true }), true);
+    assert.equal(
+      isActionable(fakeIntent({ status: INTENT_STATUS.EXECUTING, deadline: past })),
+      true
+    );
+  });
+});
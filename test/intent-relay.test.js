@@ -0,0 +1,173 @@
+/**
+ * @file intent-relay.test.js
+ * @description Unit tests for relayed intents: EIP-712 typed data, signer recovery, funds checks
+ */
+
+// Read by the config when the relay module loads
+process.env.LENS_INTENT_RESOLVER = "0x00000000000000000000000000000000000000aa";
+process.env.PRIVATE_KEY = `0x${"11".repeat(32)}`;
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const lensChain = require("../services/lens-chain-service");
+const SyndicateIntentResolverABI = require("../contracts/intent/abi/SyndicateIntentResolver.json");
+const { INTENT_DEFINITION_TYPE, toIntentDefinition } = require("../services/intent-definition");
+const { getRelayTypedData, recoverRelaySigner, prepareRelay } = require("../services/intent-relay");
+
+const RESOLVER = ethers.getAddress(process.env.LENS_INTENT_RESOLVER);
+const GHO = "0x00000000000000000000000000000000000000bb";
+
+const definition = toIntentDefinition({
+  intentType: 0,
+  syndicateAddress: "0x2222222222222222222222222222222222222222",
+  amount: "1000000000000000000",
+  tokenAddress: GHO,
+  sourceChainId: 232,
+  destinationChainId: 232,
+  deadline: 1790000000,
+  encodedData: "0x",
+});
+
+describe("getRelayTypedData", () => {
+  it("binds signatures to the resolver on the active Lens chain", () => {
+    const { domain, primaryType } = getRelayTypedData();
+
+    assert.deepEqual(domain, {
+      name: "SyndicateIntentResolver",
+      version: "1",
+      chainId: lensChain.activeChain.id,
+      verifyingContract: RESOLVER,
+    });
+    assert.equal(primaryType, "RelayedIntent");
+  });
+
+  it("matches the RelayedIntent type hash of the resolver", () => {
+    const { types } = getRelayTypedData();
+    const source = fs.readFileSync(
+      path.join(__dirname, "../contracts/intent/SyndicateIntentResolver.sol"),
+      "utf8"
+    );
+
+    const encodedType = ethers.TypedDataEncoder.from(types).encodeType("RelayedIntent");
+    assert.ok(source.includes(JSON.stringify(encodedType)), encodedType);
+  });
+
+  it("describes the IntentDefinition fields in contract order", () => {
+    const { types } = getRelayTypedData();
+
+    assert.deepEqual(types.RelayedIntent, [
+      { name: "intent", type: "IntentDefinition" },
+      { name: "nonce", type: "uint256" },
+    ]);
+    assert.deepEqual(
+      types.IntentDefinition.map(({ name }) => name),
+      INTENT_DEFINITION_TYPE.components.map(({ name }) => name)
+    );
+  });
+});
+
+describe("recoverRelaySigner", () => {
+  const wallet = ethers.Wallet.createRandom();
+
+  /**
+   * Sign a RelayedIntent with the test wallet
+   * @param {number} nonce Nonce to sign
+   * @returns {Promise<string>} EIP-712 signature
+   */
+  function sign(nonce) {
+    const { domain, types } = getRelayTypedData();
+    return wallet.signTypedData(domain, types, { intent: definition, nonce });
+  }
+
+  it("recovers the wallet that signed the intent and nonce", async () => {
+    assert.equal(recoverRelaySigner(definition, 0, await sign(0)), wallet.address);
+  });
+
+  it("recovers someone else for another nonce or intent", async () => {
+    const signature = await sign(0);
+
+    assert.notEqual(recoverRelaySigner(definition, 1, signature), wallet.address);
+    assert.notEqual(
+      recoverRelaySigner({ ...definition, amount: definition.amount + 1n }, 0, signature),
+      wallet.address
+    );
+  });
+
+  it("returns null for a malformed signature", () => {
+    assert.equal(recoverRelaySigner(definition, 0, "0x1234"), null);
+  });
+});
+
+describe("prepareRelay", () => {
+  afterEach(() => mock.restoreAll());
+
+  const user = ethers.Wallet.createRandom().address;
+  const relayed = { nonce: 3, signature: `0x${"cd".repeat(65)}` };
+
+  /**
+   * Answer the resolver and GHO reads
+   * @param {object} funds
+   * @param {bigint} funds.balance User's GHO balance
+   * @param {bigint} funds.allowance User's GHO allowance to the resolver
+   * @returns {object} The readContract mock
+   */
+  function useFunds({ balance, allowance }) {
+    return mock.method(lensChain.publicClient, "readContract", async ({ functionName }) => {
+      return { ghoToken: GHO, balanceOf: balance, allowance }[functionName];
+    });
+  }
+
+  it("refuses a user who holds less GHO than the intent", async () => {
+    useFunds({ balance: definition.amount - 1n, allowance: definition.amount });
+
+    const { call, reason } = await prepareRelay(definition, user, relayed);
+
+    assert.equal(call, undefined);
+    assert.equal(reason, "INSUFFICIENT_BALANCE");
+  });
+
+  it("refuses a user who has not approved the resolver for the amount", async () => {
+    const readContract = useFunds({ balance: definition.amount, allowance: 0n });
+
+    const { call, reason } = await prepareRelay(definition, user, relayed);
+
+    assert.equal(call, undefined);
+    assert.equal(reason, "INSUFFICIENT_ALLOWANCE");
+    const allowanceRead = readContract.mock.calls.find(
+      ({ arguments: [read] }) => read.functionName === "allowance"
+    );
+    assert.equal(allowanceRead.arguments[0].address, GHO);
+    assert.deepEqual(allowanceRead.arguments[0].args, [user, RESOLVER]);
+  });
+
+  it("submits the user's signed intent through submitIntentFor", async () => {
+    useFunds({ balance: definition.amount, allowance: definition.amount });
+    const simulate = mock.method(lensChain.publicClient, "call", async () => ({}));
+
+    const { call } = await prepareRelay(definition, user, relayed);
+
+    assert.equal(call.to, RESOLVER);
+    const { name, args } = new ethers.Interface(SyndicateIntentResolverABI).parseTransaction(call);
+    assert.equal(name, "submitIntentFor");
+    assert.equal(args.user, user);
+    assert.equal(args.nonce, 3n);
+    assert.equal(args.signature, relayed.signature);
+    assert.equal(simulate.mock.calls[0].arguments[0].data, call.data);
+  });
+
+  it("refuses a relay the resolver would revert", async () => {
+    useFunds({ balance: definition.amount, allowance: definition.amount });
+    mock.method(lensChain.publicClient, "call", async () => {
+      throw Object.assign(new Error("reverted"), { shortMessage: "Relay nonce already used" });
+    });
+
+    const { call, reason, detail } = await prepareRelay(definition, user, relayed);
+
+    assert.equal(call, undefined);
+    assert.equal(reason, "RELAY_REVERTED");
+    assert.equal(detail, "Relay nonce already used");
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * @file intent-search.test.js
+ * @description Unit tests for GET /api/intents filters and cursors
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Op } = require("sequelize");
+const {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  buildIntentSearch,
+} = require("../services/intent-search");
+
+const USER = "0x52908400098527886E0F7030069857D2E4169EE7";
+
+describe("buildIntentSearch", () => {
+  it("sorts by newest first with a page of 20 by default", () => {
+    const search = buildIntentSearch({});
+
+    assert.equal(search.sort, "-createdAt");
+    assert.deepEqual(search.order, [
+      ["createdAt", "DESC"],
+      ["id", "DESC"],
+    ]);
+    // One more row than the page tells whether another page follows
+    assert.equal(search.limit, 21);
+    assert.deepEqual(search.where[Op.and], [{}]);
+  });
+
+  it("checksums address filters and accepts repeated values", () => {
+    const search = buildIntentSearch({
+      user: USER.toLowerCase(),
+      status: ["PENDING", "EXECUTING"],
+      intentType: "1",
+      sourceChainId: "232",
+      limit: "50",
+    });
+    const [where] = search.where[Op.and];
+
+    assert.equal(where.user, USER);
+    assert.deepEqual(where.status, { [Op.in]: ["PENDING", "EXECUTING"] });
+    assert.deepEqual(where.intentType, { [Op.in]: ["1"] });
+    assert.equal(where.sourceChainId, 232);
+    assert.equal(search.limit, 51);
+  });
+
+  it("limits the creation time range", () => {
+    const [where] = buildIntentSearch({ from: "2026-01-01T00:00:00Z", to: "2026-02-01T00:00:00Z" })
+      .where[Op.and];
+
+    assert.deepEqual(where.createdAt, {
+      [Op.gte]: new Date("2026-01-01T00:00:00Z"),
+      [Op.lt]: new Date("2026-02-01T00:00:00Z"),
+    });
+  });
+
+  it("continues after the cursor's row in the sort direction", () => {
+    const createdAt = new Date("2026-03-01T12:00:00Z");
+    const cursor = encodeCursor("-createdAt", { id: 42, createdAt });
+
+    const [, after] = buildIntentSearch({ cursor }).where[Op.and];
+
+    assert.deepEqual(after, {
+      [Op.or]: [{ createdAt: { [Op.lt]: createdAt } }, { createdAt, id: { [Op.lt]: 42 } }],
+    });
+  });
+
+  it("pages deadlines upwards when sorted ascending", () => {
+    const cursor = encodeCursor("deadline", { id: 7, deadline: "1790000000" });
+
+    const search = buildIntentSearch({ sort: "deadline", cursor });
+    const [, after] = search.where[Op.and];
+
+    assert.deepEqual(search.order[0], ["deadline", "ASC"]);
+    assert.deepEqual(after, {
+      [Op.or]: [
+        { deadline: { [Op.gt]: "1790000000" } },
+        { deadline: "1790000000", id: { [Op.gt]: 7 } },
+      ],
+    });
+  });
+
+  it("rejects a cursor whose value does not fit its column", () => {
+    const cursor = Buffer.from(JSON.stringify({ s: "deadline", v: "soon", id: 1 })).toString(
+      "base64url"
+    );
+
+    assert.throws(() => buildIntentSearch({ sort: "deadline", cursor }), InvalidCursorError);
+  });
+});
+
+describe("decodeCursor", () => {
+  it("round-trips encodeCursor", () => {
+    const cursor = encodeCursor("createdAt", {
+      id: 3,
+      createdAt: new Date("2026-03-01T12:00:00Z"),
+    });
+
+    assert.deepEqual(decodeCursor(cursor, "createdAt"), {
+      value: "2026-03-01T12:00:00.000Z",
+      id: 3,
+    });
+  });
+
+  it("rejects cursors that were not issued by the API", () => {
+    for (const cursor of ["not a cursor", Buffer.from("[]").toString("base64url")]) {
+      assert.throws(() => decodeCursor(cursor, "-createdAt"), InvalidCursorError);
+    }
+    const noId = Buffer.from(JSON.stringify({ s: "-createdAt", v: "x" })).toString("base64url");
+    assert.throws(() => decodeCursor(noId, "-createdAt"), InvalidCursorError);
+  });
+
+  it("rejects a cursor issued for another sort", () => {
+    const cursor = encodeCursor("deadline", { id: 1, deadline: "1790000000" });
+
+    assert.throws(() => decodeCursor(cursor, "-deadline"), {
+      name: "InvalidCursorError",
+      message: "was issued for sort=deadline",
+    });
+  });
+});
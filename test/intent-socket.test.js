@@ -0,0 +1,129 @@
+/**
+ * @file intent-socket.test.js
+ * @description Unit tests for socket handshake authentication and room subscriptions
+ */
+
+// Read by the config when the socket module loads
+process.env.SESSION_SECRET = "test-session-secret";
+process.env.FRONTEND_URL = "https://app.example.com";
+
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+const { SESSION_COOKIE, signAccessToken } = require("../services/session-tokens");
+const { authenticateSocket, subscribe } = require("../services/intent-socket");
+
+const wallet = "0x1111111111111111111111111111111111111111";
+const stranger = "0x2222222222222222222222222222222222222222";
+
+/**
+ * Fake socket with the handshake fields authenticateSocket and subscribe read
+ * @param {object} [handshake] Handshake auth, headers and cookies
+ * @returns {object} The socket
+ */
+function fakeSocket({ auth = {}, headers = {}, cookies = {} } = {}) {
+  return {
+    handshake: { auth, headers, query: {} },
+    request: { headers, cookies },
+    data: {},
+    rooms: [],
+    join(room) {
+      this.rooms.push(room);
+    },
+  };
+}
+
+/**
+ * Run the handshake middleware
+ * @param {object} socket Fake socket
+ * @returns {Promise<Error|undefined>} The rejection, if any
+ */
+function handshake(socket) {
+  return new Promise((resolve) => authenticateSocket(socket, resolve));
+}
+
+describe("authenticateSocket", () => {
+  beforeEach(() => {
+    mock.method(db.AuthSession, "findOne", async ({ where }) =>
+      where.id === "session-1" ? { id: "session-1", address: wallet } : null
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("accepts a session token and keeps the wallet on the socket", async () => {
+    const { token } = signAccessToken({ address: wallet, sessionId: "session-1" });
+    const socket = fakeSocket({ auth: { token } });
+
+    assert.equal(await handshake(socket), undefined);
+    assert.equal(socket.data.user.address, wallet);
+  });
+
+  it("accepts the session cookie from an allowed origin only", async () => {
+    const { token } = signAccessToken({ address: wallet, sessionId: "session-1" });
+    const cookies = { [SESSION_COOKIE]: token };
+
+    const crossSite = await handshake(
+      fakeSocket({ headers: { origin: "https://evil.example" }, cookies })
+    );
+    assert.equal(crossSite.data.reason, "CSRF_ORIGIN_NOT_ALLOWED");
+
+    const socket = fakeSocket({ headers: { origin: "https://app.example.com" }, cookies });
+    assert.equal(await handshake(socket), undefined);
+  });
+
+  it("refuses missing, revoked and unknown credentials", async () => {
+    assert.equal((await handshake(fakeSocket())).data.reason, "UNAUTHORIZED");
+
+    const { token } = signAccessToken({ address: wallet, sessionId: "session-2" });
+    const revoked = await handshake(fakeSocket({ auth: { token } }));
+    assert.equal(revoked.message, "Session has been revoked");
+
+    // API keys are not read from the session cookie
+    const cookie = await handshake(
+      fakeSocket({
+        headers: { origin: "https://app.example.com" },
+        cookies: { [SESSION_COOKIE]: "sk_0123abcd_notasession" },
+      })
+    );
+    assert.equal(cookie.data.reason, "UNAUTHORIZED");
+  });
+});
+
+describe("subscribe", () => {
+  const intentId = `0x${"ab".repeat(32)}`;
+
+  beforeEach(() => {
+    mock.method(db.Intent, "findOne", async ({ where }) =>
+      where.intentId === intentId ? { user: wallet } : null
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("lets a wallet follow only its own intents and user room", async () => {
+    const socket = fakeSocket();
+    socket.data.user = { address: wallet };
+
+    assert.deepEqual(await subscribe(socket, { intentId }), { room: `intent:${intentId}` });
+    assert.deepEqual(await subscribe(socket, { user: stranger }), { error: "NOT_INTENT_OWNER" });
+
+    socket.data.user = { address: stranger };
+    assert.deepEqual(await subscribe(socket, { intentId }), { error: "NOT_INTENT_OWNER" });
+    assert.deepEqual(socket.rooms, [`intent:${intentId}`]);
+  });
+
+  it("lets an API key follow any intent and refuses malformed targets", async () => {
+    const socket = fakeSocket();
+    socket.data.apiKey = { id: 1, scopes: ["intents:read"] };
+
+    assert.deepEqual(await subscribe(socket, { user: stranger }), { room: `user:${stranger}` });
+    assert.deepEqual(await subscribe(socket, { intentId: `0x${"cd".repeat(32)}` }), {
+      error: "INTENT_NOT_FOUND",
+    });
+    assert.deepEqual(await subscribe(socket, { intentId: "0x1234" }), {
+      error: "INVALID_INTENT_ID",
+    });
+    assert.deepEqual(await subscribe(socket, {}), { error: "INVALID_REQUEST" });
+  });
+});
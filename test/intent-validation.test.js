@@ -0,0 +1,83 @@
+/**
+ * @file intent-validation.test.js
+ * @description Unit tests for the per-type rules of submitted intents
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { INTENT_TYPES, validateIntent } = require("../services/intent-validation");
+
+const NOW = 1780000000;
+
+/**
+ * A valid JOIN_SYNDICATE intent
+ * @param {object} [fields] Fields to override
+ * @returns {object} Request body with `user` resolved
+ */
+function intent(fields = {}) {
+  return {
+    user: "0x1111111111111111111111111111111111111111",
+    intentType: INTENT_TYPES.JOIN_SYNDICATE,
+    syndicateAddress: "0x2222222222222222222222222222222222222222",
+    amount: "1000000000000000000",
+    tokenAddress: "0x3333333333333333333333333333333333333333",
+    sourceChainId: 232,
+    destinationChainId: 232,
+    deadline: NOW + 3600,
+    ...fields,
+  };
+}
+
+describe("validateIntent", () => {
+  it("accepts the routes of the resolver's chain IDs", () => {
+    assert.deepEqual(validateIntent(intent(), { now: NOW }), []);
+    assert.deepEqual(
+      validateIntent(intent({ intentType: INTENT_TYPES.BUY_TICKET, destinationChainId: 8453 }), {
+        now: NOW,
+      }),
+      []
+    );
+  });
+
+  it("rejects routes on other chains, such as the Lens testnet", () => {
+    assert.deepEqual(
+      validateIntent(intent({ sourceChainId: 37111, destinationChainId: 8453 }), { now: NOW }),
+      [
+        { in: "body", path: "/sourceChainId", message: "must be 232 for JOIN_SYNDICATE" },
+        { in: "body", path: "/destinationChainId", message: "must be 232 for JOIN_SYNDICATE" },
+      ]
+    );
+  });
+
+  it("rejects the types the resolver does not execute", () => {
+    for (const [name, intentType] of [
+      ["CLAIM_WINNINGS", INTENT_TYPES.CLAIM_WINNINGS],
+      ["WITHDRAW_FUNDS", INTENT_TYPES.WITHDRAW_FUNDS],
+    ]) {
+      assert.deepEqual(validateIntent(intent({ intentType, ticketId: "7" }), { now: NOW }), [
+        {
+          in: "body",
+          path: "/intentType",
+          message: `${name} is not supported by SyndicateIntentResolver yet`,
+        },
+      ]);
+    }
+  });
+
+  it("checks checksums, the deadline window, amounts and tickets", () => {
+    const errors = validateIntent(
+      intent({
+        syndicateAddress: "0x52908400098527886E0F7030069857D2E4169ee7",
+        amount: "0",
+        deadline: NOW + 10,
+        ticketId: "1",
+      }),
+      { now: NOW }
+    );
+
+    assert.deepEqual(
+      errors.map((error) => error.path),
+      ["/syndicateAddress", "/deadline", "/amount", "/ticketId"]
+    );
+  });
+});
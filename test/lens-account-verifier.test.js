@@ -0,0 +1,97 @@
+/**
+ * @file lens-account-verifier.test.js
+ * @description Unit tests for on-chain Lens account ownership checks
+ */
+
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { BaseError, ContractFunctionRevertedError } = require("viem");
+const lensChain = require("../services/lens-chain-service");
+const { verifyAccountControl } = require("../services/lens-account-verifier");
+
+const owner = "0xabcdefabcdefabcdefabcdefabcdefabcdefabcd";
+const manager = "0x2222222222222222222222222222222222222222";
+
+describe("verifyAccountControl", () => {
+  let accounts;
+
+  beforeEach(() => {
+    accounts = {};
+    mock.method(lensChain.publicClient, "readContract", async ({ address, functionName, args }) => {
+      const account = accounts[address];
+      if (!account) {
+        throw new BaseError("Execution reverted", {
+          cause: new ContractFunctionRevertedError({ abi: [], functionName }),
+        });
+      }
+      if (account instanceof Error) {
+        throw account;
+      }
+      return functionName === "owner" ? account.owner : account.managers.includes(args[0]);
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("checks the owner or the managers depending on the role", async () => {
+    const account = "0xa000000000000000000000000000000000000001";
+    // The chain returns checksummed addresses
+    accounts[account] = {
+      owner: "0xABCDEFabcdefABCDEFabcdefABCDEFabcdefABCD",
+      managers: [manager],
+    };
+
+    assert.deepEqual(
+      await verifyAccountControl({ account, signedBy: owner, role: "accountOwner" }),
+      { verified: true }
+    );
+    assert.deepEqual(
+      await verifyAccountControl({ account, signedBy: manager, role: "accountOwner" }),
+      { verified: false, reason: "NOT_ACCOUNT_OWNER" }
+    );
+    assert.deepEqual(
+      await verifyAccountControl({ account, signedBy: manager, role: "accountManager" }),
+      { verified: true }
+    );
+    assert.deepEqual(
+      await verifyAccountControl({ account, signedBy: owner, role: "accountManager" }),
+      { verified: false, reason: "NOT_ACCOUNT_MANAGER" }
+    );
+  });
+
+  it("reports addresses that are not Lens accounts and caches the answer", async () => {
+    const request = {
+      account: "0xa000000000000000000000000000000000000002",
+      signedBy: owner,
+      role: "accountOwner",
+    };
+
+    assert.deepEqual(await verifyAccountControl(request), {
+      verified: false,
+      reason: "NOT_LENS_ACCOUNT",
+    });
+    assert.equal((await verifyAccountControl(request)).cached, true);
+    assert.equal(lensChain.publicClient.readContract.mock.callCount(), 1);
+  });
+
+  it("does not cache RPC failures", async () => {
+    const account = "0xa000000000000000000000000000000000000003";
+    accounts[account] = new Error("fetch failed");
+    const request = { account, signedBy: owner, role: "accountOwner" };
+
+    assert.deepEqual(await verifyAccountControl(request), {
+      verified: false,
+      reason: "OWNERSHIP_CHECK_UNAVAILABLE",
+    });
+
+    accounts[account] = { owner, managers: [] };
+    assert.deepEqual(await verifyAccountControl(request), { verified: true });
+  });
+
+  it("does not read the chain for roles without an account", async () => {
+    const request = { account: owner, signedBy: owner, role: "onboardingUser" };
+
+    assert.deepEqual(await verifyAccountControl(request), { verified: true });
+    assert.equal(lensChain.publicClient.readContract.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * @file logger.test.js
+ * @description Unit tests for log redaction
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { REDACTED, redact } = require("../services/logger");
+
+describe("redact", () => {
+  it("replaces credential fields wherever they are nested, whatever their case", () => {
+    assert.deepEqual(
+      redact({
+        headers: { Authorization: "Bearer abc", "X-CSRF-Token": "t" },
+        body: { account: "0x1", signing_key: "0xkey", keys: [{ private_key: "0xkey" }] },
+      }),
+      {
+        headers: { Authorization: REDACTED, "X-CSRF-Token": REDACTED },
+        body: { account: "0x1", signing_key: REDACTED, keys: [{ private_key: REDACTED }] },
+      }
+    );
+  });
+
+  it("scrubs Bearer tokens and API keys from strings and errors", () => {
+    const error = new Error("Rejected Bearer eyJhbGciOi with key sk_0123abcd_secretpart");
+
+    const redacted = redact({ error });
+
+    assert.equal(redacted.error.message, `Rejected Bearer ${REDACTED} with key ${REDACTED}`);
+    assert.equal(redacted.error.name, "Error");
+  });
+
+  it("leaves the value it was given untouched and survives cycles", () => {
+    const value = { token: "t", amount: 10n };
+    value.self = value;
+
+    assert.deepEqual(redact(value), { token: REDACTED, amount: "10", self: "[Circular]" });
+    assert.equal(value.token, "t");
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @file rate-limit.test.js
+ * @description Unit tests for token bucket limits, bans and the rate limit middleware
+ */
+
+// Read by the config when the rate limiter loads
+process.env.RATE_LIMIT_STORE = "memory";
+process.env.RATE_LIMIT_AUTHORIZE_ACCOUNT = "2/60";
+process.env.RATE_LIMIT_BAN_THRESHOLD = "2";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseLimit } = require("../services/rate-limiter");
+const { rateLimit } = require("../middleware/rate-limit");
+
+/**
+ * Send a request through the /authorize limiter
+ * @param {object} apiKey API key of the caller
+ * @param {string} account Account the login is for
+ * @returns {Promise<{passed: boolean, status?: number, body?: object, headers: object}>} Outcome
+ */
+async function authorize(apiKey, account) {
+  const result = { passed: false, headers: {} };
+  const res = {
+    set(headers, value) {
+      Object.assign(result.headers, typeof headers === "string" ? { [headers]: value } : headers);
+      return this;
+    },
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+
+  const limiter = rateLimit("authorize", (req) => req.body.account, { accountPerApiKey: true });
+  await limiter({ ip: "203.0.113.7", apiKey, body: { account } }, res, () => {
+    result.passed = true;
+  });
+  return result;
+}
+
+describe("parseLimit", () => {
+  it("reads <requests>/<seconds> and turns limits off", () => {
+    assert.deepEqual(parseLimit("30/60"), { capacity: 30, refillPerSecond: 0.5 });
+    assert.equal(parseLimit("off"), null);
+    assert.equal(parseLimit("0"), null);
+    assert.throws(() => parseLimit("30 per minute"), /Invalid rate limit/);
+  });
+});
+
+describe("rateLimit", () => {
+  it("limits an account per API key and reports the bucket in headers", async () => {
+    const lens = { id: 1 };
+    const account = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+
+    assert.equal((await authorize(lens, account)).passed, true);
+    // Addresses are counted whatever their case
+    const second = await authorize(lens, `0x${"A".repeat(40)}`);
+    assert.equal(second.passed, true);
+    assert.equal(second.headers["RateLimit-Remaining"], "0");
+
+    const third = await authorize(lens, account);
+    assert.equal(third.status, 429);
+    assert.equal(third.body.reason, "RATE_LIMITED");
+    assert.equal(third.body.limit, "account");
+    assert.ok(Number(third.headers["Retry-After"]) > 0);
+
+    // Another integration logging in the same account has its own bucket
+    assert.equal((await authorize({ id: 2 }, account)).passed, true);
+  });
+
+  it("bans an identity that keeps hitting the limit", async () => {
+    const key = { id: 3 };
+    const account = "0x2222222222222222222222222222222222222222";
+
+    const outcomes = [];
+    for (let i = 0; i < 5; i += 1) {
+      outcomes.push(await authorize(key, account));
+    }
+
+    assert.deepEqual(
+      outcomes.map((outcome) => outcome.body?.reason ?? "passed"),
+      ["passed", "passed", "RATE_LIMITED", "RATE_LIMITED", "TEMPORARILY_BANNED"]
+    );
+    assert.equal((await authorize(key, account)).body.reason, "TEMPORARILY_BANNED");
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @file readiness.test.js
+ * @description Unit tests for the readiness checks
+ */
+
+// Read by the config when the readiness module loads
+process.env.READY_CHECK_TIMEOUT_MS = "50";
+process.env.READY_MAX_PROCESSOR_LAG_BLOCKS = "10";
+
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+const lensChain = require("../services/lens-chain-service");
+const { checkReadiness } = require("../services/readiness");
+
+describe("checkReadiness", () => {
+  let checkpoint;
+
+  beforeEach(() => {
+    checkpoint = {
+      chainId: lensChain.publicClient.chain.id,
+      blockNumber: "995",
+      updatedAt: new Date(),
+      lastEventBlock: null,
+      lastEventAt: null,
+    };
+    mock.method(db, "testConnection", async () => {});
+    mock.method(lensChain.publicClient, "getBlockNumber", async () => 1000n);
+    mock.method(db.ProcessorCheckpoint, "findAll", async () => [checkpoint]);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("is ready when every configured dependency answers", async () => {
+    const { ready, status, checks } = await checkReadiness();
+
+    assert.equal(ready, true);
+    assert.equal(status, "ready");
+    assert.equal(checks.lensRpc.blockNumber, 1000);
+    assert.equal(checks.baseRpc.status, "skipped");
+    assert.equal(checks.processor.chains[0].lagBlocks, 5);
+  });
+
+  it("is degraded when the processor falls behind", async () => {
+    checkpoint.blockNumber = "900";
+
+    const { ready, status, checks } = await checkReadiness();
+
+    assert.equal(ready, true);
+    assert.equal(status, "degraded");
+    assert.equal(checks.processor.status, "fail");
+    assert.equal(checks.processor.critical, false);
+  });
+
+  it("is unavailable without the database and skips the processor check", async () => {
+    mock.method(db, "testConnection", async () => {
+      throw new Error("connection refused");
+    });
+
+    const { ready, status, checks } = await checkReadiness();
+
+    assert.equal(ready, false);
+    assert.equal(status, "unavailable");
+    assert.equal(checks.database.error, "connection refused");
+    assert.equal(checks.processor.status, "skipped");
+  });
+
+  it("fails a check that does not answer in time", async () => {
+    mock.method(lensChain.publicClient, "getBlockNumber", () => new Promise(() => {}));
+
+    const { ready, checks } = await checkReadiness();
+
+    assert.equal(ready, false);
+    assert.match(checks.lensRpc.error, /did not answer within 50ms/);
+    // Without a chain head the lag is unknown, not failed
+    assert.equal(checks.processor.chains[0].lagBlocks, null);
+    assert.equal(checks.processor.status, "ok");
+  });
+});
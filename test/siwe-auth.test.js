@@ -0,0 +1,115 @@
+/**
+ * @file siwe-auth.test.js
+ * @description Unit tests for Sign-In with Ethereum and session tokens
+ */
+
+// Read by the config when the session modules load
+process.env.SESSION_SECRET = "test-session-secret";
+process.env.FRONTEND_URL = "https://app.example.com";
+
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { privateKeyToAccount } = require("viem/accounts");
+const { createSiweMessage } = require("viem/siwe");
+const db = require("../database");
+const { SiweAuthError, signIn } = require("../services/siwe-auth");
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  hashRefreshToken,
+} = require("../services/session-tokens");
+
+const account = privateKeyToAccount(`0x${"22".repeat(32)}`);
+
+/**
+ * Sign a SIWE message with the test wallet
+ * @param {object} [fields] Message fields to override
+ * @returns {Promise<{message: string, signature: string}>} The message and its signature
+ */
+async function signedMessage(fields = {}) {
+  const message = createSiweMessage({
+    address: account.address,
+    chainId: 232,
+    domain: "app.example.com",
+    nonce: "abcdefgh12345678",
+    uri: "https://app.example.com",
+    version: "1",
+    ...fields,
+  });
+  return { message, signature: await account.signMessage({ message }) };
+}
+
+describe("signIn", () => {
+  let consumed;
+
+  beforeEach(() => {
+    consumed = [];
+    mock.method(db.AuthNonce, "update", async (values, { where }) => {
+      const fresh = !consumed.includes(where.nonce);
+      consumed.push(where.nonce);
+      return [fresh ? 1 : 0];
+    });
+    mock.method(db.AuthSession, "create", async (values) => ({ id: "session-1", ...values }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("starts a session for the wallet that signed the message", async () => {
+    const session = await signIn(await signedMessage());
+
+    assert.equal(session.address, account.address);
+    assert.equal(verifyAccessToken(session.accessToken).sub, account.address);
+    assert.equal(verifyAccessToken(session.accessToken).sid, "session-1");
+    // Only the hash of the refresh token is stored
+    const [stored] = db.AuthSession.create.mock.calls[0].arguments;
+    assert.equal(stored.refreshTokenHash, hashRefreshToken(session.refreshToken));
+  });
+
+  it("refuses a nonce that was already used", async () => {
+    const signed = await signedMessage();
+    await signIn(signed);
+
+    await assert.rejects(signIn(signed), { name: "SiweAuthError", code: "INVALID_NONCE" });
+  });
+
+  it("refuses messages for another domain without burning the nonce", async () => {
+    await assert.rejects(signIn(await signedMessage({ domain: "evil.example" })), {
+      code: "INVALID_MESSAGE",
+    });
+    assert.deepEqual(consumed, []);
+  });
+
+  it("refuses a signature by another wallet", async () => {
+    const { message } = await signedMessage();
+    const other = privateKeyToAccount(`0x${"33".repeat(32)}`);
+
+    await assert.rejects(signIn({ message, signature: await other.signMessage({ message }) }), {
+      code: "INVALID_SIGNATURE",
+    });
+    assert.deepEqual(consumed, []);
+  });
+
+  it("refuses malformed messages", async () => {
+    await assert.rejects(signIn({ message: "hello", signature: "0x" }), SiweAuthError);
+  });
+});
+
+describe("verifyAccessToken", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects forged and expired tokens", () => {
+    const { token } = signAccessToken({ address: account.address, sessionId: "session-1" });
+    const [header, , signature] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({ sub: "0x0", sid: "x", exp: 9e9 })).toString(
+      "base64url"
+    );
+
+    assert.equal(verifyAccessToken(`${header}.${forged}.${signature}`), null);
+    assert.equal(verifyAccessToken("not-a-token"), null);
+
+    const now = Date.now();
+    mock.method(Date, "now", () => now + (ACCESS_TOKEN_TTL_SECONDS + 1) * 1000);
+    assert.equal(verifyAccessToken(token), null);
+  });
+});
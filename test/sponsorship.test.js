@@ -0,0 +1,127 @@
+/**
+ * @file sponsorship.test.js
+ * @description Unit tests for sponsorship allowances and the global budget cap
+ */
+
+// Read by the config when the sponsorship module loads
+process.env.SPONSORSHIP_GLOBAL_BUDGET_CAP = "10";
+
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../database");
+const { NOT_SPONSORED_REASONS, determineSponsorship } = require("../services/sponsorship");
+
+const REQUEST = {
+  account: "0x1111111111111111111111111111111111111111",
+  signedBy: "0x2222222222222222222222222222222222222222",
+};
+
+/**
+ * A sponsorship program with no limits
+ * @param {object} [fields] Fields to override
+ * @returns {object} Program row
+ */
+function program(fields = {}) {
+  return {
+    id: 1,
+    active: true,
+    app: null,
+    unitCost: 1,
+    budgetCap: null,
+    accountDailyLimit: null,
+    accountMonthlyLimit: null,
+    appDailyLimit: null,
+    appMonthlyLimit: null,
+    ...fields,
+  };
+}
+
+describe("determineSponsorship", () => {
+  let programs;
+  let ledger;
+  let queries;
+  let ownTransactions;
+
+  beforeEach(() => {
+    programs = [];
+    ledger = [];
+    queries = [];
+    ownTransactions = 0;
+    mock.method(db.SponsorshipProgram, "findAll", async () => programs);
+    mock.method(db.SponsorshipProgram, "findByPk", async (id) => programs.find((p) => p.id === id));
+    // Every row is spent by the same account today, so only the program filter matters
+    mock.method(db.SponsorshipUsage, "sum", async (field, { where = {} }) =>
+      ledger
+        .filter((row) => where.programId === undefined || row.programId === where.programId)
+        .reduce((total, row) => total + row.units, 0)
+    );
+    mock.method(db.SponsorshipUsage, "create", async (values, { transaction }) => {
+      ledger.push({ ...values, transaction });
+      return values;
+    });
+    mock.method(db.sequelize, "query", async (sql) => queries.push(sql));
+    mock.method(db.sequelize, "transaction", async (work) => {
+      ownTransactions += 1;
+      return work({ LOCK: { UPDATE: "UPDATE" } });
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("charges the first program within its allowances", async () => {
+    programs = [program({ id: 1, budgetCap: 2 }), program({ id: 2, unitCost: 3 })];
+    ledger = [{ programId: 1, units: 2 }];
+
+    assert.deepEqual(await determineSponsorship(REQUEST), { sponsored: true, programId: 2 });
+    assert.equal(ledger.at(-1).programId, 2);
+    assert.equal(ledger.at(-1).units, 3);
+    assert.equal(ledger.at(-1).account, REQUEST.account);
+  });
+
+  it("reports the last exceeded allowance when no program can pay", async () => {
+    programs = [program({ id: 1, budgetCap: 1 }), program({ id: 2, accountDailyLimit: 1 })];
+    ledger = [
+      { programId: 1, units: 1 },
+      { programId: 2, units: 1 },
+    ];
+
+    assert.deepEqual(await determineSponsorship(REQUEST), {
+      sponsored: false,
+      reason: NOT_SPONSORED_REASONS.ACCOUNT_DAILY_LIMIT,
+    });
+    assert.equal(ledger.length, 2);
+  });
+
+  it("stops every program once their spend together reaches the global cap", async () => {
+    programs = [program({ id: 1 }), program({ id: 2 })];
+    ledger = [
+      { programId: 1, units: 6 },
+      { programId: 2, units: 4 },
+    ];
+
+    assert.deepEqual(await determineSponsorship(REQUEST), {
+      sponsored: false,
+      reason: NOT_SPONSORED_REASONS.GLOBAL_BUDGET_EXHAUSTED,
+    });
+    assert.equal(ledger.length, 2);
+    assert.match(queries[0], /pg_advisory_xact_lock/);
+  });
+
+  it("records the spend in the caller's transaction", async () => {
+    programs = [program()];
+    const transaction = { LOCK: { UPDATE: "UPDATE" } };
+
+    await determineSponsorship(REQUEST, { transaction });
+
+    assert.equal(ownTransactions, 0);
+    assert.equal(ledger[0].transaction, transaction);
+  });
+
+  it("does not sponsor without an active program", async () => {
+    assert.deepEqual(await determineSponsorship(REQUEST), {
+      sponsored: false,
+      reason: NOT_SPONSORED_REASONS.NO_ACTIVE_PROGRAM,
+    });
+    assert.equal(ownTransactions, 0);
+  });
+});
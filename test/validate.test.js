@@ -0,0 +1,86 @@
+/**
+ * @file validate.test.js
+ * @description Unit tests for request validation against openapi.json
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getOperation, validateRequest } = require("../middleware/validate");
+
+/**
+ * Run a validator against a request
+ * @param {string} operationId Operation ID in openapi.json
+ * @param {object} req Request fields
+ * @returns {{passed: boolean, status?: number, body?: object}} What the middleware did
+ */
+function run(operationId, req) {
+  const result = { passed: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+
+  validateRequest(operationId)({ params: {}, query: {}, headers: {}, ...req }, res, () => {
+    result.passed = true;
+  });
+  return result;
+}
+
+describe("validateRequest", () => {
+  it("lists every problem of the body", () => {
+    const result = run("verifySiwe", { body: { message: "", extra: true } });
+
+    assert.equal(result.status, 400);
+    assert.equal(result.body.reason, "INVALID_REQUEST");
+    assert.deepEqual(
+      result.body.errors.map((error) => `${error.in} ${error.path} ${error.message}`).sort(),
+      [
+        "body /extra is not allowed",
+        "body /message must NOT have fewer than 1 characters",
+        "body /signature is required",
+      ]
+    );
+  });
+
+  it("requires a JSON body when the operation does", () => {
+    assert.deepEqual(run("verifySiwe", {}).body.errors, [
+      { in: "body", path: "/", message: "a JSON body is required" },
+    ]);
+  });
+
+  it("coerces query strings to their declared types", () => {
+    assert.equal(
+      run("searchIntents", { query: { limit: "50", sourceChainId: "232" } }).passed,
+      true
+    );
+    assert.equal(run("searchIntents", { query: { limit: "many" } }).body.errors[0].path, "/limit");
+  });
+
+  it("has an operation for every validated route", () => {
+    const sources = [
+      "app.js",
+      ...fs.readdirSync(path.join(__dirname, "../routes")).map((file) => `routes/${file}`),
+    ];
+    const operationIds = sources.flatMap((file) =>
+      [
+        ...fs
+          .readFileSync(path.join(__dirname, "..", file), "utf8")
+          .matchAll(/validateRequest\("(\w+)"\)/g),
+      ].map(([, operationId]) => operationId)
+    );
+
+    assert.ok(operationIds.length > 20);
+    for (const operationId of operationIds) {
+      assert.doesNotThrow(() => getOperation(operationId), operationId);
+    }
+    assert.throws(() => getOperation("missing"), /Unknown OpenAPI operation 'missing'/);
+  });
+});